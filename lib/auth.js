@@ -0,0 +1,173 @@
+// Local accounts, sessions, API tokens and encrypted per-user Gemini keys.
+//
+// Passwords are hashed with scrypt. Session cookies and API tokens are random
+// secrets that are only stored as SHA-256 hashes, so a copy of DATA_DIR cannot
+// be used to sign in. Personal Gemini keys are encrypted with AES-256-GCM under
+// a key derived from ENCRYPTION_KEY; without it they cannot be saved.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Prefix that tells API tokens apart from other bearer credentials
+const API_TOKEN_PREFIX = 'gwa_';
+const MAX_API_TOKENS = 10;
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+// Checked instead of a real hash when the username is unknown, so a failed
+// sign-in takes as long whether or not the account exists
+const DUMMY_PASSWORD_HASH = 'scrypt$3a6aafbba12bcbd07b7b3949fcada2f2$099a45887a77b65871e2d554336b53863c3a4c3a83bbc45f0bfc187d17a01f7bc864d44dab61b76a2cca16c41b6fba14e736d4238fb193dd8a30528f9de21079';
+
+// The first account can always be created; more only when signup is open
+const SIGNUP_OPEN = process.env.ALLOW_SIGNUP === 'true';
+
+// Users without their own Gemini key use GEMINI_API_KEY unless this is "false"
+const SHARED_KEY_ALLOWED = process.env.ALLOW_SHARED_KEY !== 'false';
+
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY
+  ? crypto.scryptSync(process.env.ENCRYPTION_KEY, 'gemini-webapp-keys', 32)
+  : null;
+
+// Origins allowed to call the API from another site, e.g. "https://tools.example.com".
+// The app's own origin is always allowed.
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Returns an error message, or null when the credentials are acceptable
+function validateCredentials({ username, password } = {}) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Usernames are 3-32 lowercase letters, digits, dots, dashes or underscores';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Passwords must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function generateToken(prefix = '') {
+  return prefix + crypto.randomBytes(32).toString('hex');
+}
+
+// Stored id of a session or API token. Hex, so it is a valid record id.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function canEncrypt() {
+  return Boolean(ENCRYPTION_KEY);
+}
+
+// "iv:tag:ciphertext", all base64
+function encryptSecret(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+// Returns null when the secret cannot be read, e.g. after ENCRYPTION_KEY changed
+function decryptSecret(payload) {
+  if (!ENCRYPTION_KEY || typeof payload !== 'string') return null;
+
+  try {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Last characters of a key, so users can tell which one is saved
+function maskSecret(secret) {
+  return `••••${secret.slice(-4)}`;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore cookies that are not ours to read
+    }
+  });
+  return cookies;
+}
+
+// Set-Cookie value for the session; an empty token clears it
+function serializeSessionCookie(token, { secure = false } = {}) {
+  const attributes = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${token ? SESSION_TTL / 1000 : 0}`
+  ];
+  if (secure) attributes.push('Secure');
+  return attributes.join('; ');
+}
+
+// Requests without an Origin header (curl, SDKs, same-origin GETs) and from
+// the app's own host are fine; other sites must be on the allow-list
+function isAllowedOrigin(origin, host) {
+  if (!origin) return true;
+  if (ALLOWED_ORIGINS.includes(origin)) return true;
+
+  try {
+    return new URL(origin).host === host;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  SESSION_TTL,
+  API_TOKEN_PREFIX,
+  MAX_API_TOKENS,
+  SIGNUP_OPEN,
+  SHARED_KEY_ALLOWED,
+  ALLOWED_ORIGINS,
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  generateToken,
+  hashToken,
+  canEncrypt,
+  encryptSecret,
+  decryptSecret,
+  maskSecret,
+  parseCookies,
+  serializeSessionCookie,
+  isAllowedOrigin
+};
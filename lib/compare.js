@@ -0,0 +1,62 @@
+// Compare mode: one turn answered by several models or generation settings at
+// the same time, shown side by side. A variant is
+//
+//   { model: 'gemini-1.5-pro', generationSettings?: { temperature: 0.2, ... } }
+//
+// and uses the conversation's generation settings when it has none of its own.
+// Every reply is stored as a version of the same turn; the first one is active
+// until the user picks another (POST /api/conversations/:id/select).
+
+const { toErrorResponse } = require('./errors');
+
+const MIN_COMPARE_VARIANTS = 2;
+const MAX_COMPARE_VARIANTS = 4;
+
+// Check the variants of a compare request. Returns an error message or null.
+function validateCompareVariants(variants) {
+  if (!Array.isArray(variants) || variants.length < MIN_COMPARE_VARIANTS || variants.length > MAX_COMPARE_VARIANTS) {
+    return `Compare between ${MIN_COMPARE_VARIANTS} and ${MAX_COMPARE_VARIANTS} variants`;
+  }
+  for (const variant of variants) {
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      return 'Each variant must be an object with a model';
+    }
+    if (typeof variant.model !== 'string' || !variant.model) {
+      return 'Each variant needs a model';
+    }
+  }
+  return null;
+}
+
+// What the client gets for each variant: the reply with its latency and token
+// usage, or the error that variant ran into. messageId is the stored reply.
+function toVariantResult({ chat, result, error, latencyMs }, messageId = null) {
+  const variant = {
+    model: chat.model.id,
+    generationSettings: chat.settings,
+    latencyMs
+  };
+
+  if (error) {
+    return { ...variant, error: toErrorResponse(error).body };
+  }
+
+  return {
+    ...variant,
+    response: result.response,
+    usage: result.usage,
+    cached: Boolean(result.cached),
+    messageId,
+    ...(result.finishReason ? { finishReason: result.finishReason } : {}),
+    ...(result.safetyRatings ? { safetyRatings: result.safetyRatings } : {}),
+    ...(result.blocked ? { blocked: true } : {}),
+    ...(result.toolCalls ? { toolCalls: result.toolCalls } : {}),
+    ...(result.sources ? { sources: result.sources } : {})
+  };
+}
+
+module.exports = {
+  MAX_COMPARE_VARIANTS,
+  validateCompareVariants,
+  toVariantResult
+};
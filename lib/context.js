@@ -0,0 +1,120 @@
+// Context-window management. Before each request the history is measured
+// against the model's input limit (optionally capped by CONTEXT_TOKEN_LIMIT).
+// When it does not fit, the oldest turns are either summarized into a short
+// recap or dropped, depending on the strategy:
+//
+//   summarize  ask the model for a summary of the oldest turns (default)
+//   truncate   leave the oldest turns out
+//   none       send everything and let the provider reject it
+//
+// CONTEXT_STRATEGY sets the server default; conversations can override it.
+
+const { getText, getImages } = require('./messages');
+const { log } = require('./logger');
+
+const CONTEXT_STRATEGIES = ['summarize', 'truncate', 'none'];
+
+let DEFAULT_CONTEXT_STRATEGY = process.env.CONTEXT_STRATEGY || 'summarize';
+if (!CONTEXT_STRATEGIES.includes(DEFAULT_CONTEXT_STRATEGY)) {
+  log.warn(`CONTEXT_STRATEGY "${DEFAULT_CONTEXT_STRATEGY}" is not valid, using "summarize"`);
+  DEFAULT_CONTEXT_STRATEGY = 'summarize';
+}
+
+const CONTEXT_TOKEN_LIMIT = parseInt(process.env.CONTEXT_TOKEN_LIMIT, 10) || null;
+
+// Compact once the prompt passes this share of the budget. Afterwards the kept
+// turns use at most KEEP_RATIO of it, so the next few requests fit as they are.
+const COMPACT_RATIO = 0.9;
+const KEEP_RATIO = 0.5;
+
+// Longest summary the model is asked to write
+const SUMMARY_MAX_TOKENS = 512;
+
+// Gemini bills a flat number of tokens per image
+const TOKENS_PER_IMAGE = 258;
+
+const SUMMARY_PROMPT = 'Summarize the conversation below so it can replace the original messages as context ' +
+  'for the rest of the chat. Keep names, numbers, decisions, code identifiers and open questions. ' +
+  'Write at most 300 words and do not add anything that was not said.';
+
+function getContextBudget(model) {
+  return CONTEXT_TOKEN_LIMIT ? Math.min(CONTEXT_TOKEN_LIMIT, model.contextLength) : model.contextLength;
+}
+
+// Rough token estimate used to decide where to cut: four characters per token
+function estimateTokens(parts) {
+  return Math.ceil(getText(parts).length / 4) + getImages(parts).length * TOKENS_PER_IMAGE;
+}
+
+// Index of the model message that ends the oldest turns to compact. Cutting
+// there keeps as many recent messages as fit in `available` tokens, or as few
+// as possible when none fit. Only messages with a `cuttable` flag can end the
+// compacted part. Returns -1 if nothing can be cut.
+function findCutIndex(messages, available) {
+  let kept = 0;
+  let cut = -1;
+  let newest = -1;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const msg = messages[i];
+    if (msg.role === 'model' && msg.cuttable) {
+      if (newest === -1) newest = i;
+      if (kept > available) break;
+      cut = i;
+    }
+    kept += estimateTokens(msg.parts);
+  }
+
+  return cut !== -1 ? cut : newest;
+}
+
+// A summary stands in for the turns it covers as an opening exchange
+function toSummaryHistory(summary) {
+  return [
+    { role: 'user', parts: [{ text: `Summary of the earlier conversation:\n\n${summary}` }] },
+    { role: 'model', parts: [{ text: 'Thanks, I will use this summary as context.' }] }
+  ];
+}
+
+// Plain transcript of the messages to summarize, with images as placeholders
+function buildSummaryRequest(messages) {
+  const transcript = messages.map(msg => {
+    const speaker = msg.role === 'model' ? 'Assistant' : 'User';
+    const images = getImages(msg.parts).map(image => `[Image: ${image.mimeType}]`);
+    return `${speaker}: ${[getText(msg.parts), ...images].filter(Boolean).join('\n')}`;
+  }).join('\n\n');
+
+  return [{ text: `${SUMMARY_PROMPT}\n\n---\n\n${transcript}` }];
+}
+
+// A conversation's strategy; null means the server default
+function validateContextStrategy(strategy) {
+  if (strategy !== null && !CONTEXT_STRATEGIES.includes(strategy)) {
+    return `contextStrategy must be one of: ${CONTEXT_STRATEGIES.join(', ')}`;
+  }
+  return null;
+}
+
+function describeContextOptions() {
+  return {
+    strategies: CONTEXT_STRATEGIES,
+    defaultStrategy: DEFAULT_CONTEXT_STRATEGY,
+    tokenLimit: CONTEXT_TOKEN_LIMIT
+  };
+}
+
+module.exports = {
+  CONTEXT_STRATEGIES,
+  DEFAULT_CONTEXT_STRATEGY,
+  CONTEXT_TOKEN_LIMIT,
+  COMPACT_RATIO,
+  KEEP_RATIO,
+  SUMMARY_MAX_TOKENS,
+  getContextBudget,
+  estimateTokens,
+  findCutIndex,
+  toSummaryHistory,
+  buildSummaryRequest,
+  validateContextStrategy,
+  describeContextOptions
+};
@@ -0,0 +1,43 @@
+const { GoogleGenerativeAI, TaskType } = require('@google/generative-ai');
+const { withErrorDetails } = require('../providers/gemini');
+
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-004';
+// Gemini accepts at most this many texts per batchEmbedContents call
+const MAX_BATCH_SIZE = 100;
+
+const TASK_TYPES = {
+  document: TaskType.RETRIEVAL_DOCUMENT,
+  query: TaskType.RETRIEVAL_QUERY
+};
+
+// Embeddings from the Gemini API. Like the chat provider, a request's own
+// apiKey (a user's personal key) replaces the shared one.
+function createGeminiEmbedder({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL
+} = {}) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+
+    embed: withErrorDetails(async ({ texts, task = 'document', apiKey: ownKey, signal }) => {
+      const client = ownKey ? new GoogleGenerativeAI(ownKey) : genAI;
+      const embeddingModel = client.getGenerativeModel({ model });
+      const vectors = [];
+
+      for (let start = 0; start < texts.length; start += MAX_BATCH_SIZE) {
+        const requests = texts.slice(start, start + MAX_BATCH_SIZE).map(text => ({
+          content: { role: 'user', parts: [{ text }] },
+          taskType: TASK_TYPES[task]
+        }));
+        const { embeddings } = await embeddingModel.batchEmbedContents({ requests }, { signal });
+        embeddings.forEach(embedding => vectors.push(embedding.values));
+      }
+      return vectors;
+    })
+  };
+}
+
+module.exports = { createGeminiEmbedder };
@@ -0,0 +1,44 @@
+const { createGeminiEmbedder } = require('./gemini');
+const { createLocalEmbedder } = require('./local');
+const { withRetries } = require('../retry');
+
+// Every embedder turns texts into vectors for the knowledge base (see
+// lib/knowledge.js):
+//
+//   name, model                                       -> stored with each knowledge base
+//   embed({ texts, task, apiKey?, signal? })          -> one array of numbers per text
+//
+// task is 'document' for passages being indexed and 'query' for the question
+// they are searched with; embedders that do not distinguish the two ignore it.
+// Vectors from different embedders or models cannot be compared, so a
+// knowledge base has to be indexed again after EMBEDDER or EMBEDDING_MODEL
+// changes. Errors follow the same rules as the LLM providers (see
+// lib/providers/index.js), and transient ones are retried here.
+const EMBEDDERS = {
+  gemini: createGeminiEmbedder,
+  local: createLocalEmbedder
+};
+
+// Build the embedder named by EMBEDDER. Without one, the offline mock provider
+// gets the local embedder and Gemini gets Gemini's.
+function createEmbedder(name = process.env.EMBEDDER || (process.env.LLM_PROVIDER === 'mock' ? 'local' : 'gemini'), options) {
+  const factory = EMBEDDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown EMBEDDER "${name}". Expected one of: ${Object.keys(EMBEDDERS).join(', ')}`);
+  }
+
+  const embedder = factory(options);
+  return {
+    name: embedder.name,
+    model: embedder.model,
+    embed: ({ onRetry, ...request }) => withRetries(() => embedder.embed(request), {
+      onRetry,
+      signal: request.signal
+    })
+  };
+}
+
+module.exports = {
+  EMBEDDERS,
+  createEmbedder
+};
@@ -0,0 +1,52 @@
+// Offline embedder for development and tests. Words and word pairs are hashed
+// into a fixed number of dimensions ("feature hashing"), so texts that share
+// vocabulary end up close together. It knows nothing about meaning, so
+// synonyms do not match, but it is deterministic and needs no network or key.
+
+const DIMENSIONS = 512;
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+// Common English words that would otherwise make every text look alike
+const STOP_WORDS = new Set(
+  ('a an and are as at be but by can do does for from has have how i if in is it its of on or ' +
+   'so that the their there this to was we were what when where which who why will with you your').split(' ')
+);
+
+// 32-bit FNV-1a
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+function embedText(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+  const words = (text.toLowerCase().match(WORD_PATTERN) || []).filter(word => !STOP_WORDS.has(word));
+  const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+
+  features.forEach(feature => {
+    const value = hash(feature);
+    // The top bit picks the sign, so unrelated features tend to cancel out
+    vector[value % DIMENSIONS] += value & 0x80000000 ? -1 : 1;
+  });
+
+  // Dampen repeated words
+  return vector.map(weight => Math.sign(weight) * Math.log1p(Math.abs(weight)));
+}
+
+function createLocalEmbedder() {
+  return {
+    name: 'local',
+    model: `hashing-${DIMENSIONS}`,
+
+    async embed({ texts }) {
+      return texts.map(embedText);
+    }
+  };
+}
+
+module.exports = { createLocalEmbedder };
@@ -0,0 +1,140 @@
+// Stable error codes for API responses. Every failed chat request answers with
+//
+//   { error: 'Readable message', code: 'RATE_LIMITED', retryable: true, retryAfter?: 30 }
+//
+// and the matching HTTP status. retryAfter is in seconds (also sent as a
+// Retry-After header when the response is not a stream). Clients should branch
+// on `code`; the message is for people and may change. The original error's
+// message only goes to the server log, since upstream and file system
+// messages are not meant for clients.
+
+const ERROR_TYPES = {
+  INVALID_REQUEST: {
+    status: 400,
+    message: 'The request could not be processed.'
+  },
+  MODEL_UNAVAILABLE: {
+    status: 400,
+    message: 'Model not found or not supported. Please choose another model.'
+  },
+  AUTHENTICATION_FAILED: {
+    status: 401,
+    message: 'Invalid API key. Please check your Gemini API key.'
+  },
+  // Not signed in to this app (AUTHENTICATION_FAILED is about the Gemini key)
+  AUTH_REQUIRED: {
+    status: 401,
+    message: 'Please sign in.'
+  },
+  FORBIDDEN: {
+    status: 403,
+    message: 'You are not allowed to do that.'
+  },
+  NOT_FOUND: {
+    status: 404,
+    message: 'The requested item was not found.'
+  },
+  // The request clashes with the current state, e.g. a taken username
+  CONFLICT: {
+    status: 409,
+    message: 'The request conflicts with the current state. Please reload and try again.'
+  },
+  PAYLOAD_TOO_LARGE: {
+    status: 413,
+    message: 'The request or one of its files is too large.'
+  },
+  UNSUPPORTED_MEDIA_TYPE: {
+    status: 415,
+    message: 'That file type is not supported.'
+  },
+  RATE_LIMITED: {
+    status: 429,
+    retryable: true,
+    message: 'Too many requests or API quota exceeded. Please wait a moment and try again.'
+  },
+  UPSTREAM_UNAVAILABLE: {
+    status: 503,
+    retryable: true,
+    message: 'Gemini is temporarily unavailable. Please try again.'
+  },
+  // The client went away or stopped the request (nginx's "client closed request")
+  CANCELLED: {
+    status: 499,
+    message: 'The request was cancelled.'
+  },
+  // A feature this server is not set up for (UPSTREAM_UNAVAILABLE is about Gemini)
+  SERVICE_UNAVAILABLE: {
+    status: 503,
+    message: 'This feature is not available on this server.'
+  },
+  INTERNAL_ERROR: {
+    status: 500,
+    message: 'Something went wrong on the server.'
+  }
+};
+
+// Network failures that never reached the model API
+const NETWORK_ERROR = /fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up/i;
+
+// Work out the code of an error thrown by a provider (or anything else).
+// Providers set `status` to the upstream HTTP status where there is one, and
+// `retryAfter` (ms) when the upstream says how long to wait.
+function classifyError(error) {
+  const status = error && error.status;
+  const message = (error && error.message) || '';
+
+  if (error && ERROR_TYPES[error.code]) return error.code;
+  if (error && error.name === 'AbortError') return 'CANCELLED';
+  if (status === 401 || status === 403 || /API key/i.test(message)) return 'AUTHENTICATION_FAILED';
+  if (status === 429 || /quota|rate limit|resource.?exhausted/i.test(message)) return 'RATE_LIMITED';
+  if (status === 404 || /model.*(not found|not supported)/i.test(message)) return 'MODEL_UNAVAILABLE';
+  if (status === 400) return 'INVALID_REQUEST';
+  if (status >= 500 || NETWORK_ERROR.test(message) || /overloaded|unavailable/i.test(message)) {
+    return 'UPSTREAM_UNAVAILABLE';
+  }
+  return 'INTERNAL_ERROR';
+}
+
+function isRetryable(error) {
+  return Boolean(ERROR_TYPES[classifyError(error)].retryable);
+}
+
+// Response body (and status) for an error, with the fixed message of its code
+function toErrorResponse(error) {
+  const code = classifyError(error);
+  const type = ERROR_TYPES[code];
+  const body = { error: type.message, code, retryable: Boolean(type.retryable) };
+
+  if (error && error.retryAfter) {
+    body.retryAfter = Math.ceil(error.retryAfter / 1000);
+  }
+  return { status: type.status, body };
+}
+
+// Statuses of our own responses (validation and the like) -> codes
+const STATUS_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'AUTH_REQUIRED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'RATE_LIMITED',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Code for the { status, error } results of request validation. Other 4xx
+// statuses are invalid requests and other 5xx ones server errors.
+function codeForStatus(status) {
+  if (STATUS_CODES[status]) return STATUS_CODES[status];
+  return status >= 500 ? 'INTERNAL_ERROR' : 'INVALID_REQUEST';
+}
+
+module.exports = {
+  ERROR_TYPES,
+  classifyError,
+  isRetryable,
+  toErrorResponse,
+  codeForStatus
+};
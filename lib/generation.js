@@ -0,0 +1,143 @@
+// Generation settings (sampling, output length, stop sequences and safety
+// thresholds) in the app's provider-neutral shape:
+//
+//   {
+//     temperature: 0.7, topP: 0.95, topK: 40, maxOutputTokens: 1024,
+//     stopSequences: ['END'],
+//     safety: { harassment: 'BLOCK_ONLY_HIGH', dangerousContent: 'BLOCK_NONE' }
+//   }
+//
+// Every field is optional; missing ones use the provider's defaults.
+
+const { listModels } = require('./models');
+
+const PRESETS = {
+  precise: { name: 'Precise', temperature: 0.2, topP: 0.8, topK: 20 },
+  balanced: { name: 'Balanced', temperature: 0.7, topP: 0.95, topK: 40 },
+  creative: { name: 'Creative', temperature: 1.2, topP: 0.98, topK: 64 }
+};
+
+// Upper output limit of the largest model; each request is also checked
+// against its own model's maxOutputTokens
+const MAX_OUTPUT_TOKENS = Math.max(...listModels().map(model => model.maxOutputTokens));
+
+const LIMITS = {
+  temperature: { min: 0, max: 2, step: 0.05 },
+  topP: { min: 0, max: 1, step: 0.01 },
+  topK: { min: 1, max: 100, step: 1, integer: true },
+  maxOutputTokens: { min: 1, max: MAX_OUTPUT_TOKENS, step: 1, integer: true }
+};
+
+const MAX_STOP_SEQUENCES = 5;
+const MAX_STOP_SEQUENCE_LENGTH = 100;
+
+const SAFETY_CATEGORIES = {
+  harassment: 'HARM_CATEGORY_HARASSMENT',
+  hateSpeech: 'HARM_CATEGORY_HATE_SPEECH',
+  sexuallyExplicit: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  dangerousContent: 'HARM_CATEGORY_DANGEROUS_CONTENT'
+};
+
+const SAFETY_THRESHOLDS = ['BLOCK_NONE', 'BLOCK_ONLY_HIGH', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_LOW_AND_ABOVE'];
+
+// Finish reasons that mean the reply was withheld or stopped by a filter
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'LANGUAGE', 'OTHER'];
+
+// Check settings sent by the client. Pass the model to also enforce its
+// output limit. Returns { settings } with only the known fields, or { error }.
+function validateGenerationSettings(input, { model } = {}) {
+  if (input === undefined || input === null) {
+    return { settings: {} };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Generation settings must be an object' };
+  }
+
+  const settings = {};
+
+  for (const [field, limit] of Object.entries(LIMITS)) {
+    const value = input[field];
+    if (value === undefined || value === null) continue;
+
+    if (typeof value !== 'number' || !Number.isFinite(value) || (limit.integer && !Number.isInteger(value))) {
+      return { error: `${field} must be ${limit.integer ? 'a whole number' : 'a number'}` };
+    }
+    if (value < limit.min || value > limit.max) {
+      return { error: `${field} must be between ${limit.min} and ${limit.max}` };
+    }
+    settings[field] = value;
+  }
+
+  if (model && settings.maxOutputTokens > model.maxOutputTokens) {
+    return { error: `${model.name} can write at most ${model.maxOutputTokens} output tokens` };
+  }
+
+  if (input.stopSequences !== undefined) {
+    const { stopSequences } = input;
+    if (!Array.isArray(stopSequences) || !stopSequences.every(seq => typeof seq === 'string' && seq.length > 0)) {
+      return { error: 'stopSequences must be an array of non-empty strings' };
+    }
+    if (stopSequences.length > MAX_STOP_SEQUENCES) {
+      return { error: `At most ${MAX_STOP_SEQUENCES} stop sequences are allowed` };
+    }
+    if (stopSequences.some(seq => seq.length > MAX_STOP_SEQUENCE_LENGTH)) {
+      return { error: `Stop sequences can be at most ${MAX_STOP_SEQUENCE_LENGTH} characters` };
+    }
+    if (stopSequences.length > 0) {
+      settings.stopSequences = stopSequences;
+    }
+  }
+
+  if (input.safety !== undefined) {
+    if (!input.safety || typeof input.safety !== 'object' || Array.isArray(input.safety)) {
+      return { error: 'safety must map categories to thresholds' };
+    }
+    const safety = {};
+    for (const [category, threshold] of Object.entries(input.safety)) {
+      if (!SAFETY_CATEGORIES[category]) {
+        return { error: `Unknown safety category "${category}". Expected one of: ${Object.keys(SAFETY_CATEGORIES).join(', ')}` };
+      }
+      if (!SAFETY_THRESHOLDS.includes(threshold)) {
+        return { error: `Safety threshold for ${category} must be one of: ${SAFETY_THRESHOLDS.join(', ')}` };
+      }
+      safety[category] = threshold;
+    }
+    if (Object.keys(safety).length > 0) {
+      settings.safety = safety;
+    }
+  }
+
+  if (input.preset !== undefined && input.preset !== null) {
+    if (!PRESETS[input.preset]) {
+      return { error: `Unknown preset "${input.preset}"` };
+    }
+    settings.preset = input.preset;
+  }
+
+  return { settings };
+}
+
+function isBlockedFinish(finishReason) {
+  return BLOCKED_FINISH_REASONS.includes(finishReason);
+}
+
+// Presets and limits for building the settings panel
+function describeGenerationOptions() {
+  return {
+    presets: PRESETS,
+    limits: LIMITS,
+    maxStopSequences: MAX_STOP_SEQUENCES,
+    safety: {
+      categories: Object.keys(SAFETY_CATEGORIES),
+      thresholds: SAFETY_THRESHOLDS
+    }
+  };
+}
+
+module.exports = {
+  PRESETS,
+  SAFETY_CATEGORIES,
+  validateGenerationSettings,
+  isBlockedFinish,
+  describeGenerationOptions
+};
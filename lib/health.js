@@ -0,0 +1,100 @@
+// Liveness and readiness. /api/health/live only says the process answers;
+// /api/health/ready runs the checks below and answers 503 when one fails, so
+// a load balancer or orchestrator stops sending traffic to a broken instance.
+// /api/health answers the same, with the version and features added.
+//
+//   HEALTH_PROBE      "true" to also send the model provider a token count
+//                     request in every readiness check (?probe=1 asks for one)
+//   HEALTH_PROBE_TTL  seconds a probe result is reused for (default 30)
+
+const fs = require('fs').promises;
+const path = require('path');
+const { log } = require('./logger');
+
+const HEALTH_PROBE = process.env.HEALTH_PROBE === 'true';
+const HEALTH_PROBE_TTL = (parseInt(process.env.HEALTH_PROBE_TTL, 10) || 30) * 1000;
+const PROBE_TIMEOUT = 10000;
+
+// Settings the server cannot work without. Returns a list of problems.
+function checkConfiguration({ providerName, sharedKeyAllowed, hasSharedKey, canEncrypt }) {
+  const problems = [];
+  if (providerName === 'gemini' && sharedKeyAllowed && !hasSharedKey) {
+    problems.push('GEMINI_API_KEY is not set, so requests without a personal key will fail');
+  }
+  if (!sharedKeyAllowed && !canEncrypt) {
+    problems.push('ALLOW_SHARED_KEY is false but ENCRYPTION_KEY is not set, so nobody can save a key');
+  }
+  return problems;
+}
+
+// The data folder must take writes, or nothing can be saved
+async function checkStorage(dir) {
+  const file = path.join(dir, `.health-${process.pid}`);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(file, new Date().toISOString());
+  await fs.unlink(file);
+}
+
+// A cheap provider request (a token count) whose result is kept for
+// HEALTH_PROBE_TTL, so frequent health checks do not add upstream traffic.
+// Health checks are public, so the upstream error is only logged.
+function createProviderProbe(provider, { model, ttl = HEALTH_PROBE_TTL, timeout = PROBE_TIMEOUT }) {
+  let last = null;
+
+  async function run() {
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`No answer within ${timeout / 1000} s`)), timeout);
+    });
+    try {
+      await Promise.race([provider.countTokens({ model, history: [], message: [{ text: 'ping' }] }), timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return async function probe() {
+    if (last && Date.now() - last.checkedAt < ttl) {
+      return last.result;
+    }
+    let result = await timeCheck(run);
+    if (!result.ok) {
+      log.warn('Provider probe failed', { reason: result.message });
+      result = { ...result, message: 'The model provider did not answer a test request' };
+    }
+    last = { checkedAt: Date.now(), result };
+    return result;
+  };
+}
+
+// { ok, durationMs, message? } for a check that throws when it fails
+async function timeCheck(check) {
+  const start = Date.now();
+  try {
+    await check();
+    return { ok: true, durationMs: Date.now() - start };
+  } catch (error) {
+    return { ok: false, durationMs: Date.now() - start, message: error.message };
+  }
+}
+
+// Run every check at once. status is "ready" when all of them passed and
+// "degraded" otherwise.
+async function runChecks(checks) {
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => checks[name]()));
+  const byName = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+  return {
+    status: results.every(result => result.ok) ? 'ready' : 'degraded',
+    checks: byName
+  };
+}
+
+module.exports = {
+  HEALTH_PROBE,
+  checkConfiguration,
+  checkStorage,
+  createProviderProbe,
+  timeCheck,
+  runChecks
+};
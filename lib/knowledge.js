@@ -0,0 +1,213 @@
+// Knowledge bases: documents uploaded once, split into overlapping chunks and
+// embedded (see lib/embedders) so the passages closest to a question can be
+// sent along with it. Each document is stored with its text and one vector per
+// chunk, so answers can link back to the exact passage they used. Search is a
+// brute-force cosine similarity over the knowledge base's chunks, which is
+// plenty for a few thousand passages.
+
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_DOCUMENTS_PER_KNOWLEDGE_BASE = 50;
+
+// Chunks are about this many characters, and each repeats the end of the one
+// before so a passage cut at a boundary is still found whole in one of them
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+
+// Passages sent with each question
+const configuredTopK = parseInt(process.env.KNOWLEDGE_TOP_K, 10);
+const KNOWLEDGE_TOP_K = configuredTopK > 0 ? configuredTopK : 4;
+
+// Length of the passage preview stored with each cited source
+const SNIPPET_LENGTH = 160;
+
+// Validate knowledge base fields sent by the client. With `partial`, missing
+// fields are allowed (for updates). Returns an error message or null.
+function validateKnowledgeBase(data, { partial = false } = {}) {
+  const { name, description } = data || {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'Knowledge base name is required';
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      return `Knowledge base names can be at most ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `Description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Only the editable fields, trimmed
+function toKnowledgeBaseFields({ name, description }) {
+  const fields = {};
+  if (name !== undefined) fields.name = name.trim();
+  if (description !== undefined) fields.description = description.trim();
+  return fields;
+}
+
+// Split text into [{ start, end }] character ranges of about CHUNK_SIZE,
+// preferring to end at a paragraph, then a sentence, then a word
+function chunkText(text) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(text.length, start + CHUNK_SIZE);
+    if (end < text.length) {
+      end = findBreak(text, start + CHUNK_SIZE / 2, end);
+    }
+
+    const chunk = trimRange(text, start, end);
+    if (chunk.end > chunk.start) chunks.push(chunk);
+    if (end >= text.length) break;
+
+    // Back up by the overlap, to the start of a word
+    let next = Math.max(start + 1, end - CHUNK_OVERLAP);
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = next;
+  }
+  return chunks;
+}
+
+// The best place to end a chunk between min and max
+function findBreak(text, min, max) {
+  const window = text.slice(min, max);
+  for (const pattern of [/\n\s*\n/g, /[.!?]\s/g, /\s/g]) {
+    let last = -1;
+    for (const match of window.matchAll(pattern)) last = match.index + match[0].length;
+    if (last !== -1) return min + last;
+  }
+  return max;
+}
+
+function trimRange(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { start, end };
+}
+
+// Scale a vector to unit length, so a dot product is the cosine similarity.
+// Rounded to keep the stored index small.
+function normalizeVector(values) {
+  const length = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return values.map(value => Math.round(value / length * 1e5) / 1e5);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// "gemini/text-embedding-004"
+function describeEmbedder({ name, model }) {
+  return `${name}/${model}`;
+}
+
+function sameEmbedder(a, b) {
+  return Boolean(a && b) && a.name === b.name && a.model === b.model;
+}
+
+// Passage search over stored documents. Documents are read through `load(id)`
+// and kept in memory until they are indexed again or removed.
+function createKnowledgeIndex(load) {
+  // document id -> stored document
+  const cache = new Map();
+
+  async function getDocument({ id, indexedAt }) {
+    const cached = cache.get(id);
+    if (cached && cached.indexedAt === indexedAt) return cached;
+
+    const document = await load(id);
+    if (document) cache.set(id, document);
+    else cache.delete(id);
+    return document;
+  }
+
+  return {
+    // The `limit` chunks of the knowledge base closest to a query vector, as
+    // [{ documentId, name, chunk, start, end, text, score }], best first
+    async search(knowledgeBase, vector, limit = KNOWLEDGE_TOP_K) {
+      const query = normalizeVector(vector);
+      const matches = [];
+
+      for (const entry of knowledgeBase.documents) {
+        const document = await getDocument(entry);
+        if (!document) continue;
+
+        document.chunks.forEach((chunk, index) => {
+          const score = dot(query, chunk.vector);
+          if (score > 0) matches.push({ document, chunk, index, score });
+        });
+      }
+
+      matches.sort((a, b) => b.score - a.score);
+      return matches.slice(0, limit).map(({ document, chunk, index, score }) => ({
+        documentId: document.id,
+        name: document.name,
+        chunk: index,
+        start: chunk.start,
+        end: chunk.end,
+        text: document.text.slice(chunk.start, chunk.end),
+        score: Math.round(score * 1000) / 1000
+      }));
+    },
+
+    forget(documentId) {
+      cache.delete(documentId);
+    }
+  };
+}
+
+// System instruction that hands the model the retrieved passages, numbered
+// for citation
+function buildKnowledgeInstruction(knowledgeBase, passages) {
+  const listed = passages.map((passage, index) =>
+    `[${index + 1}] ${passage.name}, part ${passage.chunk + 1}\n${passage.text}`
+  );
+
+  return [
+    `Passages from the knowledge base "${knowledgeBase.name}" that may help with the user's latest message are listed below.`,
+    'Base your answer on them where they are relevant, and cite each passage you use by its number in square brackets, like [1] or [2][3].',
+    'If they do not answer the question, say so before answering from general knowledge, and do not cite them.',
+    '',
+    ...listed.join('\n\n').split('\n')
+  ].join('\n');
+}
+
+// What a reply stores about the passages it was given: enough to link each
+// citation to its document and chunk, without the full text
+function toSources(knowledgeBase, passages) {
+  return passages.map((passage, index) => ({
+    number: index + 1,
+    knowledgeBaseId: knowledgeBase.id,
+    documentId: passage.documentId,
+    name: passage.name,
+    chunk: passage.chunk,
+    score: passage.score,
+    snippet: toSnippet(passage.text)
+  }));
+}
+
+function toSnippet(text) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > SNIPPET_LENGTH ? `${flat.slice(0, SNIPPET_LENGTH)}…` : flat;
+}
+
+module.exports = {
+  MAX_DOCUMENTS_PER_KNOWLEDGE_BASE,
+  KNOWLEDGE_TOP_K,
+  validateKnowledgeBase,
+  toKnowledgeBaseFields,
+  chunkText,
+  normalizeVector,
+  describeEmbedder,
+  sameEmbedder,
+  createKnowledgeIndex,
+  buildKnowledgeInstruction,
+  toSources
+};
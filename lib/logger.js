@@ -0,0 +1,130 @@
+// Structured logs: one JSON object per line on stdout (stderr for warnings and
+// errors), so a log collector can parse them without patterns. Lines written
+// while a request is handled carry its requestId.
+//
+//   LOG_LEVEL   "debug", "info" (default), "warn" or "error"
+//   LOG_FORMAT  "json" (default) or "text" for plain lines while developing
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+// Request ids given by a proxy are reused when they look like one
+const REQUEST_ID_PATTERN = /^[a-zA-Z0-9._-]{8,128}$/;
+
+// Holds { requestId } for the request being handled
+const requestContext = new AsyncLocalStorage();
+
+// Errors become { name, message, code?, status?, stack } so they survive JSON
+function toLogFields(fields) {
+  if (fields instanceof Error) {
+    return { error: serializeError(fields) };
+  }
+  if (!fields) return {};
+
+  const result = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  });
+  return result;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.status ? { status: error.status } : {}),
+    stack: error.stack
+  };
+}
+
+function write(level, message, fields) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...(context ? { requestId: context.requestId } : {}),
+    ...toLogFields(fields)
+  };
+  const line = LOG_FORMAT === 'json' ? JSON.stringify(entry) : toTextLine(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// "20:02:47.025 INFO  request (requestId=..., method=POST, path=/api/chat, ...)"
+function toTextLine({ time, level, msg, error, ...fields }) {
+  const details = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  const line = `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+  return error ? `${line}\n${error.stack || error.message}` : line;
+}
+
+// log.info('message', { field: value }); error and warn also take an Error
+const log = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+// Give every request an id (the caller's X-Request-Id when usable), send it
+// back in the response and log the request once it is done, or once the
+// client went away (closedEarly). onFinish hears about each request with the
+// same fields, for metrics.
+function logRequests({ onFinish } = {}) {
+  return (req, res, next) => {
+    const given = req.get('X-Request-Id');
+    const requestId = given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+    const start = process.hrtime.bigint();
+    // Mounted middleware rewrites req.path, so keep the full one
+    const { path } = req;
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('close', () => requestContext.run({ requestId }, () => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const details = {
+        method: req.method,
+        path,
+        route: toRouteLabel(req, res, path),
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        ...(res.locals.errorCode ? { errorCode: res.locals.errorCode } : {}),
+        ...(res.writableFinished ? {} : { closedEarly: true }),
+        ...(req.user ? { userId: req.user.id } : {}),
+        ip: req.ip
+      };
+      // Static files would drown out everything else
+      const level = res.statusCode >= 500 ? 'error' : details.route === 'static' ? 'debug' : 'info';
+      write(level, 'request', details);
+      if (onFinish) onFinish({ ...details, seconds: durationMs / 1000 });
+    }));
+
+    requestContext.run({ requestId }, next);
+  };
+}
+
+// The route pattern ("/api/conversations/:id") rather than the path, so
+// labels stay few. API requests turned away before reaching a route (sign-in,
+// origin or rate limit checks) are "unrouted"; other requests without a route
+// are static files or misses.
+function toRouteLabel(req, res, path) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  if (/^\/(api|v1)(\/|$)/.test(path)) {
+    return 'unrouted';
+  }
+  return res.statusCode === 404 ? 'unmatched' : 'static';
+}
+
+module.exports = {
+  LOG_LEVEL,
+  log,
+  logRequests
+};
@@ -0,0 +1,103 @@
+// Helpers for chat messages in the Gemini { role, parts } shape.
+// parts is an array of { text } and { inlineData: { mimeType, data } } parts.
+// Text parts that hold an attached document also carry a `file` field with its
+// name and kind. Older replies, exports and API clients may send a plain
+// string instead, which is read as a single text part.
+
+const MAX_IMAGES_PER_MESSAGE = 4;
+
+function normalizeParts(parts) {
+  if (typeof parts === 'string') return [{ text: parts }];
+  return Array.isArray(parts) ? parts : [];
+}
+
+// Joined text of a message's parts, optionally leaving out attached documents
+function getText(parts, { includeFiles = true } = {}) {
+  return normalizeParts(parts)
+    .filter(part => typeof part.text === 'string' && (includeFiles || !part.file))
+    .map(part => part.text)
+    .join('\n');
+}
+
+// Parts as the model API expects them, without app-only metadata. Function
+// calls and responses only occur inside a reply's tool rounds.
+function toApiParts(parts) {
+  return normalizeParts(parts).map(part => {
+    if (part.inlineData) return { inlineData: part.inlineData };
+    if (part.functionCall) return { functionCall: part.functionCall };
+    if (part.functionResponse) return { functionResponse: part.functionResponse };
+    return { text: part.text };
+  });
+}
+
+function getImages(parts) {
+  return normalizeParts(parts)
+    .filter(part => part.inlineData)
+    .map(part => part.inlineData);
+}
+
+// Images and attached documents of a message, i.e. everything but the typed text
+function getAttachmentParts(parts) {
+  return normalizeParts(parts).filter(part => part.inlineData || part.file);
+}
+
+function hasImages(messages) {
+  return messages.some(msg => getImages(msg.parts).length > 0);
+}
+
+// Parse a base64 data URL ("data:image/png;base64,...") into an inline data part
+function parseDataUrl(dataUrl) {
+  const match = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(dataUrl || '');
+  if (!match) return null;
+  return { mimeType: match[1], data: match[2].replace(/\s/g, '') };
+}
+
+// Turn the { data, type, name } images sent by the client into inline data parts.
+// Returns { parts } or { error } with a message suitable for a 400 response.
+function parseImages(images) {
+  if (!Array.isArray(images)) {
+    return { error: 'Images must be an array' };
+  }
+  if (images.length > MAX_IMAGES_PER_MESSAGE) {
+    return { error: `A message can include at most ${MAX_IMAGES_PER_MESSAGE} images` };
+  }
+
+  const parts = [];
+  for (const image of images) {
+    const inlineData = parseDataUrl(image && image.data);
+    if (!inlineData || !inlineData.mimeType.startsWith('image/')) {
+      return { error: 'Each image must be a base64 image data URL' };
+    }
+    parts.push({ inlineData });
+  }
+  return { parts };
+}
+
+// Parts for a new user turn: the text followed by any attachments. A message
+// of images alone has no (empty) text part, which Gemini would reject.
+function buildUserParts(message, attachmentParts = []) {
+  if (!message && attachmentParts.length > 0) return attachmentParts;
+  return [{ text: message }, ...attachmentParts];
+}
+
+function isValidParts(parts) {
+  if (typeof parts === 'string') return true;
+  return Array.isArray(parts) && parts.every(part =>
+    part && (typeof part.text === 'string' ||
+      (part.inlineData && typeof part.inlineData.mimeType === 'string' && typeof part.inlineData.data === 'string'))
+  );
+}
+
+module.exports = {
+  MAX_IMAGES_PER_MESSAGE,
+  normalizeParts,
+  getText,
+  toApiParts,
+  getImages,
+  getAttachmentParts,
+  hasImages,
+  parseDataUrl,
+  parseImages,
+  buildUserParts,
+  isValidParts
+};
@@ -0,0 +1,174 @@
+// Prometheus metrics, served in the text exposition format at /metrics:
+//
+//   http_requests_total{method,route,status}                          requests handled
+//   http_request_duration_seconds{method,route}                       histogram of response times
+//   api_errors_total{code}                                            failed requests by error code (see lib/errors.js)
+//   upstream_request_duration_seconds{service,operation,model,outcome} histogram of model and embedding calls, retries included
+//   tokens_total{model,type}                                          prompt and completion tokens used
+//   response_cache_lookups_total{result}                              response cache hits and misses
+//
+// plus a few process gauges. Everything lives in memory and starts over with
+// the process, which is what Prometheus expects of counters.
+//
+//   METRICS_TOKEN   when set, /metrics needs "Authorization: Bearer <token>"
+//   METRICS_PUBLIC  "true" to serve /metrics to anyone without a token; with
+//                   neither set, /metrics answers 404
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const METRICS_PUBLIC = process.env.METRICS_PUBLIC === 'true';
+
+// Seconds; model calls take far longer than the app's own requests
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const UPSTREAM_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30, 60, 120];
+
+// A metric keeps one series per combination of label values
+function createSeries() {
+  const series = new Map();
+  return {
+    get(labels, create) {
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) series.set(key, { labels, value: create() });
+      return series.get(key).value;
+    },
+    entries: () => [...series.values()]
+  };
+}
+
+function createCounter(name, help) {
+  const series = createSeries();
+  return {
+    inc(labels = {}, amount = 1) {
+      const counter = series.get(labels, () => ({ count: 0 }));
+      counter.count += amount;
+    },
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...series.entries().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value.count}`)
+      ];
+    }
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const series = createSeries();
+  return {
+    observe(labels, seconds) {
+      const histogram = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) histogram.counts[i]++;
+      });
+      histogram.sum += seconds;
+      histogram.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.entries().forEach(({ labels, value }) => {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${value.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${value.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+      });
+      return lines;
+    }
+  };
+}
+
+// A gauge read when metrics are scraped
+function createGauge(name, help, read) {
+  return {
+    render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${read()}`]
+  };
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// The app's metrics and the helpers that record them
+function createMetrics() {
+  const startedAt = Date.now();
+
+  const requests = createCounter('http_requests_total', 'HTTP requests handled');
+  const requestDuration = createHistogram('http_request_duration_seconds', 'Time to answer HTTP requests', HTTP_BUCKETS);
+  const errors = createCounter('api_errors_total', 'Error responses by error code');
+  const upstreamDuration = createHistogram('upstream_request_duration_seconds', 'Time taken by model and embedding calls, retries included', UPSTREAM_BUCKETS);
+  const tokens = createCounter('tokens_total', 'Tokens used by model requests');
+  const cacheLookups = createCounter('response_cache_lookups_total', 'Response cache lookups');
+  const all = [
+    requests,
+    requestDuration,
+    errors,
+    upstreamDuration,
+    tokens,
+    cacheLookups,
+    createGauge('process_uptime_seconds', 'Seconds since the server started', () => (Date.now() - startedAt) / 1000),
+    createGauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss),
+    createGauge('nodejs_heap_used_bytes', 'V8 heap in use', () => process.memoryUsage().heapUsed)
+  ];
+
+  return {
+    // A finished HTTP request, as reported by lib/logger.js. errorCode is set
+    // for error responses and for streams that ended with an error.
+    recordRequest({ method, route, status, seconds, errorCode }) {
+      requests.inc({ method, route, status: String(status) });
+      requestDuration.observe({ method, route }, seconds);
+      if (errorCode) errors.inc({ code: errorCode });
+    },
+
+    recordUpstream({ service, operation, model, outcome, seconds }) {
+      upstreamDuration.observe({ service, operation, model: model || 'unknown', outcome }, seconds);
+    },
+
+    recordTokens(model, usage) {
+      if (!usage) return;
+      tokens.inc({ model, type: 'prompt' }, usage.promptTokens || 0);
+      tokens.inc({ model, type: 'completion' }, usage.completionTokens || 0);
+    },
+
+    recordCacheLookup(hit) {
+      cacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+    },
+
+    render() {
+      return `${all.flatMap(metric => metric.render()).join('\n')}\n`;
+    }
+  };
+}
+
+// Time every call of an object's async methods (a provider or an embedder).
+// outcome is "ok", "error" or "aborted" (stopped by the client).
+function withUpstreamTiming(target, methods, { service, onCall }) {
+  const timed = { ...target };
+  methods.forEach((method) => {
+    timed[method] = async (request) => {
+      const start = process.hrtime.bigint();
+      let outcome = 'ok';
+      try {
+        return await target[method](request);
+      } catch (error) {
+        outcome = error.name === 'AbortError' ? 'aborted' : 'error';
+        throw error;
+      } finally {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        onCall({ service, operation: method, model: request.model || target.model, outcome, seconds });
+      }
+    };
+  });
+  return timed;
+}
+
+module.exports = {
+  METRICS_PUBLIC,
+  METRICS_TOKEN,
+  createMetrics,
+  withUpstreamTiming
+};
@@ -0,0 +1,77 @@
+const { log } = require('./logger');
+
+// Registry of the Gemini models the app can use.
+// contextLength is the input token limit, maxOutputTokens the reply limit.
+// systemInstructions tells whether the model accepts a separate system prompt.
+const MODELS = [
+  {
+    id: 'gemini-1.5-flash',
+    name: 'Gemini 1.5 Flash',
+    description: 'Fast and efficient for most tasks, supports image analysis',
+    capabilities: { text: true, vision: true, systemInstructions: true },
+    contextLength: 1048576,
+    maxOutputTokens: 8192
+  },
+  {
+    id: 'gemini-1.5-pro',
+    name: 'Gemini 1.5 Pro',
+    description: 'More powerful for complex tasks, supports image analysis',
+    capabilities: { text: true, vision: true, systemInstructions: true },
+    contextLength: 2097152,
+    maxOutputTokens: 8192
+  },
+  {
+    id: 'gemini-1.0-pro',
+    name: 'Gemini 1.0 Pro',
+    description: 'Text-only model for simple conversations',
+    capabilities: { text: true, vision: false, systemInstructions: false },
+    contextLength: 30720,
+    maxOutputTokens: 2048
+  }
+];
+
+function getModel(id) {
+  return MODELS.find(model => model.id === id) || null;
+}
+
+// The default can be overridden with DEFAULT_MODEL, as long as it is registered
+let DEFAULT_MODEL = process.env.DEFAULT_MODEL || 'gemini-1.5-flash';
+if (!getModel(DEFAULT_MODEL)) {
+  log.warn(`DEFAULT_MODEL "${DEFAULT_MODEL}" is not a known model, using ${MODELS[0].id}`);
+  DEFAULT_MODEL = MODELS[0].id;
+}
+
+// Public description of every model, as returned by /api/models
+function listModels() {
+  return MODELS.map(model => ({
+    ...model,
+    capabilities: { ...model.capabilities },
+    type: model.capabilities.vision ? 'multimodal' : 'text',
+    default: model.id === DEFAULT_MODEL
+  }));
+}
+
+// Look up the requested model (or the default) and check it can handle the request.
+// Returns { model } on success or { error } with a message suitable for a 400 response.
+function resolveModel(id, { vision = false } = {}) {
+  if (id !== undefined && id !== null && typeof id !== 'string') {
+    return { error: 'Model must be a string' };
+  }
+
+  const model = getModel(id || DEFAULT_MODEL);
+  if (!model) {
+    return { error: `Unknown model "${id}". See /api/models for the available models.` };
+  }
+  if (vision && !model.capabilities.vision) {
+    return { error: `Model "${model.id}" does not support images. Choose a model with vision support.` };
+  }
+
+  return { model };
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  getModel,
+  listModels,
+  resolveModel
+};
@@ -0,0 +1,234 @@
+// Translation between the OpenAI chat-completions format and the app's own
+// chat requests, so OpenAI SDK clients can use this server as their base URL.
+//
+//   system / developer messages  -> system instructions (joined in order)
+//   user / assistant messages    -> { role: 'user' | 'model', parts } history
+//   image_url content parts      -> inline image parts (base64 data URLs only)
+//   temperature, top_p, max_tokens (or max_completion_tokens), stop
+//                                -> generation settings (lib/generation.js)
+//
+// Replies, stream chunks, usage and errors are returned in OpenAI's shapes.
+
+const crypto = require('crypto');
+const { parseDataUrl } = require('./messages');
+
+const SYSTEM_ROLES = ['system', 'developer'];
+const ROLES = { user: 'user', assistant: 'model' };
+
+// Gemini finish reasons -> OpenAI finish_reason
+const FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter'
+};
+
+// Error codes from lib/errors.js -> OpenAI error types
+const ERROR_TYPES = {
+  INVALID_REQUEST: 'invalid_request_error',
+  MODEL_UNAVAILABLE: 'invalid_request_error',
+  NOT_FOUND: 'invalid_request_error',
+  CONFLICT: 'invalid_request_error',
+  PAYLOAD_TOO_LARGE: 'invalid_request_error',
+  UNSUPPORTED_MEDIA_TYPE: 'invalid_request_error',
+  AUTHENTICATION_FAILED: 'authentication_error',
+  AUTH_REQUIRED: 'authentication_error',
+  FORBIDDEN: 'permission_error',
+  RATE_LIMITED: 'rate_limit_error',
+  UPSTREAM_UNAVAILABLE: 'server_error',
+  CANCELLED: 'server_error',
+  SERVICE_UNAVAILABLE: 'server_error',
+  INTERNAL_ERROR: 'server_error'
+};
+
+// Codes OpenAI clients know by name; the others are sent in lower case
+const ERROR_CODES = {
+  MODEL_UNAVAILABLE: 'model_not_found',
+  AUTH_REQUIRED: 'invalid_api_key'
+};
+
+// Turn a chat-completions request body into the body /api/chat takes (without
+// a conversationId). Returns { body } or { error, param } for a 400 response.
+function fromChatCompletionRequest(request) {
+  const { model, messages, n } = request || {};
+
+  if (typeof model !== 'string' || !model) {
+    return { error: 'you must provide a model parameter', param: 'model' };
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: 'messages must be a non-empty array', param: 'messages' };
+  }
+  if (n !== undefined && n !== null && n !== 1) {
+    return { error: 'Only n=1 is supported', param: 'n' };
+  }
+
+  const system = [];
+  const history = [];
+  for (const [index, msg] of messages.entries()) {
+    const param = `messages[${index}]`;
+    if (!msg || typeof msg !== 'object') {
+      return { error: `${param} must be an object`, param };
+    }
+
+    const { parts, error } = toParts(msg.content, param);
+    if (error) {
+      return { error, param };
+    }
+
+    if (SYSTEM_ROLES.includes(msg.role)) {
+      if (parts.some(part => part.inlineData)) {
+        return { error: `${param}: system messages can only contain text`, param };
+      }
+      system.push(...parts.map(part => part.text));
+    } else if (ROLES[msg.role]) {
+      history.push({ role: ROLES[msg.role], parts });
+    } else {
+      return { error: `${param}: unsupported role "${msg.role}"`, param };
+    }
+  }
+
+  // The last message is the new turn; everything before it is history
+  const last = history.pop();
+  if (!last || last.role !== 'user') {
+    return { error: 'The last message must come from the user', param: 'messages' };
+  }
+
+  const body = {
+    model,
+    history,
+    message: last.parts.filter(part => part.text !== undefined).map(part => part.text).join('\n'),
+    images: last.parts.filter(part => part.inlineData).map(part => ({ data: toDataUrl(part.inlineData) })),
+    systemPrompt: system.join('\n\n'),
+    generationSettings: toGenerationSettings(request)
+  };
+  return { body };
+}
+
+// OpenAI content is a string or an array of text and image_url parts
+function toParts(content, param) {
+  if (typeof content === 'string') {
+    return { parts: [{ text: content }] };
+  }
+  if (!Array.isArray(content)) {
+    return { error: `${param}.content must be a string or an array of content parts` };
+  }
+
+  const parts = [];
+  for (const part of content) {
+    if (part && part.type === 'text' && typeof part.text === 'string') {
+      parts.push({ text: part.text });
+    } else if (part && part.type === 'image_url') {
+      const url = part.image_url && (typeof part.image_url === 'string' ? part.image_url : part.image_url.url);
+      const inlineData = parseDataUrl(url);
+      if (!inlineData || !inlineData.mimeType.startsWith('image/')) {
+        return { error: `${param}: images must be base64 data URLs (data:image/...;base64,...)` };
+      }
+      parts.push({ inlineData });
+    } else {
+      return { error: `${param}: unsupported content part type "${part && part.type}"` };
+    }
+  }
+  return { parts };
+}
+
+function toDataUrl({ mimeType, data }) {
+  return `data:${mimeType};base64,${data}`;
+}
+
+// Sampling parameters in the app's settings shape; they are validated like any
+// other generation settings. Parameters Gemini has no equivalent for are ignored.
+function toGenerationSettings({ temperature, top_p: topP, max_tokens: maxTokens, max_completion_tokens: maxCompletionTokens, stop }) {
+  const settings = {};
+  if (temperature !== undefined && temperature !== null) settings.temperature = temperature;
+  if (topP !== undefined && topP !== null) settings.topP = topP;
+
+  const maxOutputTokens = maxCompletionTokens !== undefined && maxCompletionTokens !== null ? maxCompletionTokens : maxTokens;
+  if (maxOutputTokens !== undefined && maxOutputTokens !== null) settings.maxOutputTokens = maxOutputTokens;
+
+  if (typeof stop === 'string') {
+    settings.stopSequences = [stop];
+  } else if (stop !== undefined && stop !== null) {
+    settings.stopSequences = stop;
+  }
+  return settings;
+}
+
+function createCompletionId() {
+  return `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function toFinishReason(finishReason) {
+  return FINISH_REASONS[finishReason] || 'stop';
+}
+
+function toUsage({ promptTokens, completionTokens, totalTokens }) {
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: totalTokens };
+}
+
+// A chat result (see toChatResult in server.js) as a chat.completion object
+function toChatCompletion(result, { id = createCompletionId(), created = nowInSeconds() } = {}) {
+  return {
+    id,
+    object: 'chat.completion',
+    created,
+    model: result.model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: result.response },
+      finish_reason: toFinishReason(result.finishReason)
+    }],
+    usage: toUsage(result.usage)
+  };
+}
+
+// One chat.completion.chunk of a streamed reply. The first carries the role,
+// the last the finish reason; a final usage chunk has no choices.
+function toChatCompletionChunk({ id, created, model }, { delta = {}, finishReason = null, usage } = {}) {
+  const chunk = {
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: usage ? [] : [{ index: 0, delta, finish_reason: finishReason && toFinishReason(finishReason) }]
+  };
+  if (usage) {
+    chunk.usage = toUsage(usage);
+  }
+  return chunk;
+}
+
+// An { status, body } error response (see lib/errors.js) in OpenAI's shape
+function toOpenAIError({ status, body }, param = null) {
+  return {
+    status,
+    body: {
+      error: {
+        message: body.error,
+        type: ERROR_TYPES[body.code] || 'server_error',
+        param,
+        code: ERROR_CODES[body.code] || body.code.toLowerCase()
+      }
+    }
+  };
+}
+
+function toModel(model) {
+  return { id: model.id, object: 'model', created: 0, owned_by: 'google' };
+}
+
+function nowInSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+module.exports = {
+  fromChatCompletionRequest,
+  createCompletionId,
+  toChatCompletion,
+  toChatCompletionChunk,
+  toOpenAIError,
+  toModel,
+  nowInSeconds
+};
@@ -0,0 +1,106 @@
+// Personas are named, reusable system instructions. A few built-in personas
+// ship with the app; the ones users create are stored in the "personas"
+// collection. A conversation can pick one persona and add its own instructions.
+
+const MAX_PERSONA_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_SYSTEM_PROMPT_LENGTH = 8000;
+
+const BUILTIN_PERSONAS = [
+  {
+    id: 'builtin-code-reviewer',
+    name: 'Code reviewer',
+    description: 'Reviews code for bugs, readability and missing tests',
+    systemPrompt: 'You are a senior software engineer doing a code review. Point out bugs, edge cases, ' +
+      'security problems and unclear naming before style nits. Quote the lines you comment on, explain ' +
+      'why each issue matters and suggest a concrete fix. Say so plainly when the code looks good.'
+  },
+  {
+    id: 'builtin-sql-helper',
+    name: 'Concise SQL helper',
+    description: 'Short answers with a single SQL query',
+    systemPrompt: 'You help write and fix SQL. Answer with one SQL query in a fenced code block followed by ' +
+      'at most two sentences of explanation. Use standard SQL unless the user names a database, and ask ' +
+      'for the table schema if you would otherwise have to guess column names.'
+  },
+  {
+    id: 'builtin-teacher',
+    name: 'Patient teacher',
+    description: 'Step-by-step explanations for beginners',
+    systemPrompt: 'You are a patient teacher. Explain ideas step by step in plain language, define jargon ' +
+      'the first time you use it, and end with a short example or a question that checks understanding.'
+  }
+].map(persona => ({ ...persona, builtin: true }));
+
+function getBuiltinPersona(id) {
+  return BUILTIN_PERSONAS.find(persona => persona.id === id) || null;
+}
+
+function isBuiltinPersona(id) {
+  return getBuiltinPersona(id) !== null;
+}
+
+// Validate persona fields sent by the client. With `partial`, missing fields are
+// allowed (for updates). Returns an error message or null.
+function validatePersona(data, { partial = false } = {}) {
+  const { name, description, systemPrompt } = data || {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'Persona name is required';
+    }
+    if (name.trim().length > MAX_PERSONA_NAME_LENGTH) {
+      return `Persona names can be at most ${MAX_PERSONA_NAME_LENGTH} characters`;
+    }
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `Description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if (systemPrompt !== undefined || !partial) {
+    if (typeof systemPrompt !== 'string' || !systemPrompt.trim()) {
+      return 'Persona instructions are required';
+    }
+    const error = validateSystemPrompt(systemPrompt);
+    if (error) return error;
+  }
+  return null;
+}
+
+function validateSystemPrompt(systemPrompt) {
+  if (typeof systemPrompt !== 'string') {
+    return 'System prompt must be a string';
+  }
+  if (systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+    return `System prompts can be at most ${MAX_SYSTEM_PROMPT_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Only the editable fields, trimmed
+function toPersonaFields({ name, description, systemPrompt }) {
+  const fields = {};
+  if (name !== undefined) fields.name = name.trim();
+  if (description !== undefined) fields.description = description.trim();
+  if (systemPrompt !== undefined) fields.systemPrompt = systemPrompt.trim();
+  return fields;
+}
+
+// The system instruction sent to the model: the persona first, then the
+// conversation's own instructions. Null when there are neither.
+function buildSystemInstruction(persona, systemPrompt) {
+  const parts = [persona && persona.systemPrompt, systemPrompt]
+    .filter(text => typeof text === 'string' && text.trim())
+    .map(text => text.trim());
+  return parts.length > 0 ? parts.join('\n\n') : null;
+}
+
+module.exports = {
+  BUILTIN_PERSONAS,
+  MAX_SYSTEM_PROMPT_LENGTH,
+  getBuiltinPersona,
+  isBuiltinPersona,
+  validatePersona,
+  validateSystemPrompt,
+  toPersonaFields,
+  buildSystemInstruction
+};
@@ -0,0 +1,202 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getText, getImages, toApiParts } = require('../messages');
+const { SAFETY_CATEGORIES } = require('../generation');
+
+// Provider backed by the Google Gemini API. Requests with their own apiKey
+// (a user's personal key) use it instead of the shared one.
+function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  function getModel(model, { system, settings = {}, apiKey: ownKey, tools, toolMode } = {}) {
+    const client = ownKey ? new GoogleGenerativeAI(ownKey) : genAI;
+    return client.getGenerativeModel({
+      model,
+      ...(system ? { systemInstruction: system } : {}),
+      ...toModelParams(settings),
+      ...toToolParams(tools, toolMode)
+    });
+  }
+
+  function startChat({ model, history, ...options }) {
+    return getModel(model, options).startChat({
+      history: history.map(msg => ({
+        role: msg.role,
+        parts: toApiParts(msg.parts),
+      })),
+    });
+  }
+
+  // Read text and finish details from each chunk. chunk.text() throws when a
+  // reply is blocked, so the candidate parts are read directly instead.
+  async function collect(stream, onChunk) {
+    let reply = { text: '' };
+    for await (const chunk of stream) {
+      const { text, functionCalls, ...details } = readResponse(chunk);
+      if (text && onChunk) onChunk(text);
+      reply = { ...reply, ...details, text: reply.text + text };
+      if (functionCalls) {
+        reply.functionCalls = [...(reply.functionCalls || []), ...functionCalls];
+      }
+    }
+    return reply;
+  }
+
+  return {
+    name: 'gemini',
+
+    chat: withErrorDetails(async ({ model, history = [], message, system, settings, apiKey, tools, toolMode, signal }) => {
+      const chat = startChat({ model, history, system, settings, apiKey, tools, toolMode });
+      const result = await chat.sendMessage(toApiParts(message), { signal });
+      return readResponse(await result.response);
+    }),
+
+    stream: withErrorDetails(async ({ model, history = [], message, system, settings, apiKey, tools, toolMode, onChunk, signal }) => {
+      const chat = startChat({ model, history, system, settings, apiKey, tools, toolMode });
+      const result = await chat.sendMessageStream(toApiParts(message), { signal });
+      return collect(result.stream, onChunk);
+    }),
+
+    // Single-turn request with images; streams when onChunk is given
+    vision: withErrorDetails(async ({ model, prompt, images, apiKey: ownKey, onChunk, signal }) => {
+      const generativeModel = getModel(model, { apiKey: ownKey });
+      const request = [prompt, ...images.map(toInlineData)];
+
+      if (onChunk) {
+        const result = await generativeModel.generateContentStream(request, { signal });
+        return collect(result.stream, onChunk);
+      }
+
+      const result = await generativeModel.generateContent(request, { signal });
+      return readResponse(await result.response);
+    }),
+
+    // An empty message (e.g. counting a draft) is left out, since the API rejects empty text
+    countTokens: withErrorDetails(async ({ model, history = [], message, system, apiKey: ownKey }) => {
+      const contents = [
+        ...history.map(msg => ({ role: msg.role, parts: toApiParts(msg.parts) })),
+        ...(getText(message) || getImages(message).length > 0 ? [{ role: 'user', parts: toApiParts(message) }] : [])
+      ];
+      if (contents.length === 0 && !system) {
+        return { totalTokens: 0 };
+      }
+      const { totalTokens } = await getModel(model, { system, apiKey: ownKey }).countTokens({ contents });
+      return { totalTokens };
+    })
+  };
+}
+
+// The SDK's fetch errors already carry the HTTP `status`. Rate limit errors also
+// list a RetryInfo detail with the wait Gemini asks for (e.g. "17s"), which is
+// passed on as `retryAfter` in ms. Aborted requests are renamed AbortError.
+function withErrorDetails(method) {
+  return async (request) => {
+    try {
+      return await method(request);
+    } catch (error) {
+      if (request.signal && request.signal.aborted) {
+        error.name = 'AbortError';
+      }
+
+      const retryInfo = (error.errorDetails || []).find(detail => /RetryInfo$/.test(detail['@type'] || ''));
+      const seconds = retryInfo ? parseFloat(retryInfo.retryDelay) : NaN;
+      if (seconds >= 0) {
+        error.retryAfter = seconds * 1000;
+      }
+      throw error;
+    }
+  };
+}
+
+// Map the app's generation settings to Gemini's generationConfig and safetySettings
+function toModelParams({ temperature, topP, topK, maxOutputTokens, stopSequences, safety } = {}) {
+  const generationConfig = Object.fromEntries(
+    Object.entries({ temperature, topP, topK, maxOutputTokens, stopSequences })
+      .filter(([, value]) => value !== undefined)
+  );
+  const safetySettings = Object.entries(safety || {}).map(([category, threshold]) => ({
+    category: SAFETY_CATEGORIES[category],
+    threshold
+  }));
+
+  return {
+    ...(Object.keys(generationConfig).length > 0 ? { generationConfig } : {}),
+    ...(safetySettings.length > 0 ? { safetySettings } : {})
+  };
+}
+
+// Function declarations as Gemini's tools. toolMode 'none' forbids calls but
+// keeps the declarations, which earlier function calls in the history refer to.
+function toToolParams(tools, toolMode) {
+  if (!tools || tools.length === 0) return {};
+  return {
+    tools: [{
+      functionDeclarations: tools.map(({ name, description, parameters }) => ({
+        name,
+        description,
+        parameters: toGeminiSchema(parameters)
+      }))
+    }],
+    ...(toolMode === 'none' ? { toolConfig: { functionCallingConfig: { mode: 'NONE' } } } : {})
+  };
+}
+
+// Gemini's schema is a subset of JSON schema with upper-case type names
+function toGeminiSchema({ type, description, properties, required, items, enum: values }) {
+  const schema = { type: type.toUpperCase() };
+  if (description) schema.description = description;
+  if (values) schema.enum = values;
+  if (items) schema.items = toGeminiSchema(items);
+  if (properties) {
+    schema.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, property]) => [key, toGeminiSchema(property)])
+    );
+    if (required && required.length > 0) schema.required = required;
+  }
+  return schema;
+}
+
+// Text, finish reason, safety ratings, token usage and function calls of a
+// response or stream chunk. A blocked prompt has no candidates, only promptFeedback.
+function readResponse(response) {
+  const candidate = (response.candidates || [])[0];
+  const feedback = response.promptFeedback || {};
+  const details = {};
+
+  if (candidate && candidate.finishReason) {
+    details.finishReason = candidate.finishReason;
+  } else if (feedback.blockReason) {
+    details.finishReason = feedback.blockReason;
+  }
+
+  const safetyRatings = (candidate && candidate.safetyRatings) || feedback.safetyRatings;
+  if (safetyRatings && safetyRatings.length > 0) {
+    details.safetyRatings = safetyRatings.map(({ category, probability }) => ({ category, probability }));
+  }
+
+  // Streams report usage so far with each chunk; the last one has the totals
+  if (response.usageMetadata) {
+    const { promptTokenCount = 0, candidatesTokenCount = 0 } = response.usageMetadata;
+    details.usage = { promptTokens: promptTokenCount, completionTokens: candidatesTokenCount };
+  }
+
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+  const functionCalls = parts
+    .filter(part => part.functionCall)
+    .map(({ functionCall }) => ({ name: functionCall.name, args: functionCall.args || {} }));
+  if (functionCalls.length > 0) {
+    details.functionCalls = functionCalls;
+  }
+
+  return { text: parts.map(part => part.text || '').join(''), ...details };
+}
+
+function toInlineData(image) {
+  return {
+    inlineData: {
+      data: image.data,
+      mimeType: image.mimeType
+    }
+  };
+}
+
+module.exports = { createGeminiProvider, withErrorDetails };
@@ -0,0 +1,82 @@
+const { createGeminiProvider } = require('./gemini');
+const { createMockProvider } = require('./mock');
+const { withRetries } = require('../retry');
+
+// Every provider exposes the same async methods:
+//
+//   chat({ model, history, message, system?, settings?, tools? })              -> reply
+//   stream({ model, history, message, system?, settings?, tools?, onChunk })   -> reply, calling onChunk(text) per piece
+//   vision({ model, prompt, images, onChunk? })                                -> reply, images are { mimeType, data (base64) }
+//   countTokens({ model, history, message, system? })                          -> { totalTokens }
+//
+// A reply is { text, finishReason?, safetyRatings?, usage?, functionCalls? } where finishReason uses
+// Gemini's names (STOP, MAX_TOKENS, SAFETY, ...), safetyRatings is a list of
+// { category, probability } and usage is { promptTokens, completionTokens }.
+// history uses the app's { role: 'user' | 'model', parts }
+// shape, system is an optional string of system instructions and settings are
+// the generation settings described in lib/generation.js.
+//
+// tools are function declarations { name, description, parameters (JSON schema) }
+// (see lib/tools.js). When the model wants to call some, the reply lists them as
+// functionCalls [{ name, args }]. The caller runs them and continues with the
+// model's { functionCall } parts in history, followed by a message of
+// { functionResponse: { name, response } } parts (role 'function' in history).
+// toolMode 'none' keeps the declarations but asks for a text answer.
+//
+// Every method also accepts an optional `apiKey` that replaces the provider's
+// configured key for that request (a user's own Gemini key).
+//
+// chat, stream and vision also accept an AbortSignal as `signal`; once it fires
+// they stop reading from the model and reject with an error named AbortError.
+//
+// Errors should carry `status` (the upstream HTTP status, if any) and
+// `retryAfter` (ms, if the upstream asked for a wait) so lib/errors.js can
+// classify them. Transient ones are retried here, so every method also accepts
+// an optional onRetry({ attempt, delay, error }) callback. To add another
+// backend (for example an OpenAI-compatible or Ollama HTTP API), implement these
+// methods in a new module and register its factory below.
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  mock: createMockProvider
+};
+
+// Build the provider named by LLM_PROVIDER (defaults to Gemini)
+function createProvider(name = process.env.LLM_PROVIDER || 'gemini', options) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return withProviderRetries(factory(options));
+}
+
+// Retry transient failures of every method. A stream is only retried until its
+// first chunk, since text already sent to the client cannot be taken back.
+function withProviderRetries(provider) {
+  const retrying = (method) => ({ onRetry, ...request }) =>
+    withRetries(() => provider[method](request), { onRetry, signal: request.signal });
+
+  return {
+    name: provider.name,
+    chat: retrying('chat'),
+    vision: retrying('vision'),
+    countTokens: retrying('countTokens'),
+
+    stream({ onRetry, onChunk, ...request }) {
+      let started = false;
+      const forward = (text) => {
+        started = true;
+        onChunk(text);
+      };
+      return withRetries(() => provider.stream({ ...request, onChunk: forward }), {
+        onRetry,
+        signal: request.signal,
+        shouldRetry: () => !started
+      });
+    }
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider
+};
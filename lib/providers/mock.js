@@ -0,0 +1,217 @@
+const fs = require('fs');
+const { getText, getImages, normalizeParts } = require('../messages');
+
+// Deterministic offline provider for development and end-to-end testing.
+//
+// Replies come from a script file (MOCK_SCRIPT) whose rules are matched in order
+// against the user's message:
+//
+//   {
+//     "delay": 30,                      // ms between streamed chunks (default for all rules)
+//     "rules": [
+//       { "match": "hello", "reply": "Hi there!" },
+//       { "match": "slow", "reply": "Finally.", "delay": 1000 },
+//       { "match": "quota", "error": "API quota exceeded", "status": 429, "retryAfter": 30 },
+//       { "match": "busy", "error": "The model is overloaded", "status": 503, "failTimes": 2, "reply": "Made it." },
+//       { "match": "flaky", "reply": "This reply breaks", "failAfter": 2 },
+//       { "match": "unsafe", "reply": "", "finishReason": "SAFETY",
+//         "safetyRatings": [{ "category": "HARM_CATEGORY_DANGEROUS_CONTENT", "probability": "HIGH" }] },
+//       { "match": "calculate", "toolCalls": [{ "name": "calculator", "args": { "expression": "6 * 7" } }] }
+//     ]
+//   }
+//
+// "match" is a case-insensitive regular expression. "error" makes the call throw
+// with the optional HTTP "status" and "retryAfter" (seconds); with "failTimes" it
+// throws that many times in a row before each normal reply, which exercises
+// retries. "failAfter" throws after that many streamed chunks. "finishReason" and
+// "safetyRatings" are returned with the reply, so an empty reply with a SAFETY
+// finish reason simulates a blocked answer. Messages without a matching rule get
+// an echo reply so every prompt has a predictable answer.
+//
+// "toolCalls" are requested as function calls when the request offers those
+// tools (and toolMode is not 'none'). The message with their results is
+// answered by listing them, after the rule's "reply" if it has one.
+//
+// An aborted signal stops the reply between chunks, as a client disconnect would.
+//
+// Generation settings are partly honored: each streamed word counts as one
+// token for maxOutputTokens, and the reply ends before the first stop sequence.
+// Usage is reported the same way, with the prompt estimated like countTokens.
+function createMockProvider({ scriptPath = process.env.MOCK_SCRIPT } = {}) {
+  const script = loadScript(scriptPath);
+  // Failures in a row so far, per rule with failTimes
+  const failures = new Map();
+
+  function findRule(message) {
+    const text = getText(message);
+    return script.rules.find(rule => new RegExp(rule.match, 'i').test(text)) || {};
+  }
+
+  function replyFor(rule, message, history) {
+    if (rule.reply !== undefined) return rule.reply;
+    const turn = history.filter(msg => msg.role === 'user').length + 1;
+    const images = getImages(message).length;
+    const attachments = images ? ` (with ${images} image${images === 1 ? '' : 's'})` : '';
+    return `Mock reply #${turn} to: "${getText(message)}"${attachments}`;
+  }
+
+  function shouldFail(rule) {
+    if (rule.failTimes === undefined) return true;
+    const count = failures.get(rule) || 0;
+    failures.set(rule, count < rule.failTimes ? count + 1 : 0);
+    return count < rule.failTimes;
+  }
+
+  // Emit the reply word by word, honoring the rule's delay and failure settings
+  async function run(rule, reply, { onChunk, settings = {}, signal } = {}) {
+    const delay = rule.delay !== undefined ? rule.delay : script.delay;
+
+    if (rule.error && shouldFail(rule)) {
+      await sleep(delay, signal);
+      throwIfAborted(signal);
+      throw createError(rule);
+    }
+
+    let finishReason = rule.finishReason || 'STOP';
+    const stopAt = findStopSequence(reply, settings.stopSequences);
+    if (stopAt !== -1) {
+      reply = reply.slice(0, stopAt);
+    }
+
+    let chunks = reply.match(/\S+\s*|\s+/g) || [];
+    if (settings.maxOutputTokens !== undefined && chunks.length > settings.maxOutputTokens) {
+      chunks = chunks.slice(0, settings.maxOutputTokens);
+      finishReason = 'MAX_TOKENS';
+    }
+
+    let text = '';
+    for (let i = 0; i < chunks.length; i++) {
+      if (rule.failAfter !== undefined && i >= rule.failAfter) {
+        throw createError({ error: 'Mock stream interrupted', status: rule.status });
+      }
+      await sleep(delay, signal);
+      throwIfAborted(signal);
+      text += chunks[i];
+      if (onChunk) onChunk(chunks[i]);
+    }
+
+    const result = { text, finishReason };
+    if (rule.safetyRatings) result.safetyRatings = rule.safetyRatings;
+    return result;
+  }
+
+  // Function calls the rule asks for, limited to the tools on offer
+  function findToolCalls(rule, { tools = [], toolMode }) {
+    if (!rule.toolCalls || toolMode === 'none') return [];
+    return rule.toolCalls.filter(call => tools.some(tool => tool.name === call.name));
+  }
+
+  // Rule for the user message a tool round belongs to
+  function findRuleBefore(history) {
+    const userMessage = [...history].reverse().find(msg => msg.role === 'user');
+    return userMessage ? findRule(userMessage.parts) : {};
+  }
+
+  // Answer a request, or the function results of an earlier tool round
+  async function respond({ history = [], message, system, settings, tools, toolMode, onChunk, signal }) {
+    const results = normalizeParts(message).filter(part => part.functionResponse);
+    if (results.length > 0) {
+      const rule = findRuleBefore(history);
+      const listed = results
+        .map(({ functionResponse }) => `${functionResponse.name}: ${JSON.stringify(functionResponse.response)}`)
+        .join('; ');
+      const reply = await run({ delay: rule.delay }, `${rule.reply ? `${rule.reply} ` : ''}Tool results: ${listed}`, { onChunk, settings, signal });
+      return withUsage(reply, { history, message, system });
+    }
+
+    const rule = findRule(message);
+    const functionCalls = findToolCalls(rule, { tools, toolMode });
+    if (functionCalls.length > 0) {
+      const reply = await run({ delay: rule.delay }, '', { settings, signal });
+      return withUsage({ ...reply, functionCalls }, { history, message, system });
+    }
+
+    const reply = await run(rule, replyFor(rule, message, history), { onChunk, settings, signal });
+    return withUsage(reply, { history, message, system });
+  }
+
+  return {
+    name: 'mock',
+
+    chat: ({ onChunk, ...request }) => respond(request),
+
+    stream: respond,
+
+    async vision({ prompt, images, onChunk, signal }) {
+      const rule = findRule(prompt);
+      const reply = rule.reply !== undefined
+        ? rule.reply
+        : `Mock analysis of ${images.length} image(s) (${images.map(image => image.mimeType).join(', ')}): "${prompt}"`;
+      return run(rule, reply, { onChunk, signal });
+    },
+
+    async countTokens(request) {
+      return { totalTokens: estimatePrompt(request) };
+    }
+  };
+}
+
+// Rough estimate of four characters per token, plus Gemini's flat 258 per image
+function estimatePrompt({ history = [], message, system }) {
+  const contents = [...(system ? [system] : []), ...history.map(msg => msg.parts), message];
+  const characters = contents.reduce((sum, parts) => sum + getText(parts).length, 0);
+  const images = contents.reduce((sum, parts) => sum + getImages(parts).length, 0);
+  return Math.ceil(characters / 4) + images * 258;
+}
+
+function withUsage(reply, request) {
+  const completionTokens = (reply.text.match(/\S+\s*|\s+/g) || []).length;
+  return { ...reply, usage: { promptTokens: estimatePrompt(request), completionTokens } };
+}
+
+function loadScript(scriptPath) {
+  const script = { delay: 20, rules: [] };
+  if (!scriptPath) return script;
+
+  const loaded = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  return {
+    delay: loaded.delay !== undefined ? loaded.delay : script.delay,
+    rules: Array.isArray(loaded.rules) ? loaded.rules : []
+  };
+}
+
+function findStopSequence(text, stopSequences = []) {
+  const positions = stopSequences.map(seq => text.indexOf(seq)).filter(index => index !== -1);
+  return positions.length > 0 ? Math.min(...positions) : -1;
+}
+
+function createError(rule) {
+  const error = new Error(rule.error);
+  if (rule.status) error.status = rule.status;
+  if (rule.retryAfter !== undefined) error.retryAfter = rule.retryAfter * 1000;
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Mock request aborted');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+// Resolves early when the signal fires, so aborting does not wait out a long delay
+function sleep(ms, signal) {
+  if (!(ms > 0)) return Promise.resolve();
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,84 @@
+// Request rate limits, counted in memory per key (an IP address or a user id)
+// over fixed one-minute windows. A limit of 0 turns that limit off.
+//
+//   RATE_LIMIT_PER_IP    requests per minute from one IP to /api and /v1 (default 300)
+//   RATE_LIMIT_PER_USER  model requests (chat, image analysis) per minute per user (default 20)
+
+const WINDOW_MS = 60 * 1000;
+
+// Drop finished windows once this many keys are tracked
+const MAX_TRACKED_KEYS = 10000;
+
+const RATE_LIMIT_PER_IP = readLimit('RATE_LIMIT_PER_IP', 300);
+const RATE_LIMIT_PER_USER = readLimit('RATE_LIMIT_PER_USER', 20);
+
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value >= 0 ? value : fallback;
+}
+
+// hit(key) counts a request, or `cost` requests for one that does the work of
+// several, and returns { allowed, limit, remaining, resetAt }
+function createRateLimiter({ limit, windowMs = WINDOW_MS }) {
+  const windows = new Map();
+
+  function prune(now) {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  return {
+    limit,
+
+    hit(key, { cost = 1, now = Date.now() } = {}) {
+      if (!limit) {
+        return { allowed: true, limit: 0, remaining: Infinity, resetAt: now };
+      }
+      if (windows.size >= MAX_TRACKED_KEYS) {
+        prune(now);
+      }
+
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += cost;
+
+      return {
+        allowed: entry.count <= limit,
+        limit,
+        remaining: Math.max(0, limit - entry.count),
+        resetAt: entry.resetAt
+      };
+    }
+  };
+}
+
+function secondsUntilReset({ resetAt }, now = Date.now()) {
+  return Math.max(1, Math.ceil((resetAt - now) / 1000));
+}
+
+// Standard RateLimit-* headers for a hit, plus Retry-After when it was refused
+function toRateLimitHeaders(hit, now = Date.now()) {
+  const { allowed, limit, remaining } = hit;
+  const reset = secondsUntilReset(hit, now);
+  const headers = {
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(reset)
+  };
+  if (!allowed) {
+    headers['Retry-After'] = String(reset);
+  }
+  return headers;
+}
+
+module.exports = {
+  RATE_LIMIT_PER_IP,
+  RATE_LIMIT_PER_USER,
+  createRateLimiter,
+  secondsUntilReset,
+  toRateLimitHeaders
+};
@@ -0,0 +1,169 @@
+// Cache of model replies, so a prompt asked again word for word (including
+// through regenerate) is answered without another model call. Entries are
+// keyed by a hash of everything the model would see: model, generation
+// settings, system instructions, history, the new message and its
+// attachments, plus the user who asked. Replies are only shared between
+// users when RESPONSE_CACHE_SHARED is turned on. Entries keep no prompt text,
+// so admins inspecting the cache do not see what users asked.
+//
+//   RESPONSE_CACHE              "off" (default), "memory", or "disk" to also keep entries in DATA_DIR/response-cache
+//   RESPONSE_CACHE_SHARED       "true" to answer every user who sends the same prompt from one entry
+//   RESPONSE_CACHE_TTL          seconds an entry is served for (default 86400)
+//   RESPONSE_CACHE_MAX_ENTRIES  entries kept before the least recently used are dropped (default 500)
+//   RESPONSE_CACHE_MAX_MB       total size of the cached replies in megabytes (default 20)
+
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+const RESPONSE_CACHE = ['memory', 'disk'].includes(process.env.RESPONSE_CACHE) ? process.env.RESPONSE_CACHE : 'off';
+const RESPONSE_CACHE_TTL = readSetting('RESPONSE_CACHE_TTL', 24 * 60 * 60);
+const RESPONSE_CACHE_MAX_ENTRIES = readSetting('RESPONSE_CACHE_MAX_ENTRIES', 500);
+const RESPONSE_CACHE_MAX_BYTES = readSetting('RESPONSE_CACHE_MAX_MB', 20) * 1024 * 1024;
+const RESPONSE_CACHE_SHARED = process.env.RESPONSE_CACHE_SHARED === 'true';
+
+function readSetting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+// Hash of the parts of a provider request that decide the reply, and of the
+// user it is kept for (null when replies are shared)
+function toCacheKey({ model, system = null, history, message, settings }, owner = null) {
+  const input = JSON.stringify({ owner, model, system, history, message, settings });
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+// An LRU of replies with a time to live. With a `store` (a collection from
+// lib/store.js) every entry is also written to disk, again on each hit, and
+// loaded back on start, and the store is kept to the same entries as memory.
+function createResponseCache({ ttlSeconds = RESPONSE_CACHE_TTL, maxEntries = RESPONSE_CACHE_MAX_ENTRIES, maxBytes = RESPONSE_CACHE_MAX_BYTES, store = null } = {}) {
+  // key -> entry, least recently used first
+  const entries = new Map();
+  let bytes = 0;
+  let hits = 0;
+  let misses = 0;
+
+  function forget(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    bytes -= entry.bytes;
+    if (store) {
+      store.remove(key).catch(error => log.error('Error removing cached reply', error));
+    }
+  }
+
+  function add(entry) {
+    entries.set(entry.id, entry);
+    bytes += entry.bytes;
+    // Drop the least recently used entries until the limits are met again
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries && bytes <= maxBytes) break;
+      forget(key);
+    }
+  }
+
+  function isExpired(entry, now = Date.now()) {
+    return Date.parse(entry.expiresAt) <= now;
+  }
+
+  // Entries stored by an earlier run, oldest use first
+  const ready = store ? store.list().then((stored) => {
+    stored
+      .sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt))
+      .forEach((entry) => {
+        if (isExpired(entry)) {
+          store.remove(entry.id).catch(error => log.error('Error removing cached reply', error));
+        } else {
+          add(entry);
+        }
+      });
+  }).catch(error => log.error('Error loading the response cache', error)) : Promise.resolve();
+
+  return {
+    // The cached reply for a key, or null. Counts a hit or a miss.
+    async get(key) {
+      await ready;
+      const entry = entries.get(key);
+      if (!entry || isExpired(entry)) {
+        if (entry) forget(key);
+        misses++;
+        return null;
+      }
+
+      hits++;
+      entry.hits++;
+      entry.lastUsedAt = new Date().toISOString();
+      // Most recently used entries live at the end of the map
+      entries.delete(key);
+      entries.set(key, entry);
+      // Written back so the use order survives a restart
+      if (store) {
+        store.upsert(key, () => entry).catch(error => log.error('Error saving cached reply', error));
+      }
+      return entry.reply;
+    },
+
+    async set(key, { model, reply }) {
+      await ready;
+      const now = new Date();
+      const entry = {
+        id: key,
+        model,
+        reply,
+        bytes: Buffer.byteLength(JSON.stringify(reply)),
+        hits: 0,
+        createdAt: now.toISOString(),
+        lastUsedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString()
+      };
+      if (entry.bytes > maxBytes) return;
+
+      forget(key);
+      add(entry);
+      if (store) {
+        await store.upsert(key, () => entry);
+      }
+    },
+
+    async remove(key) {
+      await ready;
+      const found = entries.has(key);
+      forget(key);
+      return found;
+    },
+
+    async clear() {
+      await ready;
+      const count = entries.size;
+      [...entries.keys()].forEach(forget);
+      return count;
+    },
+
+    // Settings, counters and entries (most recently used first) for admins
+    async describe() {
+      await ready;
+      return {
+        store: store ? 'disk' : 'memory',
+        ttlSeconds,
+        maxEntries,
+        maxBytes,
+        entries: entries.size,
+        bytes,
+        hits,
+        misses,
+        items: [...entries.values()].reverse().map(({ reply, ...entry }) => ({
+          ...entry,
+          expired: isExpired(entry)
+        }))
+      };
+    }
+  };
+}
+
+module.exports = {
+  RESPONSE_CACHE,
+  RESPONSE_CACHE_SHARED,
+  toCacheKey,
+  createResponseCache
+};
@@ -0,0 +1,62 @@
+// Retries for transient provider failures (rate limits, 5xx responses and
+// network errors) with exponential backoff and full jitter. A wait requested by
+// the upstream (error.retryAfter, in ms) is honored when it is short enough to
+// wait for; longer ones are passed on to the client instead.
+
+const { isRetryable } = require('./errors');
+const { log } = require('./logger');
+
+// LLM_MAX_RETRIES=0 turns retries off
+const configuredRetries = parseInt(process.env.LLM_MAX_RETRIES, 10);
+const MAX_RETRIES = configuredRetries >= 0 ? configuredRetries : 2;
+const BASE_DELAY = 500;
+const MAX_DELAY = 8000;
+const MAX_RETRY_AFTER = 20000;
+
+// Delay before retry number `attempt` (0-based), or null when the upstream
+// asked for a longer wait than is worth holding the request open for
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter > MAX_RETRY_AFTER) return null;
+
+  const backoff = Math.random() * Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+  return Math.round(Math.max(backoff, retryAfter || 0));
+}
+
+// Call fn until it succeeds, the error is not transient or the retries run out.
+// shouldRetry can veto a retry (e.g. once part of a stream has been sent) and
+// onRetry hears about each one before the wait. Once `signal` is aborted there
+// are no more retries, and a wait in progress ends with an AbortError.
+async function withRetries(fn, { retries = MAX_RETRIES, shouldRetry = () => true, onRetry, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const delay = getRetryDelay(attempt, error.retryAfter);
+      if (attempt >= retries || delay === null || !isRetryable(error) || !shouldRetry(error) || (signal && signal.aborted)) {
+        throw error;
+      }
+
+      log.warn('Retrying after error', { attempt: attempt + 1, retries, delayMs: delay, reason: error.message });
+      if (onRetry) onRetry({ attempt: attempt + 1, delay, error });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      const error = new Error('Request aborted while waiting to retry');
+      error.name = 'AbortError';
+      reject(error);
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = { MAX_RETRIES, getRetryDelay, withRetries };
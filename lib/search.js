@@ -0,0 +1,299 @@
+// Full-text search over stored conversations. Every message is split into
+// lower-case words and kept in an in-memory inverted index (word -> messages).
+// The index is built from the conversation files and refreshed before each
+// search for conversations whose updatedAt changed, so there is no second
+// database to keep in sync with the store.
+//
+// Queries:
+//   regex lookahead    messages containing both words (any order)
+//   look*              words starting with "look"
+//   "named group"      the exact phrase (case-insensitive)
+
+const { getText } = require('./messages');
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_RESULT_LIMIT = 20;
+const MAX_RESULT_LIMIT = 50;
+
+// Characters of message text shown around the first match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 60;
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function tokenize(text) {
+  return text.toLowerCase().match(WORD_PATTERN) || [];
+}
+
+// Collapse whitespace so phrases match across line breaks
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Case-insensitive pattern for a quoted phrase. Matching the original text
+// keeps positions right where lower-casing changes the length (e.g. "İ").
+function toPhrasePattern(phrase) {
+  return new RegExp(phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'giu');
+}
+
+// Split a query into words (optionally ending in * for prefix matching) and
+// quoted phrases
+function parseQuery(query) {
+  const terms = [];
+  const phrases = [];
+
+  const rest = query.replace(/"([^"]*)"/g, (match, phrase) => {
+    const normalized = normalizeText(phrase).toLowerCase();
+    if (normalized) {
+      phrases.push(normalized);
+      tokenize(normalized).forEach(word => terms.push({ word, prefix: false }));
+    }
+    return ' ';
+  });
+
+  rest.split(/\s+/).forEach(chunk => {
+    const prefix = chunk.endsWith('*');
+    const words = tokenize(chunk);
+    words.forEach((word, index) => terms.push({ word, prefix: prefix && index === words.length - 1 }));
+  });
+
+  return { terms, phrases };
+}
+
+// Check the query string parameters of a search. Returns { options } or { error }.
+function parseSearchParams({ q, from, to, model, personaId, limit } = {}) {
+  if (typeof q !== 'string' || !q.trim()) {
+    return { error: 'A search query is required' };
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { error: `Search queries can be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const { terms, phrases } = parseQuery(q);
+  if (terms.length === 0) {
+    return { error: 'The search query has no words to look for' };
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+      return { error: `${name} must be a date like 2024-05-01` };
+    }
+  }
+  for (const [name, value] of [['model', model], ['personaId', personaId]]) {
+    if (value !== undefined && typeof value !== 'string') {
+      return { error: `${name} must be a string` };
+    }
+  }
+
+  return {
+    options: {
+      terms,
+      phrases,
+      // Dates are whole UTC days; `to` includes its day
+      from: from ? `${from}T00:00:00.000Z` : null,
+      to: to ? `${to}T23:59:59.999Z` : null,
+      model: model || null,
+      personaId: personaId || null,
+      limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_RESULT_LIMIT, 1), MAX_RESULT_LIMIT)
+    }
+  };
+}
+
+function createSearchIndex() {
+  // conversation id -> { updatedAt, ownerId, title, personaId, models, keys }
+  const conversations = new Map();
+  // "<conversationId>/<messageId>" -> indexed message
+  const messages = new Map();
+  // word -> Set of message keys
+  const postings = new Map();
+
+  function addConversation(record) {
+    const keys = [];
+    const models = new Set();
+
+    (record.messages || []).forEach(msg => {
+      if (msg.model) models.add(msg.model);
+
+      const text = normalizeText(getText(msg.parts, { includeFiles: false }));
+      if (!text) return;
+
+      const key = `${record.id}/${msg.id}`;
+      const words = tokenize(text);
+      const counts = new Map();
+      words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+      messages.set(key, {
+        conversationId: record.id,
+        messageId: msg.id,
+        role: msg.role,
+        model: msg.model || null,
+        timestamp: msg.timestamp,
+        text,
+        counts
+      });
+      counts.forEach((count, word) => {
+        if (!postings.has(word)) postings.set(word, new Set());
+        postings.get(word).add(key);
+      });
+      keys.push(key);
+    });
+
+    conversations.set(record.id, {
+      updatedAt: record.updatedAt,
+      ownerId: record.ownerId,
+      title: record.title,
+      personaId: record.personaId || null,
+      models,
+      keys
+    });
+  }
+
+  function removeConversation(id) {
+    const entry = conversations.get(id);
+    if (!entry) return;
+
+    entry.keys.forEach(key => {
+      messages.get(key).counts.forEach((count, word) => {
+        const keys = postings.get(word);
+        keys.delete(key);
+        if (keys.size === 0) postings.delete(word);
+      });
+      messages.delete(key);
+    });
+    conversations.delete(id);
+  }
+
+  // Message keys containing a word, or any word starting with it
+  function lookup({ word, prefix }) {
+    if (!prefix) {
+      return postings.get(word) || new Set();
+    }
+    const keys = new Set();
+    postings.forEach((wordKeys, indexed) => {
+      if (indexed.startsWith(word)) wordKeys.forEach(key => keys.add(key));
+    });
+    return keys;
+  }
+
+  function countMatches(message, { word, prefix }) {
+    if (!prefix) return message.counts.get(word) || 0;
+    let count = 0;
+    message.counts.forEach((wordCount, indexed) => {
+      if (indexed.startsWith(word)) count += wordCount;
+    });
+    return count;
+  }
+
+  return {
+    // Bring the index up to date with the stored conversations
+    sync(records) {
+      const seen = new Set();
+      records.forEach(record => {
+        seen.add(record.id);
+        const entry = conversations.get(record.id);
+        if (entry && entry.updatedAt === record.updatedAt) return;
+        removeConversation(record.id);
+        addConversation(record);
+      });
+      [...conversations.keys()].filter(id => !seen.has(id)).forEach(removeConversation);
+    },
+
+    // Best matches first (most matching words, then newest), with highlighted snippets
+    search({ ownerId, terms, phrases, from, to, model, personaId, limit }) {
+      // Start from the rarest word so the intersection stays small
+      const sets = terms.map(lookup).sort((a, b) => a.size - b.size);
+      const candidates = [...sets[0]].filter(key => sets.every(set => set.has(key)));
+
+      const patterns = phrases.map(toPhrasePattern);
+      const matches = [];
+      candidates.forEach(key => {
+        const message = messages.get(key);
+        const conversation = conversations.get(message.conversationId);
+
+        if (conversation.ownerId !== ownerId) return;
+        if (from && message.timestamp < from) return;
+        if (to && message.timestamp > to) return;
+        if (model && !conversation.models.has(model)) return;
+        if (personaId && conversation.personaId !== personaId) return;
+
+        if (!patterns.every(pattern => message.text.search(pattern) !== -1)) return;
+
+        const score = terms.reduce((total, term) => total + countMatches(message, term), 0) + phrases.length * 2;
+        matches.push({ message, conversation, score });
+      });
+
+      matches.sort((a, b) => b.score - a.score || b.message.timestamp.localeCompare(a.message.timestamp));
+
+      return {
+        total: matches.length,
+        results: matches.slice(0, limit).map(({ message, conversation }) => ({
+          conversationId: message.conversationId,
+          title: conversation.title,
+          messageId: message.messageId,
+          role: message.role,
+          model: message.model,
+          timestamp: message.timestamp,
+          snippet: buildSnippet(message.text, terms, phrases)
+        }))
+      };
+    }
+  };
+}
+
+// A piece of the text around the first match, as { text, highlights } where
+// highlights are [start, end) character ranges into text. Ranges rather than
+// markup, so clients never have to insert message text as HTML.
+function buildSnippet(text, terms, phrases) {
+  const ranges = findMatches(text, terms, phrases);
+
+  let start = 0;
+  if (ranges.length > 0 && ranges[0][0] > SNIPPET_LEAD) {
+    start = ranges[0][0] - SNIPPET_LEAD;
+    // Begin at a word
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < ranges[0][0]) start = space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const highlights = ranges
+    .filter(([from, to]) => from >= start && to <= end)
+    .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]);
+
+  return { text: prefix + text.slice(start, end) + suffix, highlights };
+}
+
+// Sorted, non-overlapping ranges of matching words and phrases
+function findMatches(text, terms, phrases) {
+  const ranges = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const word = match[0].toLowerCase();
+    if (terms.some(term => (term.prefix ? word.startsWith(term.word) : word === term.word))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  phrases.forEach(phrase => {
+    for (const match of text.matchAll(toPhrasePattern(phrase))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+module.exports = {
+  parseSearchParams,
+  createSearchIndex
+};
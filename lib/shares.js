@@ -0,0 +1,183 @@
+// Read-only share links. Sharing saves a snapshot of the conversation's active
+// branch, so later edits, new messages or deleting the conversation do not
+// change what the link shows. The page at /share/:id is rendered here and
+// styled with the app's own stylesheet; public/share.js then formats the
+// Markdown with the same pipeline as the chat (public/markdown.js).
+
+const { getText, getImages, normalizeParts } = require('./messages');
+
+const MAX_SHARE_DAYS = 365;
+
+// Check the options of a new share link. Returns { options } or { error }.
+function validateShareOptions({ expiresInDays = null, includeImages = true, includeAttachments = true } = {}) {
+  if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_SHARE_DAYS)) {
+    return { error: `expiresInDays must be a whole number of days from 1 to ${MAX_SHARE_DAYS}, or null for no expiry` };
+  }
+  if (typeof includeImages !== 'boolean' || typeof includeAttachments !== 'boolean') {
+    return { error: 'includeImages and includeAttachments must be true or false' };
+  }
+
+  return {
+    options: {
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+      includeImages,
+      includeAttachments
+    }
+  };
+}
+
+// The messages a share shows: text, and images and attached documents unless
+// they were left out. Usage, tool calls and knowledge base sources stay private.
+function buildSnapshot(path, { includeImages, includeAttachments }) {
+  return path
+    .map(msg => ({
+      role: msg.role,
+      parts: normalizeParts(msg.parts).filter(part =>
+        (part.inlineData ? includeImages : true) &&
+        (part.file ? includeAttachments : true) &&
+        (typeof part.text === 'string' || part.inlineData)
+      ),
+      timestamp: msg.timestamp,
+      ...(msg.model ? { model: msg.model } : {}),
+      ...(msg.finishReason ? { finishReason: msg.finishReason } : {})
+    }))
+    // A message of nothing but left-out images is dropped entirely
+    .filter(msg => msg.parts.length > 0);
+}
+
+function isExpired(share, now = Date.now()) {
+  return Boolean(share.expiresAt) && Date.parse(share.expiresAt) <= now;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// The shared conversation as a standalone page
+function renderSharePage(share) {
+  const expiry = share.expiresAt
+    ? ` · expires <time datetime="${escapeHtml(share.expiresAt)}">${escapeHtml(share.expiresAt)}</time>`
+    : '';
+
+  return renderPage(share.title, `
+        <header class="header">
+            <div class="header-content">
+                <div class="logo">
+                    <i class="fas fa-robot"></i>
+                    <h1>${escapeHtml(share.title)}</h1>
+                </div>
+                <div class="header-actions">
+                    <span class="share-meta">Shared <time datetime="${escapeHtml(share.createdAt)}">${escapeHtml(share.createdAt)}</time>${expiry}</span>
+                </div>
+            </div>
+        </header>
+        <main class="main">
+            <div class="chat-container">
+                <div class="chat-messages">
+${share.messages.map(renderMessage).join('\n')}
+                </div>
+            </div>
+        </main>`);
+}
+
+// Shown for unknown, revoked and expired links
+function renderShareUnavailable(message) {
+  return renderPage('Shared conversation', `
+        <main class="main">
+            <div class="chat-container">
+                <div class="chat-messages">
+                    <div class="welcome-message">
+                        <div class="welcome-icon">
+                            <i class="fas fa-link-slash"></i>
+                        </div>
+                        <h2>${escapeHtml(message)}</h2>
+                        <p>Ask whoever sent you the link to share the conversation again.</p>
+                    </div>
+                </div>
+            </div>
+        </main>`);
+}
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} · Gemini AI Chat</title>
+    <script>document.documentElement.setAttribute('data-theme', localStorage.getItem('theme') || 'light');</script>
+    <link rel="stylesheet" href="/styles.css">
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css">
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.9.0/styles/github-dark.min.css">
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.css">
+</head>
+<body>
+    <div class="container share-page">${body}
+    </div>
+    <div class="toast-container" id="toastContainer"></div>
+
+    <script src="https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/dompurify@3.1.6/dist/purify.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.9.0/highlight.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.js"></script>
+    <script src="/markdown.js"></script>
+    <script src="/share.js"></script>
+</body>
+</html>
+`;
+}
+
+// Same markup as a message in the chat. The text is escaped here and turned
+// into Markdown in the browser; without scripts it still reads as plain text.
+function renderMessage(msg) {
+  const role = msg.role === 'model' ? 'assistant' : 'user';
+  const files = msg.parts.filter(part => part.file);
+  const images = getImages(msg.parts);
+  const model = msg.model ? ` · ${escapeHtml(msg.model)}` : '';
+
+  const sections = [];
+  if (images.length > 0) {
+    sections.push(`<div class="message-images">${images.map(image =>
+      `<img src="data:${escapeHtml(image.mimeType)};base64,${escapeHtml(image.data)}" alt="Attached image">`
+    ).join('')}</div>`);
+  }
+  if (files.length > 0) {
+    sections.push(`<div class="message-files">${files.map(part => `
+                            <details class="share-file">
+                                <summary class="file-chip" title="${escapeHtml(part.file.name)}"><i class="fas fa-file-alt"></i><span class="file-chip-name">${escapeHtml(part.file.name)}</span></summary>
+                                <pre>${escapeHtml(part.text)}</pre>
+                            </details>`).join('')}</div>`);
+  }
+  sections.push(`<div class="message-body share-markdown">${escapeHtml(getText(msg.parts, { includeFiles: false }))}</div>`);
+  if (msg.finishReason) {
+    sections.push(`<div class="message-notice"><i class="fas fa-exclamation-triangle"></i><span>${escapeHtml(describeFinishReason(msg.finishReason))}</span></div>`);
+  }
+
+  return `                    <div class="message ${role} no-animation">
+                        <div class="message-timestamp"><time datetime="${escapeHtml(msg.timestamp)}">${escapeHtml(msg.timestamp)}</time>${model}</div>
+                        <div class="message-content">
+                            ${sections.join('\n                            ')}
+                        </div>
+                    </div>`;
+}
+
+function describeFinishReason(finishReason) {
+  if (finishReason === 'STOPPED') return 'This reply was stopped before it was finished.';
+  if (finishReason === 'MAX_TOKENS') return 'This reply was cut short at the maximum output length.';
+  return `This reply ended early (${finishReason}).`;
+}
+
+module.exports = {
+  validateShareOptions,
+  buildSnapshot,
+  isExpired,
+  renderSharePage,
+  renderShareUnavailable
+};
@@ -0,0 +1,138 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Root folder for everything the server persists
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+// Ids double as file names, so only allow a safe character set
+const ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+function generateId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+// A collection stores one JSON file per record under DATA_DIR/<name>
+function createCollection(name) {
+  const dir = path.join(DATA_DIR, name);
+  const locks = new Map();
+
+  function filePath(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      return null;
+    }
+    return path.join(dir, `${id}.json`);
+  }
+
+  async function read(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temp file first so a crash never leaves half a record behind
+  async function write(record) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = filePath(record.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(record, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  // Serialize read-modify-write cycles on the same record
+  function withLock(id, task) {
+    const previous = locks.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    locks.set(id, next);
+    next.catch(() => {}).then(() => {
+      if (locks.get(id) === next) locks.delete(id);
+    });
+    return next;
+  }
+
+  return {
+    async list() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const records = await Promise.all(
+        files
+          .filter(file => file.endsWith('.json'))
+          .map(file => read(path.join(dir, file)))
+      );
+      return records.filter(Boolean);
+    },
+
+    async get(id) {
+      const file = filePath(id);
+      return file ? read(file) : null;
+    },
+
+    async create(data) {
+      const now = new Date().toISOString();
+      const record = { id: generateId(), createdAt: now, updatedAt: now, ...data };
+      await write(record);
+      return record;
+    },
+
+    // Apply updater to the stored record; resolves to null if it does not exist
+    async update(id, updater) {
+      const file = filePath(id);
+      if (!file) return null;
+
+      return withLock(id, async () => {
+        const record = await read(file);
+        if (!record) return null;
+
+        const changes = typeof updater === 'function' ? await updater(record) : updater;
+        const updated = { ...record, ...changes, id: record.id, updatedAt: new Date().toISOString() };
+        await write(updated);
+        return updated;
+      });
+    },
+
+    // Like update, but creates the record under this id when it does not exist.
+    // The updater receives null in that case.
+    async upsert(id, updater) {
+      const file = filePath(id);
+      if (!file) return null;
+
+      return withLock(id, async () => {
+        const record = await read(file);
+        const now = new Date().toISOString();
+        const changes = await updater(record);
+        const updated = { createdAt: now, ...record, ...changes, id, updatedAt: now };
+        await write(updated);
+        return updated;
+      });
+    },
+
+    async remove(id) {
+      const file = filePath(id);
+      if (!file) return false;
+
+      return withLock(id, async () => {
+        try {
+          await fs.unlink(file);
+          return true;
+        } catch (error) {
+          if (error.code === 'ENOENT') return false;
+          throw error;
+        }
+      });
+    }
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  createCollection
+};
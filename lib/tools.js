@@ -0,0 +1,430 @@
+// Tools the model can call while answering (Gemini function calling). Each tool
+// declares its parameters as a JSON schema and has an async handler that gets
+// the model's arguments and returns a JSON-serializable result. Conversations
+// choose which tools are enabled (none by default).
+//
+//   calculator     arithmetic, parsed by hand (no eval)
+//   current_time   the date and time, optionally in a time zone
+//   convert_units  length, mass, volume, temperature, speed and time units
+//   fetch_url      text of a web page, only from hosts in TOOL_FETCH_ALLOWLIST
+//
+// To add a tool, add an entry to TOOLS below. Handlers throw to report a
+// problem; the message is sent back to the model as { error }.
+
+// Rounds of tool calls per reply before the model has to answer in text
+const MAX_TOOL_ROUNDS = 5;
+
+// Hosts fetch_url may read, e.g. "en.wikipedia.org,*.python.org". Without any,
+// the tool is not offered.
+const FETCH_ALLOWLIST = (process.env.TOOL_FETCH_ALLOWLIST || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const FETCH_TIMEOUT = 10000;
+const MAX_FETCH_BYTES = 512 * 1024;
+const MAX_FETCH_TEXT = 20000;
+const MAX_REDIRECTS = 3;
+const TEXT_CONTENT_TYPES = /^(text\/|application\/(json|xml|xhtml\+xml|rss\+xml|atom\+xml))/i;
+
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10
+};
+
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Units per kind, as the factor to the kind's base unit. Temperatures are
+// converted by formula instead.
+const UNITS = {
+  length: { m: 1, km: 1000, cm: 0.01, mm: 0.001, mi: 1609.344, yd: 0.9144, ft: 0.3048, in: 0.0254, nmi: 1852 },
+  mass: { kg: 1, g: 0.001, mg: 0.000001, t: 1000, lb: 0.45359237, oz: 0.028349523125, st: 6.35029318 },
+  volume: { l: 1, ml: 0.001, m3: 1000, gal: 3.785411784, qt: 0.946352946, pt: 0.473176473, cup: 0.2365882365, floz: 0.0295735295625 },
+  speed: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, kn: 0.514444444 },
+  time: { s: 1, ms: 0.001, min: 60, h: 3600, day: 86400, week: 604800 },
+  temperature: { c: null, f: null, k: null }
+};
+
+const TOOLS = {
+  calculator: {
+    title: 'Calculator',
+    description: 'Evaluate an arithmetic expression exactly instead of estimating it. Supports + - * / % ^, ' +
+      'parentheses, pi, e and the functions sqrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, atan, exp, ln and log (base 10).',
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: { type: 'string', description: 'The expression, e.g. "(17.5 * 3) ^ 2 / sqrt(2)"' }
+      },
+      required: ['expression']
+    },
+    async handler({ expression }) {
+      return { expression, result: evaluateExpression(expression) };
+    }
+  },
+
+  current_time: {
+    title: 'Current time',
+    description: 'Get the current date and time, in UTC or in a given IANA time zone.',
+    parameters: {
+      type: 'object',
+      properties: {
+        timeZone: { type: 'string', description: 'IANA time zone such as "Europe/Berlin" (default UTC)' }
+      }
+    },
+    async handler({ timeZone = 'UTC' }) {
+      const now = new Date();
+      let local;
+      try {
+        local = now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' });
+      } catch (error) {
+        throw new Error(`Unknown time zone "${timeZone}"`);
+      }
+      return { iso: now.toISOString(), timeZone, local };
+    }
+  },
+
+  convert_units: {
+    title: 'Unit conversion',
+    description: `Convert a value between units of the same kind. Units: ${describeUnits()}.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        value: { type: 'number', description: 'The amount to convert' },
+        from: { type: 'string', description: 'Unit of the value, e.g. "mi"' },
+        to: { type: 'string', description: 'Unit to convert to, e.g. "km"' }
+      },
+      required: ['value', 'from', 'to']
+    },
+    async handler({ value, from, to }) {
+      return { value, from, to, result: convertUnits(value, from, to) };
+    }
+  },
+
+  fetch_url: {
+    title: 'Fetch web page',
+    description: 'Read the text of a web page or text file. Only some sites can be read: ' +
+      `${FETCH_ALLOWLIST.join(', ') || 'none'}.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Full http(s) URL of the page' }
+      },
+      required: ['url']
+    },
+    isAvailable: () => FETCH_ALLOWLIST.length > 0,
+    handler: ({ url }, { signal }) => fetchText(url, signal)
+  }
+};
+
+function isAvailable(tool) {
+  return !tool.isAvailable || tool.isAvailable();
+}
+
+// Tools for /api/generation-settings, so clients can offer them
+function describeTools() {
+  return Object.entries(TOOLS).map(([name, tool]) => ({
+    name,
+    title: tool.title,
+    description: tool.description,
+    available: isAvailable(tool)
+  }));
+}
+
+// Returns an error message, or null when the list of tool names is acceptable
+function validateTools(tools) {
+  if (!Array.isArray(tools) || !tools.every(name => typeof name === 'string')) {
+    return 'Tools must be an array of tool names';
+  }
+  const unknown = tools.find(name => !TOOLS[name]);
+  if (unknown) {
+    return `Unknown tool "${unknown}"`;
+  }
+  return null;
+}
+
+// Function declarations of the enabled tools this server can run. Tools that
+// are switched off here (e.g. fetch_url without an allow-list) are left out.
+function getToolDeclarations(names = []) {
+  return names
+    .filter(name => TOOLS[name] && isAvailable(TOOLS[name]))
+    .map(name => ({ name, description: TOOLS[name].description, parameters: TOOLS[name].parameters }));
+}
+
+// Run one function call from the model. Resolves to { name, args, result } or
+// { name, args, error }; only an aborted request rejects.
+async function runTool({ name, args = {} }, { signal } = {}) {
+  const tool = TOOLS[name];
+  if (!tool || !isAvailable(tool)) {
+    return { name, args, error: `Unknown tool "${name}"` };
+  }
+
+  const argumentError = checkArguments(tool.parameters, args);
+  if (argumentError) {
+    return { name, args, error: argumentError };
+  }
+
+  try {
+    return { name, args, result: await tool.handler(args, { signal }) };
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    return { name, args, error: error.message };
+  }
+}
+
+// Required properties are present and the given ones have the declared type
+function checkArguments(schema, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return 'Arguments must be an object';
+  }
+  const missing = (schema.required || []).find(key => args[key] === undefined);
+  if (missing) {
+    return `Missing argument "${missing}"`;
+  }
+  for (const [key, value] of Object.entries(args)) {
+    const property = schema.properties[key];
+    if (!property) {
+      return `Unknown argument "${key}"`;
+    }
+    const type = property.type === 'integer' ? 'number' : property.type;
+    if (typeof value !== type) {
+      return `Argument "${key}" must be a ${property.type}`;
+    }
+  }
+  return null;
+}
+
+// Recursive-descent parser for calculator expressions
+function evaluateExpression(expression) {
+  const tokens = String(expression).match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z_]+|\*\*|\S/gi) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}" in the expression`);
+  };
+
+  function parseSum() {
+    let value = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      const operator = next();
+      const right = parseProduct();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  }
+
+  function parseProduct() {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const right = parseUnary();
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  }
+
+  // -2^2 is -(2^2), as in mathematics
+  function parseUnary() {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parseAtom();
+    if (peek() === '^' || peek() === '**') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  }
+
+  function parseAtom() {
+    const token = next();
+    if (token === undefined) {
+      throw new Error('The expression ends too early');
+    }
+    if (token === '(') {
+      const value = parseSum();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) {
+      return parseFloat(token);
+    }
+
+    const name = token.toLowerCase();
+    if (MATH_CONSTANTS[name] !== undefined) {
+      return MATH_CONSTANTS[name];
+    }
+    if (MATH_FUNCTIONS[name]) {
+      expect('(');
+      const value = parseSum();
+      expect(')');
+      return MATH_FUNCTIONS[name](value);
+    }
+    throw new Error(`Unknown symbol "${token}" in the expression`);
+  }
+
+  const value = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek()}" in the expression`);
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error('The result is not a finite number');
+  }
+  return value;
+}
+
+function findUnitKind(unit) {
+  return Object.keys(UNITS).find(kind => Object.prototype.hasOwnProperty.call(UNITS[kind], unit));
+}
+
+function convertUnits(value, from, to) {
+  const fromUnit = from.trim().toLowerCase();
+  const toUnit = to.trim().toLowerCase();
+  const kind = findUnitKind(fromUnit);
+  if (!kind) {
+    throw new Error(`Unknown unit "${from}"`);
+  }
+  if (findUnitKind(toUnit) !== kind) {
+    throw new Error(`Cannot convert ${kind} in "${from}" to "${to}"`);
+  }
+
+  if (kind === 'temperature') {
+    const celsius = fromUnit === 'c' ? value : fromUnit === 'f' ? (value - 32) * 5 / 9 : value - 273.15;
+    return toUnit === 'c' ? celsius : toUnit === 'f' ? celsius * 9 / 5 + 32 : celsius + 273.15;
+  }
+  return value * UNITS[kind][fromUnit] / UNITS[kind][toUnit];
+}
+
+function describeUnits() {
+  return Object.entries(UNITS)
+    .map(([kind, units]) => `${kind} (${Object.keys(units).join(', ')})`)
+    .join('; ');
+}
+
+// "example.com" allows only that host, "*.example.com" its subdomains as well
+function isAllowedHost(hostname) {
+  const host = hostname.toLowerCase();
+  return FETCH_ALLOWLIST.some(entry => entry.startsWith('*.')
+    ? host === entry.slice(2) || host.endsWith(entry.slice(1))
+    : host === entry);
+}
+
+function checkFetchUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`"${url}" is not a valid URL`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Only http and https URLs can be fetched');
+  }
+  if (!isAllowedHost(parsed.hostname)) {
+    throw new Error(`${parsed.hostname} is not on the list of sites that can be fetched`);
+  }
+  return parsed;
+}
+
+// Redirects are followed by hand so every hop is checked against the allow-list
+async function fetchText(url, signal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    let target = checkFetchUrl(url);
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      response = await fetch(target, { redirect: 'manual', signal: controller.signal });
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) break;
+      if (redirects === MAX_REDIRECTS) {
+        throw new Error('Too many redirects');
+      }
+      target = checkFetchUrl(new URL(location, target).href);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!TEXT_CONTENT_TYPES.test(contentType)) {
+      throw new Error(`Cannot read content of type "${contentType || 'unknown'}"`);
+    }
+
+    const body = await readLimited(response, MAX_FETCH_BYTES);
+    let text = /html/i.test(contentType) ? htmlToText(body) : body.trim();
+    const truncated = text.length > MAX_FETCH_TEXT;
+    if (truncated) text = text.slice(0, MAX_FETCH_TEXT);
+
+    return { url: target.href, status: response.status, contentType, text, truncated };
+  } catch (error) {
+    if (controller.signal.aborted && !(signal && signal.aborted)) {
+      throw new Error('The page took too long to load');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// Read at most maxBytes of a response body as UTF-8
+async function readLimited(response, maxBytes) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+  reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8');
+}
+
+// Readable text of an HTML page: no scripts, styles or tags, collapsed whitespace
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|noscript|svg)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6]|tr|section|article)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+module.exports = {
+  MAX_TOOL_ROUNDS,
+  describeTools,
+  validateTools,
+  getToolDeclarations,
+  runTool
+};
@@ -0,0 +1,128 @@
+// Conversation messages form a tree: every stored message has an `id` and the
+// `parentId` of the message it answers (null for the first message). Editing a
+// message or regenerating a reply adds a sibling instead of overwriting, and
+// `activeChildren` records which child is shown under each message, keyed by
+// the parent id or ROOT. Only the active branch is sent to the model.
+
+const crypto = require('crypto');
+const { normalizeParts } = require('./messages');
+
+const ROOT = 'root';
+const MESSAGE_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+function generateMessageId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Return { messages, activeChildren } with every message linked into the tree.
+// Older conversations stored a flat list without ids; those (and any list whose
+// links are broken) become a single branch with ids derived from the position,
+// so converting the same list twice gives the same ids. Replies that stored
+// their parts as a plain string get a single text part.
+function toTree(stored = [], activeChildren = {}) {
+  const messages = stored.some(msg => typeof msg.parts === 'string')
+    ? stored.map(msg => ({ ...msg, parts: normalizeParts(msg.parts) }))
+    : stored;
+  const linked = isLinked(messages)
+    ? messages
+    : messages.map((msg, index) => ({
+      ...msg,
+      id: `msg-${index + 1}`,
+      parentId: index === 0 ? null : `msg-${index}`
+    }));
+
+  return { messages: linked, activeChildren: cleanActiveChildren(linked, activeChildren) };
+}
+
+// Ids must be unique and every parent must appear before its children
+function isLinked(messages) {
+  const seen = new Set();
+  for (const msg of messages) {
+    if (typeof msg.id !== 'string' || !MESSAGE_ID_PATTERN.test(msg.id) || seen.has(msg.id)) {
+      return false;
+    }
+    if (msg.parentId !== null && !seen.has(msg.parentId)) {
+      return false;
+    }
+    seen.add(msg.id);
+  }
+  return true;
+}
+
+// Drop selections that point at messages which are not children of their key
+function cleanActiveChildren(messages, activeChildren) {
+  const cleaned = {};
+  if (!activeChildren || typeof activeChildren !== 'object') {
+    return cleaned;
+  }
+  for (const [key, childId] of Object.entries(activeChildren)) {
+    const child = findMessage(messages, childId);
+    if (child && (child.parentId || ROOT) === key) {
+      cleaned[key] = childId;
+    }
+  }
+  return cleaned;
+}
+
+function findMessage(messages, id) {
+  return messages.find(msg => msg.id === id) || null;
+}
+
+function getChildren(messages, parentId) {
+  return messages.filter(msg => msg.parentId === parentId);
+}
+
+// The messages on the active branch, from the first message to the newest.
+// Without a recorded choice the most recently added child is followed.
+function getActivePath({ messages, activeChildren = {} }) {
+  const path = [];
+  let parentId = null;
+
+  for (;;) {
+    const children = getChildren(messages, parentId);
+    if (children.length === 0) break;
+
+    const selected = children.find(msg => msg.id === activeChildren[parentId || ROOT]);
+    const next = selected || children[children.length - 1];
+    path.push(next);
+    parentId = next.id;
+  }
+
+  return path;
+}
+
+// The message and its ancestors, from the first message down. Empty if unknown.
+function getPathTo(messages, id) {
+  const path = [];
+  let current = findMessage(messages, id);
+  while (current) {
+    path.unshift(current);
+    current = current.parentId ? findMessage(messages, current.parentId) : null;
+  }
+  return path;
+}
+
+// Put a message on the active branch by selecting it and all its ancestors.
+// Returns the new activeChildren, or null if the message does not exist.
+function selectMessage({ messages, activeChildren = {} }, id) {
+  const path = getPathTo(messages, id);
+  if (path.length === 0) {
+    return null;
+  }
+
+  const selected = { ...activeChildren };
+  path.forEach(msg => {
+    selected[msg.parentId || ROOT] = msg.id;
+  });
+  return selected;
+}
+
+module.exports = {
+  ROOT,
+  generateMessageId,
+  toTree,
+  findMessage,
+  getActivePath,
+  getPathTo,
+  selectMessage
+};
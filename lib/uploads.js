@@ -0,0 +1,109 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+
+const MB = 1024 * 1024;
+
+// Document types accepted by /api/uploads, matched by file extension
+const DOCUMENT_TYPES = [
+  { kind: 'pdf', extensions: ['.pdf'], maxSize: 20 * MB },
+  { kind: 'markdown', extensions: ['.md', '.markdown'], maxSize: 2 * MB },
+  { kind: 'csv', extensions: ['.csv', '.tsv'], maxSize: 5 * MB },
+  { kind: 'text', extensions: ['.txt', '.log'], maxSize: 5 * MB },
+  {
+    kind: 'code',
+    extensions: [
+      '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.py', '.rb', '.php', '.java', '.kt',
+      '.go', '.rs', '.c', '.h', '.cpp', '.hpp', '.cs', '.swift', '.sh', '.sql',
+      '.html', '.css', '.scss', '.json', '.yaml', '.yml', '.xml', '.toml', '.ini'
+    ],
+    maxSize: 1 * MB
+  }
+];
+
+// Multer needs one overall limit; per-type limits are checked after the upload
+const MAX_UPLOAD_SIZE = Math.max(...DOCUMENT_TYPES.map(type => type.maxSize));
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+// Extracted text beyond this is cut off to keep prompts manageable
+const MAX_EXTRACTED_CHARS = 100000;
+
+const ACCEPTED_EXTENSIONS = DOCUMENT_TYPES.flatMap(type => type.extensions);
+
+function getDocumentType(filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  return DOCUMENT_TYPES.find(type => type.extensions.includes(extension)) || null;
+}
+
+// Check and extract the text of an uploaded file (a multer memory-storage file).
+// Returns { document } or { status, error }.
+async function extractDocument(file) {
+  const type = getDocumentType(file.originalname);
+  if (!type) {
+    return { status: 415, error: `Unsupported file type: ${file.originalname}` };
+  }
+  if (file.size > type.maxSize) {
+    return {
+      status: 413,
+      error: `${file.originalname} is too large. ${type.kind.toUpperCase()} files must be under ${type.maxSize / MB}MB.`
+    };
+  }
+
+  let text;
+  if (type.kind === 'pdf') {
+    try {
+      text = (await pdfParse(file.buffer)).text;
+    } catch (error) {
+      return { status: 422, error: `Could not read ${file.originalname} as a PDF` };
+    }
+  } else {
+    // Text files should never contain NUL bytes; binaries usually do
+    if (file.buffer.includes(0)) {
+      return { status: 415, error: `${file.originalname} does not look like a text file` };
+    }
+    text = file.buffer.toString('utf8');
+  }
+
+  text = text.trim();
+  if (!text) {
+    return { status: 422, error: `No text could be extracted from ${file.originalname}` };
+  }
+
+  const truncated = text.length > MAX_EXTRACTED_CHARS;
+
+  return {
+    document: {
+      name: file.originalname,
+      kind: type.kind,
+      mimeType: file.mimetype,
+      size: file.size,
+      text: truncated ? text.slice(0, MAX_EXTRACTED_CHARS) : text,
+      truncated
+    }
+  };
+}
+
+// Prompt part carrying a document's text. The `file` field is app metadata and is
+// stripped before the part is sent to a model.
+function buildFilePart(upload) {
+  const language = upload.kind === 'code' ? path.extname(upload.name).slice(1) : '';
+  const note = upload.truncated ? '\n[File truncated]' : '';
+
+  return {
+    text: `[Attached file: ${upload.name}]\n\`\`\`${language}\n${upload.text}\n\`\`\`${note}`,
+    file: {
+      name: upload.name,
+      kind: upload.kind,
+      size: upload.size
+    }
+  };
+}
+
+module.exports = {
+  ACCEPTED_EXTENSIONS,
+  MAX_UPLOAD_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  extractDocument,
+  buildFilePart
+};
@@ -0,0 +1,89 @@
+// Daily usage per user (requests, tokens and calls with images), stored in the
+// local data folder so the numbers survive restarts without any outside service.
+// One record per user and UTC day, with the id "<userId>-<YYYY-MM-DD>".
+//
+//   DAILY_TOKEN_LIMIT  tokens per user per day; further model requests get a 429 (0 = no limit)
+//   ADMIN_USERS        comma-separated usernames that can see everyone's usage
+
+const DAILY_TOKEN_LIMIT = parseInt(process.env.DAILY_TOKEN_LIMIT, 10) || 0;
+
+const ADMIN_USERS = (process.env.ADMIN_USERS || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const MAX_USAGE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2024-05-01" for the UTC day of a date
+function toDateKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function usageId(userId, dateKey) {
+  return `${userId}-${dateKey}`;
+}
+
+function emptyUsage() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, imageCalls: 0 };
+}
+
+// Counters of a stored day (or an empty one) after one more request
+function addUsage(record, { usage, images = false }) {
+  const counts = { ...emptyUsage(), ...pickCounts(record) };
+  const promptTokens = (usage && usage.promptTokens) || 0;
+  const completionTokens = (usage && usage.completionTokens) || 0;
+
+  return {
+    requests: counts.requests + 1,
+    promptTokens: counts.promptTokens + promptTokens,
+    completionTokens: counts.completionTokens + completionTokens,
+    totalTokens: counts.totalTokens + promptTokens + completionTokens,
+    imageCalls: counts.imageCalls + (images ? 1 : 0)
+  };
+}
+
+function pickCounts(record) {
+  if (!record) return {};
+  const { requests, promptTokens, completionTokens, totalTokens, imageCalls } = record;
+  return { requests, promptTokens, completionTokens, totalTokens, imageCalls };
+}
+
+// Date keys of the last `days` days, oldest first
+function lastDays(days, now = new Date()) {
+  return Array.from({ length: days }, (_, i) => toDateKey(new Date(now.getTime() - (days - 1 - i) * DAY_MS)));
+}
+
+function sumUsage(days) {
+  return days.reduce((total, day) => {
+    Object.keys(total).forEach(field => {
+      total[field] += day[field] || 0;
+    });
+    return total;
+  }, emptyUsage());
+}
+
+// Seconds until the daily counters start over (UTC midnight)
+function secondsUntilTomorrow(now = new Date()) {
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((tomorrow - now.getTime()) / 1000);
+}
+
+function isAdmin(user) {
+  return ADMIN_USERS.includes(user.username);
+}
+
+module.exports = {
+  DAILY_TOKEN_LIMIT,
+  MAX_USAGE_DAYS,
+  toDateKey,
+  usageId,
+  emptyUsage,
+  addUsage,
+  pickCounts,
+  lastDays,
+  sumUsage,
+  secondsUntilTomorrow,
+  isAdmin
+};
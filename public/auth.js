@@ -0,0 +1,310 @@
+// Sign-in screen and account settings (own Gemini API key, API tokens).
+// Relies on globals from script.js (showToast, readErrorResponse, ...).
+
+let currentUser = null;
+let signupOpen = false;
+// "login" or "register"
+let authMode = 'login';
+// Resolves the promise returned by requireSignIn
+let onSignedIn = null;
+
+const authScreen = document.getElementById('authScreen');
+const authForm = document.getElementById('authForm');
+const authTitle = document.getElementById('authTitle');
+const authUsername = document.getElementById('authUsername');
+const authPassword = document.getElementById('authPassword');
+const authError = document.getElementById('authError');
+const authSubmit = document.getElementById('authSubmit');
+const authToggle = document.getElementById('authToggle');
+const accountBtn = document.getElementById('accountBtn');
+const accountModal = document.getElementById('accountModal');
+const geminiKeyStatus = document.getElementById('geminiKeyStatus');
+const geminiKeyInput = document.getElementById('geminiKeyInput');
+const apiTokenList = document.getElementById('apiTokenList');
+const apiTokenName = document.getElementById('apiTokenName');
+const newApiToken = document.getElementById('newApiToken');
+
+function setupAuthListeners() {
+    authForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitAuthForm();
+    });
+    authToggle.addEventListener('click', () => setAuthMode(authMode === 'login' ? 'register' : 'login'));
+
+    accountBtn.addEventListener('click', openAccountModal);
+    document.getElementById('accountModalClose').addEventListener('click', closeAccountModal);
+    document.getElementById('closeAccountBtn').addEventListener('click', closeAccountModal);
+    accountModal.addEventListener('click', (e) => {
+        if (e.target === accountModal) closeAccountModal();
+    });
+
+    document.getElementById('signOutBtn').addEventListener('click', signOut);
+    document.getElementById('saveGeminiKeyBtn').addEventListener('click', saveGeminiKey);
+    document.getElementById('removeGeminiKeyBtn').addEventListener('click', removeGeminiKey);
+    document.getElementById('createApiTokenBtn').addEventListener('click', createApiToken);
+}
+
+// Resolve once someone is signed in, showing the sign-in screen if needed
+async function requireSignIn() {
+    try {
+        const response = await fetch('/api/auth/session');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        signupOpen = data.signupOpen;
+        if (data.user) {
+            setCurrentUser(data.user);
+            return;
+        }
+    } catch (error) {
+        console.error('Error loading session:', error);
+    }
+
+    showAuthScreen();
+    return new Promise(resolve => {
+        onSignedIn = resolve;
+    });
+}
+
+// Also used when a request finds the session has ended
+function showAuthScreen() {
+    // Only the very first account is created without an open signup
+    setAuthMode(signupOpen && !currentUser ? 'register' : 'login');
+    authScreen.classList.add('show');
+    authUsername.focus();
+}
+
+function setAuthMode(mode) {
+    authMode = mode;
+    authTitle.textContent = mode === 'login' ? 'Sign in' : 'Create an account';
+    authSubmit.textContent = mode === 'login' ? 'Sign in' : 'Create account';
+    authPassword.autocomplete = mode === 'login' ? 'current-password' : 'new-password';
+    authToggle.textContent = mode === 'login' ? 'Create an account' : 'I already have an account';
+    authToggle.style.display = signupOpen || mode === 'register' ? '' : 'none';
+    authError.textContent = '';
+}
+
+async function submitAuthForm() {
+    authSubmit.disabled = true;
+    authError.textContent = '';
+
+    try {
+        const response = await fetch(`/api/auth/${authMode === 'login' ? 'login' : 'register'}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ username: authUsername.value.trim(), password: authPassword.value })
+        });
+
+        if (!response.ok) {
+            throw await readErrorResponse(response);
+        }
+
+        const data = await response.json();
+        const previousUser = currentUser;
+        setCurrentUser(data.user);
+        authPassword.value = '';
+
+        // Someone else signed in after the session ended: start over with their chats
+        if (previousUser && previousUser.id !== data.user.id) {
+            localStorage.removeItem('conversationId');
+            window.location.reload();
+            return;
+        }
+        authScreen.classList.remove('show');
+
+        if (onSignedIn) {
+            onSignedIn();
+            onSignedIn = null;
+        }
+    } catch (error) {
+        console.error('Error signing in:', error);
+        authError.textContent = error.message;
+    } finally {
+        authSubmit.disabled = false;
+    }
+}
+
+function setCurrentUser(user) {
+    currentUser = user;
+    accountBtn.title = `Account: ${user.username}`;
+}
+
+// Reload so nothing of this account stays on the page
+async function signOut() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error signing out:', error);
+    }
+    localStorage.removeItem('conversationId');
+    clearUsageCache();
+    window.location.reload();
+}
+
+function openAccountModal() {
+    document.getElementById('accountName').textContent = currentUser.username;
+    renderGeminiKeyStatus();
+    geminiKeyInput.value = '';
+    apiTokenName.value = '';
+    newApiToken.style.display = 'none';
+    accountModal.classList.add('show');
+    loadApiTokens();
+}
+
+function closeAccountModal() {
+    accountModal.classList.remove('show');
+}
+
+function renderGeminiKeyStatus() {
+    const { geminiKey, sharedKeyAllowed, canSaveGeminiKey } = currentUser;
+
+    if (geminiKey.saved) {
+        geminiKeyStatus.textContent = `Your own key (${geminiKey.hint}) is used for your requests.`;
+    } else if (sharedKeyAllowed) {
+        geminiKeyStatus.textContent = 'You are using the shared key of this server. Save your own key to use your quota instead.';
+    } else {
+        geminiKeyStatus.textContent = 'Save your Gemini API key to start chatting.';
+    }
+    if (!canSaveGeminiKey) {
+        geminiKeyStatus.textContent += ' This server is not set up to store personal keys.';
+    }
+
+    document.getElementById('saveGeminiKeyBtn').disabled = !canSaveGeminiKey;
+    document.getElementById('removeGeminiKeyBtn').style.display = geminiKey.saved ? '' : 'none';
+}
+
+async function saveGeminiKey() {
+    const apiKey = geminiKeyInput.value.trim();
+    if (!apiKey) {
+        showToast('Paste your Gemini API key first', 'info');
+        return;
+    }
+    await updateGeminiKey('PUT', { apiKey });
+}
+
+async function removeGeminiKey() {
+    if (!confirm('Remove your Gemini API key? Your requests will use the shared key, if there is one.')) return;
+    await updateGeminiKey('DELETE');
+}
+
+async function updateGeminiKey(method, body) {
+    try {
+        const response = await fetch('/api/auth/gemini-key', {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (!response.ok) {
+            throw await readErrorResponse(response);
+        }
+
+        const data = await response.json();
+        setCurrentUser(data.user);
+        geminiKeyInput.value = '';
+        renderGeminiKeyStatus();
+        showToast(method === 'PUT' ? 'Gemini API key saved' : 'Gemini API key removed', 'success');
+    } catch (error) {
+        console.error('Error updating Gemini key:', error);
+        showToast(`Failed to update the key: ${error.message}`, 'error');
+    }
+}
+
+async function loadApiTokens() {
+    try {
+        const response = await fetch('/api/auth/tokens');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        renderApiTokens(data.tokens);
+    } catch (error) {
+        console.error('Error loading API tokens:', error);
+    }
+}
+
+function renderApiTokens(tokens) {
+    apiTokenList.innerHTML = '';
+
+    if (tokens.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'setting-hint';
+        empty.textContent = 'No API tokens yet';
+        apiTokenList.appendChild(empty);
+        return;
+    }
+
+    tokens.forEach(token => {
+        const item = document.createElement('div');
+        item.className = 'api-token';
+
+        const label = document.createElement('span');
+        label.textContent = `${token.name} (${token.hint})`;
+        label.title = `Created ${new Date(token.createdAt).toLocaleString()}`;
+
+        const revokeBtn = document.createElement('button');
+        revokeBtn.className = 'persona-tool';
+        revokeBtn.innerHTML = '<i class="fas fa-trash"></i>';
+        revokeBtn.title = 'Revoke token';
+        revokeBtn.onclick = () => revokeApiToken(token);
+
+        item.appendChild(label);
+        item.appendChild(revokeBtn);
+        apiTokenList.appendChild(item);
+    });
+}
+
+// The new token is shown once; only its hash is kept on the server
+async function createApiToken() {
+    const name = apiTokenName.value.trim();
+    if (!name) {
+        showToast('Give the token a name first', 'info');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/auth/tokens', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ name })
+        });
+
+        if (!response.ok) {
+            throw await readErrorResponse(response);
+        }
+
+        const data = await response.json();
+        apiTokenName.value = '';
+        newApiToken.textContent = `Copy this token now, it will not be shown again: ${data.token}`;
+        newApiToken.style.display = '';
+        loadApiTokens();
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        showToast(`Failed to create token: ${error.message}`, 'error');
+    }
+}
+
+async function revokeApiToken(token) {
+    if (!confirm(`Revoke "${token.name}"? Programs using it will stop working.`)) return;
+
+    try {
+        const response = await fetch(`/api/auth/tokens/${encodeURIComponent(token.id)}`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        loadApiTokens();
+        showToast('API token revoked', 'success');
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        showToast('Failed to revoke token', 'error');
+    }
+}
@@ -0,0 +1,544 @@
+// Slash commands typed in the message box (/clear, /model <id>, /temp 0.2, ...)
+// with suggestions as you type, a command palette listing every action, and
+// keyboard shortcuts for them that can be changed in the palette and are kept
+// in localStorage. "//" at the start sends a message that begins with "/".
+// Relies on globals from script.js (messageInput, clearChat, ...), settings.js
+// (storeGenerationSettings), personas.js (storeConversationSettings),
+// compare.js, sharing.js, usage.js, knowledge.js and export.js.
+
+const commandSuggestions = document.getElementById('commandSuggestions');
+const commandPalette = document.getElementById('commandPalette');
+const commandPaletteInput = document.getElementById('commandPaletteInput');
+const commandPaletteList = document.getElementById('commandPaletteList');
+
+// Aliases accepted by /export
+const EXPORT_FORMATS = { md: 'markdown', markdown: 'markdown', html: 'html', txt: 'text', text: 'text', json: 'json' };
+
+// Every action. `command` is its slash command, with `args` describing what
+// follows it; `needsInput` actions are started in the message box when picked
+// from the palette or a shortcut. `shortcut` is the default key combination
+// (Ctrl+Shift+E and the like are taken by browsers). Only `whileBusy` actions
+// run while a reply is being generated; the others would change or read the
+// conversation under it.
+const COMMANDS = [
+    { id: 'palette', title: 'Show all commands', command: 'help', shortcut: 'Ctrl+Shift+P', whileBusy: true, run: () => openCommandPalette() },
+    { id: 'focus-input', title: 'Focus the message box', shortcut: 'Ctrl+K', whileBusy: true, run: () => messageInput.focus() },
+    { id: 'new-chat', title: 'Start a new chat', command: 'new', run: () => startNewChat() },
+    { id: 'clear', title: 'Clear the conversation', command: 'clear', run: () => clearChat() },
+    { id: 'retry', title: 'Retry the last reply', command: 'retry', run: () => retryLastReply() },
+    {
+        id: 'model',
+        title: 'Switch model',
+        command: 'model',
+        args: '<model>',
+        needsInput: true,
+        suggest: () => availableModels.map(model => ({ value: model.id, label: model.name })),
+        run: (arg) => switchModel(arg)
+    },
+    {
+        id: 'system',
+        title: 'Set instructions for this conversation',
+        command: 'system',
+        args: '<text>',
+        needsInput: true,
+        run: (arg) => setSystemInstructions(arg)
+    },
+    {
+        id: 'temperature',
+        title: 'Set the temperature',
+        command: 'temp',
+        args: '<0-2>',
+        needsInput: true,
+        run: (arg) => setTemperature(arg)
+    },
+    {
+        id: 'export',
+        title: 'Export the conversation',
+        command: 'export',
+        args: '[md|html|txt|json]',
+        shortcut: 'Alt+Shift+E',
+        suggest: () => ['md', 'html', 'txt', 'json'].map(format => ({ value: format, label: EXPORT_FORMATS[format] })),
+        run: (arg) => exportAs(arg)
+    },
+    { id: 'import', title: 'Import a conversation', command: 'import', run: () => importInput.click() },
+    { id: 'share', title: 'Share the conversation', command: 'share', run: () => openShareModal() },
+    { id: 'compare', title: 'Toggle compare mode', command: 'compare', run: () => setCompareMode(!compareMode) },
+    { id: 'settings', title: 'Open generation settings', command: 'settings', run: () => openSettingsDrawer() },
+    { id: 'persona', title: 'Choose a persona', command: 'persona', run: () => openPersonaModal() },
+    { id: 'knowledge', title: 'Manage knowledge bases', command: 'knowledge', run: () => openKnowledgeModal() },
+    { id: 'usage', title: 'Show usage', command: 'usage', whileBusy: true, run: () => openUsageModal() },
+    { id: 'search', title: 'Search chats', command: 'search', whileBusy: true, run: () => focusSearch() },
+    { id: 'theme', title: 'Toggle dark mode', command: 'theme', shortcut: 'Ctrl+Shift+L', whileBusy: true, run: () => toggleTheme() }
+];
+
+// Shortcuts changed by the user: { [command id]: 'Ctrl+Alt+N' or '' for none }
+let customShortcuts = readCustomShortcuts();
+// Suggestions shown under the message box and the highlighted one
+let commandMatches = [];
+let selectedSuggestion = 0;
+// Palette entries for the current filter, the highlighted one, and the
+// command whose shortcut is being recorded
+let paletteMatches = [];
+let selectedPaletteItem = 0;
+let recordingCommand = null;
+
+function setupCommandListeners() {
+    messageInput.addEventListener('input', updateCommandSuggestions);
+    messageInput.addEventListener('focus', updateCommandSuggestions);
+    messageInput.addEventListener('blur', hideCommandSuggestions);
+
+    commandPaletteInput.addEventListener('input', () => {
+        selectedPaletteItem = 0;
+        renderCommandPalette();
+    });
+    commandPaletteInput.addEventListener('keydown', handlePaletteKey);
+    document.getElementById('commandPaletteClose').addEventListener('click', closeCommandPalette);
+    document.getElementById('resetShortcutsBtn').addEventListener('click', resetShortcuts);
+    commandPalette.addEventListener('click', (e) => {
+        if (e.target === commandPalette) closeCommandPalette();
+    });
+}
+
+function getCommand(name) {
+    return COMMANDS.find(command => command.command === name) || null;
+}
+
+// Slash commands
+
+// "/model gemini-1.5-pro" -> { name: 'model', arg: 'gemini-1.5-pro' }
+function parseSlashCommand(text) {
+    const match = /^\/(\S*)\s*([\s\S]*)$/.exec(text);
+    return { name: match[1].toLowerCase(), arg: match[2].trim() };
+}
+
+// Run a typed command. The message box is emptied unless the command was
+// unknown or rejected its argument, so it can be corrected.
+async function runSlashCommand(text) {
+    hideCommandSuggestions();
+    const { name, arg } = parseSlashCommand(text);
+    const command = getCommand(name);
+    if (!command) {
+        showToast(`Unknown command /${name}. Type / to see the commands.`, 'error');
+        return;
+    }
+    if (isBusyFor(command)) return;
+
+    const result = await command.run(arg);
+    if (result !== false) {
+        messageInput.value = '';
+        updateCharCount();
+        autoResizeTextarea();
+    }
+}
+
+// Start a command in the message box, so its argument can be typed
+function startSlashCommand(command) {
+    messageInput.value = `/${command.command} `;
+    messageInput.focus();
+    updateCharCount();
+    updateCommandSuggestions();
+}
+
+// A command that has to wait for the reply being generated; says so
+function isBusyFor(command) {
+    if (!isProcessing || command.whileBusy) return false;
+    showToast(`"${command.title}" is available once the reply has finished`, 'info');
+    return true;
+}
+
+function runCommand(command) {
+    if (isBusyFor(command)) return;
+    if (command.needsInput) {
+        startSlashCommand(command);
+    } else {
+        command.run('');
+    }
+}
+
+// Suggestions: command names while the first word is typed, then the
+// command's known arguments
+function updateCommandSuggestions() {
+    const text = messageInput.value;
+    if (!text.startsWith('/') || text.startsWith('//') || text.includes('\n')) {
+        hideCommandSuggestions();
+        return;
+    }
+
+    const { name, arg } = parseSlashCommand(text);
+    if (!/\s/.test(text)) {
+        commandMatches = COMMANDS
+            .filter(command => command.command && command.command.startsWith(name))
+            .map(command => ({
+                text: `/${command.command}${command.args ? ' ' : ''}`,
+                label: `/${command.command}${command.args ? ` ${command.args}` : ''}`,
+                hint: command.title,
+                complete: !command.needsInput
+            }));
+    } else {
+        const command = getCommand(name);
+        const choices = command && command.suggest ? command.suggest() : [];
+        commandMatches = choices
+            .filter(choice => choice.value.toLowerCase().startsWith(arg.toLowerCase()))
+            .map(choice => ({
+                text: `/${command.command} ${choice.value}`,
+                label: choice.value,
+                hint: choice.label,
+                complete: true
+            }));
+    }
+
+    selectedSuggestion = 0;
+    renderCommandSuggestions();
+}
+
+function renderCommandSuggestions() {
+    commandSuggestions.innerHTML = '';
+    commandSuggestions.style.display = commandMatches.length > 0 ? '' : 'none';
+
+    commandMatches.forEach((match, index) => {
+        const item = document.createElement('div');
+        item.className = `command-suggestion${index === selectedSuggestion ? ' selected' : ''}`;
+
+        const label = document.createElement('span');
+        label.className = 'command-name';
+        label.textContent = match.label;
+        const hint = document.createElement('span');
+        hint.className = 'command-hint';
+        hint.textContent = match.hint;
+        item.appendChild(label);
+        item.appendChild(hint);
+
+        // mousedown keeps the focus in the message box
+        item.onmousedown = (e) => {
+            e.preventDefault();
+            acceptSuggestion(match);
+        };
+        commandSuggestions.appendChild(item);
+    });
+}
+
+function hideCommandSuggestions() {
+    commandMatches = [];
+    commandSuggestions.style.display = 'none';
+}
+
+function acceptSuggestion(match) {
+    messageInput.value = match.text;
+    updateCharCount();
+    updateCommandSuggestions();
+}
+
+// Arrow keys, Tab, Enter and Escape while suggestions are shown. Returns true
+// when the key was used. Enter on a command that takes no argument (or on an
+// argument) lets the message box send it, which runs the command.
+function handleCommandSuggestionKey(e) {
+    if (commandMatches.length === 0) return false;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        selectedSuggestion = (selectedSuggestion + step + commandMatches.length) % commandMatches.length;
+        renderCommandSuggestions();
+        return true;
+    }
+    if (e.key === 'Escape') {
+        // Closing the list should not also stop a reply
+        e.preventDefault();
+        e.stopPropagation();
+        hideCommandSuggestions();
+        return true;
+    }
+
+    const match = commandMatches[selectedSuggestion];
+    if (e.key === 'Tab') {
+        e.preventDefault();
+        acceptSuggestion(match);
+        return true;
+    }
+    if (e.key === 'Enter' && !e.shiftKey) {
+        if (match.complete) {
+            messageInput.value = match.text;
+            return false;
+        }
+        e.preventDefault();
+        acceptSuggestion(match);
+        return true;
+    }
+    return false;
+}
+
+// Command actions. Each returns false when its argument is rejected.
+
+// By id, or by a unique part of the id or name
+function switchModel(arg) {
+    if (!arg) {
+        showToast('Usage: /model <model id>', 'error');
+        return false;
+    }
+
+    const query = arg.toLowerCase();
+    const exact = availableModels.find(model => model.id.toLowerCase() === query);
+    const partial = availableModels.filter(model =>
+        model.id.toLowerCase().includes(query) || model.name.toLowerCase().includes(query));
+    const model = exact || (partial.length === 1 ? partial[0] : null);
+    if (!model) {
+        showToast(partial.length > 1 ? `"${arg}" matches several models` : `Unknown model "${arg}"`, 'error');
+        return false;
+    }
+
+    modelSelect.value = model.id;
+    modelSelect.dispatchEvent(new Event('change'));
+    showToast(`Switched to ${model.name}`, 'success');
+}
+
+// Replaces the conversation's own instructions; the persona stays. Without
+// text they are removed.
+async function setSystemInstructions(text) {
+    const saved = await storeConversationSettings({ ...conversationSettings, systemPrompt: text });
+    if (!saved) return false;
+    showToast(text ? 'Instructions updated' : 'Instructions removed', 'success');
+}
+
+// A hand-picked temperature no longer matches a preset
+async function setTemperature(arg) {
+    const limit = generationOptions ? generationOptions.limits.temperature : { min: 0, max: 2 };
+    const value = Number(arg);
+    if (arg === '' || !Number.isFinite(value) || value < limit.min || value > limit.max) {
+        showToast(`Usage: /temp <${limit.min}-${limit.max}>`, 'error');
+        return false;
+    }
+
+    const { preset, ...settings } = generationSettings;
+    if (!await storeGenerationSettings({ ...settings, temperature: value })) return false;
+    scheduleTokenCount();
+    showToast(`Temperature set to ${value}`, 'success');
+}
+
+function exportAs(arg) {
+    const format = arg ? EXPORT_FORMATS[arg.toLowerCase()] : 'json';
+    if (!format) {
+        showToast('Usage: /export [md|html|txt|json]', 'error');
+        return false;
+    }
+    exportConversation(format);
+}
+
+// A failed turn is sent again; otherwise the last reply is regenerated
+function retryLastReply() {
+    if (isProcessing) return false;
+
+    const retryBtn = chatMessages.lastElementChild && chatMessages.lastElementChild.querySelector('.retry-btn');
+    if (retryBtn) {
+        retryBtn.click();
+        return;
+    }
+
+    const path = getActivePath(conversationTree);
+    const lastReply = path.length > 0 && path[path.length - 1].role === 'model' ? path[path.length - 1] : null;
+    if (!lastReply) {
+        showToast('There is no reply to retry', 'info');
+        return false;
+    }
+    regenerateResponse(lastReply);
+}
+
+function focusSearch() {
+    sidebar.classList.add('open');
+    searchInput.focus();
+}
+
+// Keyboard shortcuts
+
+function readCustomShortcuts() {
+    try {
+        return JSON.parse(localStorage.getItem('shortcuts')) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function getShortcut(command) {
+    return command.id in customShortcuts ? customShortcuts[command.id] : command.shortcut || '';
+}
+
+// "Ctrl+Shift+P" for a key press, or null for a lone modifier. Cmd counts as
+// Ctrl, and letters and digits are read by their position so Shift or Alt do
+// not change them.
+function toShortcut(e) {
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+
+    let key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+    if (/^Digit\d$/.test(e.code)) key = e.code.slice(5);
+    return [
+        (e.ctrlKey || e.metaKey) && 'Ctrl',
+        e.altKey && 'Alt',
+        e.shiftKey && 'Shift',
+        key
+    ].filter(Boolean).join('+');
+}
+
+// Run the command bound to a key press, or record it while a shortcut is being
+// changed. Returns true when the key was used.
+function handleCommandShortcut(e) {
+    if (recordingCommand) {
+        recordShortcut(e);
+        return true;
+    }
+
+    const shortcut = toShortcut(e);
+    if (!shortcut) return false;
+    const command = COMMANDS.find(item => getShortcut(item) === shortcut);
+    if (!command) return false;
+
+    e.preventDefault();
+    if (command.id !== 'palette') closeCommandPalette();
+    runCommand(command);
+    return true;
+}
+
+function startRecordingShortcut(command) {
+    recordingCommand = command;
+    renderCommandPalette();
+}
+
+// Escape cancels, Backspace or Delete removes the shortcut. Shortcuts need
+// Ctrl or Alt so they never get in the way of typing.
+function recordShortcut(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    const command = recordingCommand;
+
+    if (e.key === 'Escape') {
+        recordingCommand = null;
+    } else if (e.key === 'Backspace' || e.key === 'Delete') {
+        saveShortcut(command, '');
+    } else {
+        const shortcut = toShortcut(e);
+        if (!shortcut) return;
+        if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+            showToast('Shortcuts need Ctrl or Alt', 'error');
+            return;
+        }
+
+        // A shortcut belongs to one command at a time
+        const previous = COMMANDS.find(item => item !== command && getShortcut(item) === shortcut);
+        if (previous) {
+            customShortcuts[previous.id] = '';
+            showToast(`${shortcut} was removed from "${previous.title}"`, 'info');
+        }
+        saveShortcut(command, shortcut);
+    }
+
+    renderCommandPalette();
+    commandPaletteInput.focus();
+}
+
+function saveShortcut(command, shortcut) {
+    recordingCommand = null;
+    if (shortcut === (command.shortcut || '')) {
+        delete customShortcuts[command.id];
+    } else {
+        customShortcuts[command.id] = shortcut;
+    }
+    localStorage.setItem('shortcuts', JSON.stringify(customShortcuts));
+}
+
+function resetShortcuts() {
+    customShortcuts = {};
+    recordingCommand = null;
+    localStorage.removeItem('shortcuts');
+    renderCommandPalette();
+    showToast('Shortcuts reset to the defaults', 'success');
+}
+
+// Command palette
+
+function openCommandPalette() {
+    hideCommandSuggestions();
+    recordingCommand = null;
+    commandPaletteInput.value = '';
+    selectedPaletteItem = 0;
+    renderCommandPalette();
+    commandPalette.classList.add('show');
+    commandPaletteInput.focus();
+}
+
+function closeCommandPalette() {
+    recordingCommand = null;
+    commandPalette.classList.remove('show');
+}
+
+function renderCommandPalette() {
+    const query = commandPaletteInput.value.trim().toLowerCase().replace(/^\//, '');
+    paletteMatches = COMMANDS.filter(command =>
+        command.title.toLowerCase().includes(query) || (command.command || '').includes(query));
+    selectedPaletteItem = Math.min(selectedPaletteItem, Math.max(paletteMatches.length - 1, 0));
+
+    commandPaletteList.innerHTML = '';
+    if (paletteMatches.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'setting-hint';
+        empty.textContent = 'No matching commands';
+        commandPaletteList.appendChild(empty);
+        return;
+    }
+
+    paletteMatches.forEach((command, index) => {
+        const item = document.createElement('div');
+        item.className = `command-item${index === selectedPaletteItem ? ' selected' : ''}`;
+        item.onclick = () => runPaletteCommand(command);
+
+        const label = document.createElement('div');
+        label.className = 'command-label';
+        const title = document.createElement('span');
+        title.textContent = command.title;
+        label.appendChild(title);
+        if (command.command) {
+            const name = document.createElement('span');
+            name.className = 'command-name';
+            name.textContent = `/${command.command}${command.args ? ` ${command.args}` : ''}`;
+            label.appendChild(name);
+        }
+
+        const shortcut = getShortcut(command);
+        const shortcutBtn = document.createElement('button');
+        shortcutBtn.className = `command-shortcut${shortcut ? '' : ' empty'}`;
+        shortcutBtn.textContent = recordingCommand === command ? 'Press keys...' : shortcut || 'Add shortcut';
+        shortcutBtn.title = 'Change the shortcut (Backspace removes it, Esc cancels)';
+        shortcutBtn.classList.toggle('recording', recordingCommand === command);
+        shortcutBtn.onclick = (e) => {
+            e.stopPropagation();
+            startRecordingShortcut(command);
+        };
+
+        item.appendChild(label);
+        item.appendChild(shortcutBtn);
+        commandPaletteList.appendChild(item);
+    });
+
+    const selected = commandPaletteList.querySelector('.command-item.selected');
+    if (selected) selected.scrollIntoView({ block: 'nearest' });
+}
+
+function runPaletteCommand(command) {
+    closeCommandPalette();
+    runCommand(command);
+}
+
+function handlePaletteKey(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (paletteMatches.length === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        selectedPaletteItem = (selectedPaletteItem + step + paletteMatches.length) % paletteMatches.length;
+        renderCommandPalette();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (paletteMatches[selectedPaletteItem]) runPaletteCommand(paletteMatches[selectedPaletteItem]);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        closeCommandPalette();
+    }
+}
@@ -0,0 +1,324 @@
+// Compare mode: send one message to two to four models or generation presets
+// at once and show the replies side by side with their latency and token
+// counts. Every reply is stored as a version of the turn, the first one
+// active; "Continue with this" makes another one the active version.
+// Relies on globals from script.js (addMessage, switchBranch, ...) and
+// settings.js (generationOptions, generationSettings, describeFinish).
+
+const compareBtn = document.getElementById('compareBtn');
+const compareBar = document.getElementById('compareBar');
+const compareVariantList = document.getElementById('compareVariants');
+const addCompareVariantBtn = document.getElementById('addCompareVariantBtn');
+
+const MIN_COMPARE_VARIANTS = 2;
+const MAX_COMPARE_VARIANTS = 4;
+
+let compareMode = false;
+// [{ model, preset }]; an empty preset uses the conversation's settings
+let compareVariants = [];
+
+function setupCompareListeners() {
+    compareBtn.addEventListener('click', () => setCompareMode(!compareMode));
+    addCompareVariantBtn.addEventListener('click', addCompareVariant);
+}
+
+function setCompareMode(enabled) {
+    compareMode = enabled;
+    if (enabled && compareVariants.length === 0) {
+        compareVariants = getDefaultCompareVariants();
+    }
+    compareBtn.classList.toggle('active', enabled);
+    compareBar.style.display = enabled ? '' : 'none';
+    renderCompareVariants();
+}
+
+// The selected model against the next one the server offers
+function getDefaultCompareVariants() {
+    const selected = modelSelect.value;
+    const other = availableModels.find(model => model.id !== selected);
+    return [
+        { model: selected, preset: '' },
+        { model: other ? other.id : selected, preset: '' }
+    ];
+}
+
+function addCompareVariant() {
+    if (compareVariants.length >= MAX_COMPARE_VARIANTS) return;
+    const last = compareVariants[compareVariants.length - 1];
+    compareVariants.push({ ...last });
+    renderCompareVariants();
+}
+
+function removeCompareVariant(index) {
+    compareVariants.splice(index, 1);
+    renderCompareVariants();
+}
+
+function renderCompareVariants() {
+    compareVariantList.innerHTML = '';
+    addCompareVariantBtn.disabled = compareVariants.length >= MAX_COMPARE_VARIANTS;
+
+    const presets = generationOptions ? Object.entries(generationOptions.presets) : [];
+    compareVariants.forEach((variant, index) => {
+        const item = document.createElement('div');
+        item.className = 'compare-variant';
+
+        const modelInput = document.createElement('select');
+        modelInput.title = 'Model';
+        availableModels.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.name;
+            modelInput.appendChild(option);
+        });
+        modelInput.value = variant.model;
+        modelInput.onchange = () => {
+            variant.model = modelInput.value;
+        };
+
+        const presetInput = document.createElement('select');
+        presetInput.title = 'Generation settings';
+        [['', 'Chat settings'], ...presets.map(([key, preset]) => [key, preset.name])].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            presetInput.appendChild(option);
+        });
+        presetInput.value = variant.preset;
+        presetInput.onchange = () => {
+            variant.preset = presetInput.value;
+        };
+
+        item.appendChild(modelInput);
+        item.appendChild(presetInput);
+
+        if (compareVariants.length > MIN_COMPARE_VARIANTS) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'compare-variant-remove';
+            removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+            removeBtn.title = 'Remove column';
+            removeBtn.onclick = () => removeCompareVariant(index);
+            item.appendChild(removeBtn);
+        }
+        compareVariantList.appendChild(item);
+    });
+}
+
+function getCompareModels() {
+    return compareVariants.map(variant => availableModels.find(model => model.id === variant.model) || null);
+}
+
+// A preset replaces the sampling values of the chat's own settings
+function toVariantRequest({ model, preset }) {
+    if (!preset) {
+        return { model };
+    }
+    const { temperature, topP, topK } = generationOptions.presets[preset];
+    return { model, generationSettings: { ...generationSettings, temperature, topP, topK, preset } };
+}
+
+// "Gemini 1.5 Pro · Precise"
+function describeVariant({ model, preset }) {
+    const found = availableModels.find(item => item.id === model);
+    const name = found ? found.name : model;
+    return preset ? `${name} · ${generationOptions.presets[preset].name}` : name;
+}
+
+// Send a new message to every variant and show the replies in columns
+async function submitComparison({ message, images = [], files = [] }) {
+    const variants = compareVariants.map(variant => ({ ...variant }));
+    const userMessage = addMessage(message, 'user', {
+        images: images.map(image => image.data),
+        files
+    });
+    const row = createCompareRow(variants);
+    setProcessing(true);
+    updateStatus('Comparing...', 'processing');
+
+    activeRequest = new AbortController();
+    const { signal } = activeRequest;
+
+    try {
+        // Conversations are created lazily on the first message
+        if (!currentConversationId) {
+            const conversation = await createConversation();
+            setCurrentConversation(conversation.id);
+        }
+
+        const requestBody = {
+            conversationId: currentConversationId,
+            message,
+            variants: variants.map(toVariantRequest)
+        };
+        if (images.length > 0) {
+            requestBody.images = images;
+        }
+        if (files.length > 0) {
+            requestBody.attachments = files.map(file => file.id);
+        }
+        if (bypassResponseCache) {
+            requestBody.bypassCache = true;
+        }
+
+        const response = await fetch('/api/chat/compare', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(requestBody),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await readErrorResponse(response);
+        }
+
+        const data = await response.json();
+        if (data.messages) {
+            setContextSummaries(data.contextSummaries);
+            setConversationTree({
+                messages: [...conversationTree.messages, ...data.messages],
+                activeChildren: data.activeChildren
+            });
+            loadConversationList();
+        }
+        showCompareResults(row, data.variants);
+
+        if (!data.messages) {
+            // Every reply was withheld, so nothing was saved: put the text
+            // back so it can be rephrased
+            messageInput.value = message;
+            updateCharCount();
+            autoResizeTextarea();
+        }
+        updateStatus('Ready', 'success');
+    } catch (error) {
+        row.remove();
+
+        // Stopped by the user: nothing is kept
+        if (error.name === 'AbortError') {
+            userMessage.remove();
+            messageInput.value = message;
+            updateCharCount();
+            autoResizeTextarea();
+            updateStatus('Stopped', 'success');
+            return;
+        }
+
+        console.error('Error:', error);
+        if (error.code === 'AUTH_REQUIRED') {
+            showAuthScreen();
+        }
+
+        addErrorMessage(describeRequestError(error), {
+            retryAfter: error.retryAfter,
+            onRetry: () => {
+                userMessage.remove();
+                submitComparison({ message, images, files });
+            }
+        });
+        updateStatus('Error', 'error');
+    } finally {
+        activeRequest = null;
+        setProcessing(false);
+    }
+}
+
+// One column per variant, each generating until the results arrive
+function createCompareRow(variants) {
+    const row = document.createElement('div');
+    row.className = 'message assistant compare-turn';
+
+    const columns = document.createElement('div');
+    columns.className = 'compare-columns';
+    variants.forEach(variant => {
+        const column = document.createElement('div');
+        column.className = 'message-content compare-column';
+
+        const header = document.createElement('div');
+        header.className = 'compare-header';
+        header.textContent = describeVariant(variant);
+
+        const messageBody = document.createElement('div');
+        messageBody.className = 'message-body';
+        messageBody.appendChild(createGeneratingIndicator());
+
+        const footer = document.createElement('div');
+        footer.className = 'compare-footer';
+
+        column.appendChild(header);
+        column.appendChild(messageBody);
+        column.appendChild(footer);
+        columns.appendChild(column);
+    });
+
+    row.appendChild(columns);
+    chatMessages.appendChild(row);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return row;
+}
+
+function showCompareResults(row, results) {
+    const activePath = getActivePath(conversationTree);
+
+    row.querySelectorAll('.compare-column').forEach((column, index) => {
+        const result = results[index];
+        const messageBody = column.querySelector('.message-body');
+        const footer = column.querySelector('.compare-footer');
+        messageBody.innerHTML = '';
+
+        const latency = document.createElement('span');
+        latency.textContent = `${(result.latencyMs / 1000).toFixed(1)} s`;
+        footer.appendChild(latency);
+
+        if (result.error) {
+            column.appendChild(createMessageNotice(result.error.error));
+            return;
+        }
+        if (result.blocked) {
+            column.appendChild(createMessageNotice(describeFinish(result)));
+            return;
+        }
+
+        messageBody.innerHTML = formatMessage(result.response);
+        enhanceCodeBlocks(messageBody);
+        if (result.sources) {
+            linkCitations(messageBody, result.sources);
+        }
+        if (result.finishReason) {
+            column.appendChild(createMessageNotice(describeFinish(result)));
+        }
+
+        const tokens = document.createElement('span');
+        tokens.textContent = `${result.usage.completionTokens.toLocaleString()} tokens${result.cached ? ' · cached' : ''}`;
+        tokens.title = `Prompt: ${result.usage.promptTokens.toLocaleString()} tokens, ` +
+            `reply: ${result.usage.completionTokens.toLocaleString()} tokens`;
+        footer.appendChild(tokens);
+
+        if (result.messageId) {
+            const pickBtn = document.createElement('button');
+            pickBtn.className = 'modal-btn';
+            pickBtn.textContent = 'Continue with this';
+            pickBtn.title = 'Keep this reply in the conversation; the others stay available as versions';
+            pickBtn.onclick = () => pickCompareReply(result.messageId);
+            footer.appendChild(pickBtn);
+        }
+    });
+
+    // The reply the server made active until another one is picked
+    row.querySelectorAll('.compare-column').forEach((column, index) => {
+        const { messageId } = results[index];
+        column.classList.toggle('chosen', Boolean(messageId) && activePath.some(msg => msg.id === messageId));
+    });
+}
+
+// Continue the conversation with one of the compared replies
+async function pickCompareReply(messageId) {
+    if (isProcessing) return;
+
+    if (getActivePath(conversationTree).some(msg => msg.id === messageId)) {
+        renderConversation();
+    } else {
+        await switchBranch(messageId);
+    }
+}
@@ -0,0 +1,323 @@
+// Conversation export (JSON, Markdown, HTML, plain text) and JSON import.
+// Relies on globals from script.js (chatHistory, currentConversationId, appVersion, ...).
+// Transcripts show the active branch; JSON keeps the whole message tree.
+
+const EXPORT_FORMAT = 'gemini-webapp-conversation';
+const EXPORT_FORMAT_VERSION = 2;
+
+// Gather the conversation to export: the stored copy when there is one, since it
+// carries timestamps and models, otherwise the in-page history
+async function getExportConversation() {
+    if (currentConversationId) {
+        const response = await fetch(`/api/conversations/${encodeURIComponent(currentConversationId)}`);
+        if (response.ok) {
+            return response.json();
+        }
+    }
+
+    return {
+        title: 'Gemini conversation',
+        createdAt: null,
+        ...conversationSettings,
+        ...conversationTree
+    };
+}
+
+function getExportMetadata(conversation) {
+    const models = [...new Set(conversation.messages.map(msg => msg.model).filter(Boolean))];
+    const persona = getPersona(conversation.personaId);
+
+    return {
+        title: conversation.title,
+        exportedAt: new Date().toISOString(),
+        createdAt: conversation.createdAt || null,
+        appVersion: appVersion,
+        models: models.length > 0 ? models : [modelSelect.value].filter(Boolean),
+        // The persona's instructions travel with the file so other servers can use them
+        persona: persona ? { id: persona.id, name: persona.name, systemPrompt: persona.systemPrompt } : null,
+        systemPrompt: conversation.systemPrompt || ''
+    };
+}
+
+// Export conversation in the chosen format
+async function exportConversation(format = 'json') {
+    if (chatHistory.length === 0) {
+        showToast('No conversation to export', 'info');
+        return;
+    }
+
+    try {
+        const conversation = await getExportConversation();
+        const metadata = getExportMetadata(conversation);
+        const exporter = EXPORTERS[format];
+
+        const date = new Date().toISOString().split('T')[0];
+        downloadFile(
+            exporter.build(conversation, metadata),
+            `gemini-conversation-${date}.${exporter.extension}`,
+            exporter.type
+        );
+
+        showToast('Conversation exported successfully', 'success');
+    } catch (error) {
+        console.error('Error exporting conversation:', error);
+        showToast('Failed to export conversation', 'error');
+    }
+}
+
+const EXPORTERS = {
+    json: { extension: 'json', type: 'application/json', build: buildJsonExport },
+    markdown: { extension: 'md', type: 'text/markdown', build: buildMarkdownExport },
+    html: { extension: 'html', type: 'text/html', build: buildHtmlExport },
+    text: { extension: 'txt', type: 'text/plain', build: buildTextExport }
+};
+
+function buildJsonExport(conversation, metadata) {
+    const exportData = {
+        format: EXPORT_FORMAT,
+        formatVersion: EXPORT_FORMAT_VERSION,
+        ...metadata,
+        // Kept for files written by older versions of the app
+        timestamp: metadata.exportedAt,
+        messages: conversation.messages,
+        activeChildren: conversation.activeChildren,
+        totalMessages: conversation.messages.length
+    };
+
+    return JSON.stringify(exportData, null, 2);
+}
+
+function buildMarkdownExport(conversation, metadata) {
+    const lines = [
+        `# ${metadata.title}`,
+        '',
+        ...describeMetadata(metadata).map(line => `*${line}*  `),
+        ''
+    ];
+
+    getActivePath(conversation).forEach(msg => {
+        const { text, attachments } = describeMessage(msg);
+        lines.push('---', '', `### ${describeSpeaker(msg)}`, '');
+        attachments.forEach(attachment => lines.push(`> ${attachment}`, ''));
+        lines.push(text, '');
+    });
+
+    return lines.join('\n');
+}
+
+function buildTextExport(conversation, metadata) {
+    const lines = [metadata.title, '='.repeat(metadata.title.length), ...describeMetadata(metadata), ''];
+
+    getActivePath(conversation).forEach(msg => {
+        const { text, attachments } = describeMessage(msg);
+        lines.push(describeSpeaker(msg), ...attachments, text, '');
+    });
+
+    return lines.join('\n');
+}
+
+// Standalone page styled with the current theme's colors
+function buildHtmlExport(conversation, metadata) {
+    const theme = getComputedStyle(document.documentElement);
+    const color = (name) => theme.getPropertyValue(name).trim();
+
+    const messagesHtml = getActivePath(conversation).map(msg => {
+        const { text, attachments } = describeMessage(msg);
+        const role = msg.role === 'model' ? 'assistant' : 'user';
+
+        // Same sanitized Markdown as the chat itself
+        const body = document.createElement('div');
+        body.innerHTML = formatMessage(text);
+        if (window.hljs) {
+            body.querySelectorAll('pre > code').forEach(code => hljs.highlightElement(code));
+        }
+
+        return `
+    <div class="message ${role}">
+      <div class="meta">${escapeHtml(describeSpeaker(msg))}</div>
+      <div class="content">
+        ${attachments.map(attachment => `<div class="attachment">${escapeHtml(attachment)}</div>`).join('')}
+        ${body.innerHTML}
+      </div>
+    </div>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en" data-theme="${escapeHtml(currentTheme)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(metadata.title)}</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.9.0/styles/github-dark.min.css">
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.css">
+  <style>
+    body { font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: ${color('--bg-primary')}; color: ${color('--text-primary')}; max-width: 860px; margin: 0 auto; padding: 2rem; line-height: 1.5; }
+    header { border-bottom: 1px solid ${color('--border-color')}; margin-bottom: 1.5rem; padding-bottom: 1rem; }
+    header p { margin: 0.25rem 0; color: ${color('--text-muted')}; font-size: 0.875rem; }
+    .message { margin-bottom: 1.5rem; }
+    .message.user { text-align: right; }
+    .meta { font-size: 0.75rem; color: ${color('--text-muted')}; margin-bottom: 0.25rem; }
+    .content { display: inline-block; max-width: 80%; text-align: left; padding: 1rem 1.5rem; border-radius: 18px; }
+    .user .content { background: linear-gradient(135deg, ${color('--primary-color')}, ${color('--secondary-color')}); color: white; }
+    .assistant .content { background: ${color('--bg-secondary')}; border: 1px solid ${color('--border-color')}; }
+    .attachment { font-size: 0.8rem; opacity: 0.8; margin-bottom: 0.5rem; }
+    pre { background: #2d3748; color: #e2e8f0; padding: 1rem; border-radius: 8px; overflow-x: auto; }
+    code { font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace; font-size: 0.875rem; }
+    pre code.hljs { background: transparent; padding: 0; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid ${color('--border-color')}; padding: 0.4rem 0.75rem; }
+    a { color: ${color('--primary-color')}; }
+    .user a { color: white; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(metadata.title)}</h1>
+    ${describeMetadata(metadata).map(line => `<p>${escapeHtml(line)}</p>`).join('\n    ')}
+  </header>
+  <main>
+${messagesHtml}
+  </main>
+</body>
+</html>
+`;
+}
+
+function describeMetadata(metadata) {
+    const lines = [`Exported from Gemini AI Chat${metadata.appVersion ? ` v${metadata.appVersion}` : ''} on ${new Date(metadata.exportedAt).toLocaleString()}`];
+    if (metadata.models.length > 0) {
+        lines.push(`Model: ${metadata.models.join(', ')}`);
+    }
+    if (metadata.persona) {
+        lines.push(`Persona: ${metadata.persona.name}`);
+    }
+    if (metadata.systemPrompt) {
+        lines.push(`Instructions: ${metadata.systemPrompt.replace(/\s+/g, ' ')}`);
+    }
+    return lines;
+}
+
+function describeSpeaker(msg) {
+    const speaker = msg.role === 'model' ? `Gemini${msg.model ? ` (${msg.model})` : ''}` : 'You';
+    return msg.timestamp ? `${speaker} — ${new Date(msg.timestamp).toLocaleString()}` : speaker;
+}
+
+// Message text plus placeholders for images and attached files
+function describeMessage(msg) {
+    const imageTypes = getMessageImages(msg.parts).map(src => src.slice(5, src.indexOf(';')));
+
+    return {
+        text: getMessageText(msg.parts),
+        attachments: [
+            ...imageTypes.map(type => `[Image: ${type}]`),
+            ...getMessageFiles(msg.parts).map(file => `[File: ${file.name}]`),
+            ...(msg.finishReason ? [`[${describeFinish(msg)}]`] : [])
+        ]
+    };
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Import a JSON export as a new stored conversation and open it
+async function importConversation(file) {
+    if (isProcessing) return;
+
+    try {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        const { title, messages, activeChildren, personaId, systemPrompt } = validateImport(data, file.name);
+
+        const response = await fetch('/api/conversations', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ title, messages, activeChildren, personaId, systemPrompt })
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+
+        await openConversation(result.id);
+        loadConversationList();
+        showToast(`Imported ${messages.length} messages`, 'success');
+    } catch (error) {
+        console.error('Error importing conversation:', error);
+        showToast(`Import failed: ${error.message}`, 'error');
+    }
+}
+
+// Check an exported file (current or older format) and return what to import
+function validateImport(data, filename) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.messages)) {
+        throw new Error('The file does not contain a conversation');
+    }
+    if (data.format !== undefined && data.format !== EXPORT_FORMAT) {
+        throw new Error(`Unknown export format "${data.format}"`);
+    }
+    if (data.formatVersion > EXPORT_FORMAT_VERSION) {
+        throw new Error('The file was exported by a newer version of the app');
+    }
+    if (data.messages.length === 0) {
+        throw new Error('The conversation is empty');
+    }
+
+    const messages = data.messages.map((msg, index) => {
+        if (!msg || !['user', 'model'].includes(msg.role) || !isValidImportParts(msg.parts)) {
+            throw new Error(`Message ${index + 1} is not a valid chat message`);
+        }
+
+        // Tree links are checked by the server; files from version 1 are a flat
+        // list. Older files may hold a reply's text as a plain string.
+        const message = { role: msg.role, parts: typeof msg.parts === 'string' ? [{ text: msg.parts }] : msg.parts };
+        if (typeof msg.id === 'string') message.id = msg.id;
+        if (typeof msg.parentId === 'string' || msg.parentId === null) message.parentId = msg.parentId;
+        if (typeof msg.timestamp === 'string') message.timestamp = msg.timestamp;
+        if (typeof msg.model === 'string') message.model = msg.model;
+        return message;
+    });
+
+    const title = typeof data.title === 'string' && data.title.trim()
+        ? data.title.trim()
+        : filename.replace(/\.json$/i, '');
+
+    const activeChildren = data.activeChildren && typeof data.activeChildren === 'object' ? data.activeChildren : {};
+
+    // A persona this server does not have is folded into the conversation's instructions
+    let personaId = null;
+    let systemPrompt = typeof data.systemPrompt === 'string' ? data.systemPrompt : '';
+    if (data.persona && typeof data.persona === 'object') {
+        if (getPersona(data.persona.id)) {
+            personaId = data.persona.id;
+        } else if (typeof data.persona.systemPrompt === 'string') {
+            systemPrompt = [data.persona.systemPrompt, systemPrompt].filter(Boolean).join('\n\n');
+        }
+    }
+
+    return { title, messages, activeChildren, personaId, systemPrompt };
+}
+
+function isValidImportParts(parts) {
+    if (typeof parts === 'string') return true;
+    return Array.isArray(parts) && parts.every(part =>
+        part && (typeof part.text === 'string' ||
+            (part.inlineData && typeof part.inlineData.mimeType === 'string' && typeof part.inlineData.data === 'string'))
+    );
+}
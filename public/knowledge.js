@@ -0,0 +1,408 @@
+// Knowledge bases: manage them and their documents, pick the one a conversation
+// answers from, and show the passages replies cite.
+// Relies on globals from script.js (currentConversationId, showToast, ...).
+
+let knowledgeBases = [];
+// Knowledge base of the open conversation. New chats keep it locally until the
+// conversation is created on the first message.
+let activeKnowledgeBaseId = null;
+// "name/model" of the server's embedder, e.g. local/hashing-512
+let knowledgeEmbedder = '';
+
+const knowledgeBtn = document.getElementById('knowledgeBtn');
+const knowledgeModal = document.getElementById('knowledgeModal');
+const knowledgeSelect = document.getElementById('knowledgeSelect');
+const knowledgeDetails = document.getElementById('knowledgeDetails');
+const knowledgeEditor = document.getElementById('knowledgeEditor');
+const knowledgeNameInput = document.getElementById('knowledgeNameInput');
+const knowledgeDescriptionInput = document.getElementById('knowledgeDescriptionInput');
+const knowledgeDocumentList = document.getElementById('knowledgeDocumentList');
+const knowledgeDocumentInput = document.getElementById('knowledgeDocumentInput');
+const reindexKnowledgeBtn = document.getElementById('reindexKnowledgeBtn');
+const sourceModal = document.getElementById('sourceModal');
+const sourceTitle = document.getElementById('sourceTitle');
+const sourceText = document.getElementById('sourceText');
+
+function setupKnowledgeListeners() {
+    knowledgeBtn.addEventListener('click', openKnowledgeModal);
+    document.getElementById('knowledgeModalClose').addEventListener('click', closeKnowledgeModal);
+    document.getElementById('cancelKnowledgeBtn').addEventListener('click', closeKnowledgeModal);
+    document.getElementById('applyKnowledgeBtn').addEventListener('click', applyKnowledgeBase);
+    knowledgeModal.addEventListener('click', (e) => {
+        if (e.target === knowledgeModal) closeKnowledgeModal();
+    });
+
+    knowledgeSelect.addEventListener('change', renderKnowledgeDetails);
+    document.getElementById('newKnowledgeBtn').addEventListener('click', openKnowledgeEditor);
+    document.getElementById('deleteKnowledgeBtn').addEventListener('click', deleteSelectedKnowledgeBase);
+    document.getElementById('cancelKnowledgeEditorBtn').addEventListener('click', closeKnowledgeEditor);
+    document.getElementById('saveKnowledgeBtn').addEventListener('click', createKnowledgeBase);
+    document.getElementById('addKnowledgeDocumentsBtn').addEventListener('click', () => knowledgeDocumentInput.click());
+    knowledgeDocumentInput.addEventListener('change', () => {
+        addKnowledgeDocuments(Array.from(knowledgeDocumentInput.files));
+        knowledgeDocumentInput.value = '';
+    });
+    reindexKnowledgeBtn.addEventListener('click', reindexSelectedKnowledgeBase);
+
+    document.getElementById('sourceModalClose').addEventListener('click', closeSourceModal);
+    sourceModal.addEventListener('click', (e) => {
+        if (e.target === sourceModal) closeSourceModal();
+    });
+}
+
+async function loadKnowledgeBases() {
+    try {
+        const response = await fetch('/api/knowledge');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        knowledgeBases = data.knowledgeBases;
+        knowledgeEmbedder = data.embedder;
+        updateKnowledgeButton();
+    } catch (error) {
+        console.error('Error loading knowledge bases:', error);
+    }
+}
+
+function getKnowledgeBase(id) {
+    return knowledgeBases.find(knowledgeBase => knowledgeBase.id === id) || null;
+}
+
+// Keep a changed knowledge base from the server in the local list
+function replaceKnowledgeBase(knowledgeBase) {
+    const index = knowledgeBases.findIndex(item => item.id === knowledgeBase.id);
+    if (index === -1) {
+        knowledgeBases.push(knowledgeBase);
+        knowledgeBases.sort((a, b) => a.name.localeCompare(b.name));
+    } else {
+        knowledgeBases[index] = knowledgeBase;
+    }
+}
+
+function setKnowledgeBase(id = null) {
+    activeKnowledgeBaseId = id || null;
+    updateKnowledgeButton();
+}
+
+function updateKnowledgeButton() {
+    const knowledgeBase = getKnowledgeBase(activeKnowledgeBaseId);
+    knowledgeBtn.classList.toggle('active', Boolean(knowledgeBase));
+    knowledgeBtn.title = knowledgeBase ? `Knowledge base: ${knowledgeBase.name}` : 'Knowledge base';
+}
+
+function openKnowledgeModal() {
+    renderKnowledgeOptions(activeKnowledgeBaseId || '');
+    closeKnowledgeEditor();
+    knowledgeModal.classList.add('show');
+}
+
+function closeKnowledgeModal() {
+    knowledgeModal.classList.remove('show');
+}
+
+function renderKnowledgeOptions(selectedId = knowledgeSelect.value) {
+    knowledgeSelect.innerHTML = '';
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'No knowledge base';
+    knowledgeSelect.appendChild(none);
+
+    knowledgeBases.forEach(knowledgeBase => {
+        const option = document.createElement('option');
+        option.value = knowledgeBase.id;
+        option.textContent = knowledgeBase.name;
+        knowledgeSelect.appendChild(option);
+    });
+
+    knowledgeSelect.value = getKnowledgeBase(selectedId) ? selectedId : '';
+    renderKnowledgeDetails();
+}
+
+// Description, documents and index state of the selected knowledge base
+function renderKnowledgeDetails() {
+    const knowledgeBase = getKnowledgeBase(knowledgeSelect.value);
+    document.getElementById('deleteKnowledgeBtn').disabled = !knowledgeBase;
+    knowledgeDetails.style.display = knowledgeBase ? '' : 'none';
+    if (!knowledgeBase) return;
+
+    const description = document.getElementById('knowledgeDescription');
+    description.textContent = knowledgeBase.stale
+        ? `Indexed with ${knowledgeBase.embedder}, but the server now uses ${knowledgeEmbedder}. Index it again before chatting with it.`
+        : knowledgeBase.description;
+    description.classList.toggle('warning', knowledgeBase.stale);
+    reindexKnowledgeBtn.style.display = knowledgeBase.stale ? '' : 'none';
+
+    knowledgeDocumentList.innerHTML = '';
+    if (knowledgeBase.documents.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'setting-hint';
+        empty.textContent = 'No documents yet';
+        knowledgeDocumentList.appendChild(empty);
+        return;
+    }
+
+    knowledgeBase.documents.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'api-token';
+
+        const label = document.createElement('span');
+        label.textContent = `${entry.name} (${entry.chunks} ${entry.chunks === 1 ? 'part' : 'parts'})`;
+        label.title = `Indexed ${new Date(entry.indexedAt).toLocaleString()}${entry.truncated ? ', truncated' : ''}`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'persona-tool';
+        removeBtn.innerHTML = '<i class="fas fa-trash"></i>';
+        removeBtn.title = 'Remove document';
+        removeBtn.onclick = () => removeKnowledgeDocument(knowledgeBase, entry);
+
+        item.appendChild(label);
+        item.appendChild(removeBtn);
+        knowledgeDocumentList.appendChild(item);
+    });
+}
+
+function openKnowledgeEditor() {
+    knowledgeNameInput.value = '';
+    knowledgeDescriptionInput.value = '';
+    knowledgeEditor.style.display = 'block';
+    knowledgeNameInput.focus();
+}
+
+function closeKnowledgeEditor() {
+    knowledgeEditor.style.display = 'none';
+}
+
+// Send a knowledge base request and return the parsed body, throwing the server's message on failure
+async function knowledgeRequest(url, options = {}) {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+        throw await readErrorResponse(response);
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+async function createKnowledgeBase() {
+    const name = knowledgeNameInput.value.trim();
+    if (!name) {
+        showToast('Give the knowledge base a name first', 'info');
+        return;
+    }
+
+    try {
+        const knowledgeBase = await knowledgeRequest('/api/knowledge', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ name, description: knowledgeDescriptionInput.value.trim() })
+        });
+
+        replaceKnowledgeBase(knowledgeBase);
+        renderKnowledgeOptions(knowledgeBase.id);
+        closeKnowledgeEditor();
+        showToast(`Knowledge base "${knowledgeBase.name}" created. Add documents to it next.`, 'success');
+    } catch (error) {
+        console.error('Error creating knowledge base:', error);
+        showToast(`Failed to create knowledge base: ${error.message}`, 'error');
+    }
+}
+
+async function deleteSelectedKnowledgeBase() {
+    const knowledgeBase = getKnowledgeBase(knowledgeSelect.value);
+    if (!knowledgeBase || !confirm(`Delete the knowledge base "${knowledgeBase.name}" and its documents?`)) return;
+
+    try {
+        await knowledgeRequest(`/api/knowledge/${encodeURIComponent(knowledgeBase.id)}`, { method: 'DELETE' });
+        knowledgeBases = knowledgeBases.filter(item => item.id !== knowledgeBase.id);
+        renderKnowledgeOptions('');
+        updateKnowledgeButton();
+        showToast('Knowledge base deleted', 'success');
+    } catch (error) {
+        console.error('Error deleting knowledge base:', error);
+        showToast(`Failed to delete knowledge base: ${error.message}`, 'error');
+    }
+}
+
+// Documents are chunked and embedded as they are uploaded, which can take a while
+async function addKnowledgeDocuments(files) {
+    const knowledgeBase = getKnowledgeBase(knowledgeSelect.value);
+    if (!knowledgeBase || files.length === 0) return;
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    const addBtn = document.getElementById('addKnowledgeDocumentsBtn');
+    addBtn.disabled = true;
+    updateStatus('Indexing documents...', 'processing');
+
+    try {
+        const updated = await knowledgeRequest(`/api/knowledge/${encodeURIComponent(knowledgeBase.id)}/documents`, {
+            method: 'POST',
+            body: formData
+        });
+
+        replaceKnowledgeBase(updated);
+        renderKnowledgeOptions(updated.id);
+        showToast(`Added ${files.length} document${files.length === 1 ? '' : 's'}`, 'success');
+        updateStatus('Ready', 'success');
+    } catch (error) {
+        console.error('Error adding documents:', error);
+        showToast(`Failed to add documents: ${error.message}`, 'error');
+        updateStatus('Error', 'error');
+    } finally {
+        addBtn.disabled = false;
+    }
+}
+
+async function removeKnowledgeDocument(knowledgeBase, entry) {
+    if (!confirm(`Remove "${entry.name}" from ${knowledgeBase.name}?`)) return;
+
+    try {
+        const updated = await knowledgeRequest(
+            `/api/knowledge/${encodeURIComponent(knowledgeBase.id)}/documents/${encodeURIComponent(entry.id)}`,
+            { method: 'DELETE' }
+        );
+        replaceKnowledgeBase(updated);
+        renderKnowledgeOptions(updated.id);
+    } catch (error) {
+        console.error('Error removing document:', error);
+        showToast(`Failed to remove document: ${error.message}`, 'error');
+    }
+}
+
+async function reindexSelectedKnowledgeBase() {
+    const knowledgeBase = getKnowledgeBase(knowledgeSelect.value);
+    if (!knowledgeBase) return;
+
+    reindexKnowledgeBtn.disabled = true;
+    updateStatus('Indexing documents...', 'processing');
+
+    try {
+        const updated = await knowledgeRequest(`/api/knowledge/${encodeURIComponent(knowledgeBase.id)}/reindex`, { method: 'POST' });
+        replaceKnowledgeBase(updated);
+        renderKnowledgeOptions(updated.id);
+        showToast('Knowledge base indexed again', 'success');
+        updateStatus('Ready', 'success');
+    } catch (error) {
+        console.error('Error reindexing knowledge base:', error);
+        showToast(`Failed to index knowledge base: ${error.message}`, 'error');
+        updateStatus('Error', 'error');
+    } finally {
+        reindexKnowledgeBtn.disabled = false;
+    }
+}
+
+// Use the selected knowledge base in the open conversation
+async function applyKnowledgeBase() {
+    const knowledgeBaseId = knowledgeSelect.value || null;
+
+    if (currentConversationId) {
+        try {
+            await knowledgeRequest(`/api/conversations/${encodeURIComponent(currentConversationId)}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ knowledgeBaseId })
+            });
+        } catch (error) {
+            console.error('Error saving knowledge base:', error);
+            showToast(`Failed to save knowledge base: ${error.message}`, 'error');
+            return;
+        }
+    }
+
+    setKnowledgeBase(knowledgeBaseId);
+    closeKnowledgeModal();
+    const knowledgeBase = getKnowledgeBase(knowledgeBaseId);
+    showToast(knowledgeBase ? `Answering from "${knowledgeBase.name}"` : 'Knowledge base turned off', 'success');
+}
+
+// "Sources" under a reply: one link per cited passage
+function createSourceList(sources) {
+    const list = document.createElement('div');
+    list.className = 'message-sources';
+
+    const heading = document.createElement('span');
+    heading.textContent = 'Sources';
+    list.appendChild(heading);
+
+    sources.forEach(source => {
+        const link = document.createElement('button');
+        link.className = 'source-link';
+        link.textContent = `[${source.number}] ${source.name}, part ${source.chunk + 1}`;
+        link.title = source.snippet;
+        link.onclick = () => openKnowledgeSource(source);
+        list.appendChild(link);
+    });
+    return list;
+}
+
+// Turn [1]-style citations in a rendered reply into links to their passages.
+// Code is left alone, since [1] there is most likely an index.
+function linkCitations(messageBody, sources) {
+    const walker = document.createTreeWalker(messageBody, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest('pre, code, a')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+        const pieces = node.textContent.split(/(\[\d+\])/);
+        if (pieces.length === 1) return;
+
+        const fragment = document.createDocumentFragment();
+        pieces.forEach(piece => {
+            const match = /^\[(\d+)\]$/.exec(piece);
+            const source = match && sources.find(item => item.number === Number(match[1]));
+            if (!source) {
+                fragment.appendChild(document.createTextNode(piece));
+                return;
+            }
+            const link = document.createElement('button');
+            link.className = 'citation';
+            link.textContent = source.number;
+            link.title = `${source.name}, part ${source.chunk + 1}: ${source.snippet}`;
+            link.onclick = () => openKnowledgeSource(source);
+            fragment.appendChild(link);
+        });
+        node.replaceWith(fragment);
+    });
+}
+
+// Show the cited document with the passage highlighted
+async function openKnowledgeSource(source) {
+    try {
+        const sourceDocument = await knowledgeRequest(
+            `/api/knowledge/${encodeURIComponent(source.knowledgeBaseId)}/documents/${encodeURIComponent(source.documentId)}`
+        );
+        renderSourceDocument(sourceDocument, source.chunk);
+        sourceModal.classList.add('show');
+        const mark = sourceText.querySelector('mark');
+        if (mark) mark.scrollIntoView({ block: 'center' });
+    } catch (error) {
+        console.error('Error loading source:', error);
+        showToast(`Failed to load source: ${error.message}`, 'error');
+    }
+}
+
+function renderSourceDocument({ name, text, chunks }, chunkIndex) {
+    const chunk = chunks[chunkIndex] || { start: 0, end: 0 };
+    sourceTitle.textContent = `${name}, part ${chunkIndex + 1} of ${chunks.length}`;
+
+    sourceText.innerHTML = '';
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(chunk.start, chunk.end);
+    sourceText.appendChild(document.createTextNode(text.slice(0, chunk.start)));
+    sourceText.appendChild(mark);
+    sourceText.appendChild(document.createTextNode(text.slice(chunk.end)));
+}
+
+function closeSourceModal() {
+    sourceModal.classList.remove('show');
+}
@@ -0,0 +1,234 @@
+// Markdown rendering for chat messages.
+// Pipeline: marked (GFM + math extension) -> DOMPurify allow-list -> KaTeX
+// for the math left in place by the extension -> DOM post-processing for
+// syntax highlighting and code block headers.
+// Model output is untrusted, so nothing reaches innerHTML without DOMPurify.
+// KaTeX output is added after sanitizing, so inline styles are only ever
+// KaTeX's own.
+
+// Allow-list for DOMPurify: formatting, tables, links and images. No style
+// attribute, so model output cannot cover or restyle the page.
+const SANITIZE_CONFIG = {
+    ALLOWED_TAGS: [
+        'a', 'b', 'blockquote', 'br', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'hr', 'i', 'img', 'input', 'li', 'ol', 'p', 'pre', 's', 'span', 'strong', 'sub', 'sup',
+        'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+    ],
+    ALLOWED_ATTR: [
+        'href', 'title', 'alt', 'src', 'class', 'align', 'colspan', 'rowspan', 'start',
+        'type', 'checked', 'disabled'
+    ],
+    ALLOW_DATA_ATTR: false,
+    RETURN_DOM_FRAGMENT: true
+};
+
+// Math left by the extensions for renderMathIn, and whether it is display math
+const MATH_SELECTOR = '.math-block, .math-display, .math-inline';
+
+let markdownReady = false;
+
+// Configure marked and DOMPurify once the CDN scripts are available
+function setupMarkdown() {
+    if (markdownReady || !window.marked || !window.DOMPurify) {
+        return markdownReady;
+    }
+
+    marked.use({
+        gfm: true,
+        breaks: true,
+        extensions: [mathBlockExtension, mathInlineExtension]
+    });
+
+    // Only task-list checkboxes may use <input>, and only disabled ones
+    DOMPurify.addHook('uponSanitizeElement', (node, data) => {
+        if (data.tagName === 'input' && node.getAttribute('type') !== 'checkbox') {
+            node.remove();
+        }
+    });
+
+    DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+        if (node.tagName === 'A') {
+            // Links open in a new tab without access to this page
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        } else if (node.tagName === 'INPUT') {
+            node.setAttribute('disabled', '');
+        } else if (node.tagName === 'IMG') {
+            node.setAttribute('loading', 'lazy');
+            node.setAttribute('referrerpolicy', 'no-referrer');
+            // Loading a remote image would tell its host who reads the
+            // message; keep the address for linkRemoteImages instead
+            const src = node.getAttribute('src');
+            if (src && !isLocalImage(src)) {
+                node.removeAttribute('src');
+                if (/^https?:\/\//i.test(src)) {
+                    node.setAttribute('data-remote-src', src);
+                }
+            }
+        }
+    });
+
+    markdownReady = true;
+    return true;
+}
+
+// $$...$$ or \[...\] on their own lines
+const mathBlockExtension = {
+    name: 'mathBlock',
+    level: 'block',
+    start(src) {
+        const match = src.match(/^ {0,3}(\$\$|\\\[)/m);
+        return match ? match.index : undefined;
+    },
+    tokenizer(src) {
+        const match = /^ {0,3}\$\$([\s\S]+?)\$\$ *(?:\n+|$)/.exec(src) ||
+            /^ {0,3}\\\[([\s\S]+?)\\\] *(?:\n+|$)/.exec(src);
+        if (match) {
+            return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+        }
+    },
+    renderer(token) {
+        return `<div class="math-block">${escapeHtml(token.text)}</div>`;
+    }
+};
+
+// $...$, $$...$$ or \(...\) inside a paragraph. "$5 and $10" is left alone
+// because the closing $ may not follow a space or precede a digit.
+const mathInlineExtension = {
+    name: 'mathInline',
+    level: 'inline',
+    start(src) {
+        const match = src.match(/\$|\\\(/);
+        return match ? match.index : undefined;
+    },
+    tokenizer(src) {
+        let match = /^\$\$([^$]+?)\$\$/.exec(src);
+        if (match) {
+            return { type: 'mathInline', raw: match[0], text: match[1].trim(), displayMode: true };
+        }
+
+        match = /^\$([^\s$](?:[^$\n]*?[^\s$\\])?)\$(?!\d)/.exec(src) || /^\\\((.+?)\\\)/.exec(src);
+        if (match) {
+            return { type: 'mathInline', raw: match[0], text: match[1], displayMode: false };
+        }
+    },
+    renderer(token) {
+        return `<span class="${token.displayMode ? 'math-display' : 'math-inline'}">${escapeHtml(token.text)}</span>`;
+    }
+};
+
+function renderMath(tex, displayMode) {
+    if (!window.katex) {
+        return `<code>${escapeHtml(tex)}</code>`;
+    }
+
+    // trust: false keeps \href, \url and friends from emitting links or raw
+    // HTML, and maxSize keeps \rule and friends from covering the page
+    return katex.renderToString(tex, {
+        displayMode,
+        throwOnError: false,
+        trust: false,
+        maxSize: 20,
+        output: 'html'
+    });
+}
+
+// Replace the math placeholders in sanitized output with KaTeX markup. A
+// placeholder written by the model itself only gets its text typeset.
+function renderMathIn(fragment) {
+    fragment.querySelectorAll(MATH_SELECTOR).forEach(node => {
+        node.innerHTML = renderMath(node.textContent, !node.classList.contains('math-inline'));
+    });
+}
+
+// data: images and images from this server are shown as they are
+function isLocalImage(src) {
+    try {
+        const url = new URL(src, location.href);
+        return url.protocol === 'data:' ? /^data:image\//i.test(src) : url.origin === location.origin;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Remote images become links, so they load only when the reader asks
+function linkRemoteImages(fragment) {
+    fragment.querySelectorAll('img[data-remote-src]').forEach(img => {
+        const link = document.createElement('a');
+        link.href = img.getAttribute('data-remote-src');
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.className = 'remote-image';
+        link.textContent = img.getAttribute('alt') || link.href;
+        link.title = 'Open image (hosted elsewhere)';
+        img.replaceWith(link);
+    });
+}
+
+// Format message content as sanitized HTML
+function formatMessage(content) {
+    if (!setupMarkdown()) {
+        // Markdown libraries failed to load: show plain, escaped text
+        return escapeHtml(content).replace(/\n/g, '<br>');
+    }
+
+    const fragment = DOMPurify.sanitize(marked.parse(content), SANITIZE_CONFIG);
+    renderMathIn(fragment);
+    linkRemoteImages(fragment);
+
+    const template = document.createElement('template');
+    template.content.appendChild(fragment);
+    return template.innerHTML;
+}
+
+// Highlight code blocks and give each one a language label and copy button
+function enhanceCodeBlocks(container) {
+    container.querySelectorAll('pre > code').forEach(code => {
+        const pre = code.parentElement;
+        const languageClass = Array.from(code.classList).find(name => name.startsWith('language-'));
+        const language = languageClass ? languageClass.slice('language-'.length) : '';
+
+        if (window.hljs && language && hljs.getLanguage(language)) {
+            hljs.highlightElement(code);
+        }
+
+        const header = document.createElement('div');
+        header.className = 'code-header';
+
+        const label = document.createElement('span');
+        label.className = 'code-language';
+        label.textContent = language || 'text';
+
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'code-copy';
+        copyBtn.title = 'Copy code';
+        copyBtn.innerHTML = '<i class="fas fa-copy"></i> Copy';
+        copyBtn.onclick = async () => {
+            try {
+                await navigator.clipboard.writeText(code.textContent);
+                copyBtn.innerHTML = '<i class="fas fa-check"></i> Copied';
+                setTimeout(() => {
+                    copyBtn.innerHTML = '<i class="fas fa-copy"></i> Copy';
+                }, 1500);
+            } catch (error) {
+                showToast('Failed to copy code', 'error');
+            }
+        };
+
+        header.appendChild(label);
+        header.appendChild(copyBtn);
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'code-block';
+        pre.parentNode.insertBefore(wrapper, pre);
+        wrapper.appendChild(header);
+        wrapper.appendChild(pre);
+    });
+}
+
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
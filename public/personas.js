@@ -0,0 +1,231 @@
+// Personas and per-conversation system instructions.
+// Relies on globals from script.js (currentConversationId, isProcessing, showToast, ...).
+
+let personas = [];
+// Persona and instructions of the open conversation. New chats keep them
+// locally until the conversation is created on the first message.
+let conversationSettings = { personaId: null, systemPrompt: '' };
+// Persona being edited in the modal (null while creating a new one)
+let editingPersonaId = null;
+
+const personaBtn = document.getElementById('personaBtn');
+const personaName = document.getElementById('personaName');
+const personaModal = document.getElementById('personaModal');
+const personaSelect = document.getElementById('personaSelect');
+const personaDescription = document.getElementById('personaDescription');
+const personaEditor = document.getElementById('personaEditor');
+const personaNameInput = document.getElementById('personaNameInput');
+const personaDescriptionInput = document.getElementById('personaDescriptionInput');
+const personaPromptInput = document.getElementById('personaPromptInput');
+const systemPromptInput = document.getElementById('systemPromptInput');
+
+function setupPersonaListeners() {
+    personaBtn.addEventListener('click', openPersonaModal);
+    document.getElementById('personaModalClose').addEventListener('click', closePersonaModal);
+    document.getElementById('cancelSettingsBtn').addEventListener('click', closePersonaModal);
+    document.getElementById('applySettingsBtn').addEventListener('click', applyConversationSettings);
+    personaModal.addEventListener('click', (e) => {
+        if (e.target === personaModal) closePersonaModal();
+    });
+
+    personaSelect.addEventListener('change', updatePersonaControls);
+    document.getElementById('newPersonaBtn').addEventListener('click', () => openPersonaEditor(null));
+    document.getElementById('editPersonaBtn').addEventListener('click', () => openPersonaEditor(getPersona(personaSelect.value)));
+    document.getElementById('deletePersonaBtn').addEventListener('click', deleteSelectedPersona);
+    document.getElementById('cancelPersonaBtn').addEventListener('click', closePersonaEditor);
+    document.getElementById('savePersonaBtn').addEventListener('click', savePersona);
+}
+
+async function loadPersonas() {
+    try {
+        const response = await fetch('/api/personas');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        personas = data.personas;
+        renderPersonaOptions();
+        updatePersonaHeader();
+    } catch (error) {
+        console.error('Error loading personas:', error);
+    }
+}
+
+function getPersona(id) {
+    return personas.find(persona => persona.id === id) || null;
+}
+
+function getActivePersona() {
+    return getPersona(conversationSettings.personaId);
+}
+
+function renderPersonaOptions(selectedId = personaSelect.value) {
+    personaSelect.innerHTML = '';
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'No persona';
+    personaSelect.appendChild(none);
+
+    personas.forEach(persona => {
+        const option = document.createElement('option');
+        option.value = persona.id;
+        option.textContent = persona.builtin ? persona.name : `${persona.name} (custom)`;
+        personaSelect.appendChild(option);
+    });
+
+    personaSelect.value = getPersona(selectedId) ? selectedId : '';
+    updatePersonaControls();
+}
+
+// Show the selected persona's description; built-in personas are read-only
+function updatePersonaControls() {
+    const persona = getPersona(personaSelect.value);
+    personaDescription.textContent = persona ? persona.description || persona.systemPrompt : '';
+    document.getElementById('editPersonaBtn').disabled = !persona || persona.builtin;
+    document.getElementById('deletePersonaBtn').disabled = !persona || persona.builtin;
+}
+
+// Keep the settings of the open conversation and show its persona in the header
+function setConversationSettings({ personaId = null, systemPrompt = '' } = {}) {
+    conversationSettings = { personaId: personaId || null, systemPrompt: systemPrompt || '' };
+    updatePersonaHeader();
+}
+
+function updatePersonaHeader() {
+    const persona = getActivePersona();
+    const hasInstructions = Boolean(conversationSettings.systemPrompt);
+
+    if (persona) {
+        personaName.textContent = hasInstructions ? `${persona.name} +` : persona.name;
+    } else {
+        personaName.textContent = hasInstructions ? 'Custom instructions' : 'No persona';
+    }
+    personaBtn.classList.toggle('active', Boolean(persona) || hasInstructions);
+    personaBtn.title = persona
+        ? `Persona: ${persona.name}${hasInstructions ? ' with conversation instructions' : ''}`
+        : 'Persona and system instructions';
+}
+
+function openPersonaModal() {
+    renderPersonaOptions(conversationSettings.personaId || '');
+    systemPromptInput.value = conversationSettings.systemPrompt;
+    closePersonaEditor();
+    personaModal.classList.add('show');
+}
+
+function closePersonaModal() {
+    personaModal.classList.remove('show');
+}
+
+// Save the chosen persona and instructions to the open conversation
+async function applyConversationSettings() {
+    const settings = {
+        personaId: personaSelect.value || null,
+        systemPrompt: systemPromptInput.value.trim()
+    };
+
+    if (!await storeConversationSettings(settings)) return;
+    closePersonaModal();
+    showToast('Instructions updated', 'success');
+}
+
+// Keep a persona and instructions for the open conversation, saving them
+// first when it is stored. Returns false when saving failed.
+async function storeConversationSettings(settings) {
+    if (currentConversationId) {
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(currentConversationId)}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(settings)
+            });
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Error saving conversation settings:', error);
+            showToast(`Failed to save instructions: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    setConversationSettings(settings);
+    scheduleTokenCount();
+    return true;
+}
+
+function openPersonaEditor(persona) {
+    editingPersonaId = persona ? persona.id : null;
+    personaNameInput.value = persona ? persona.name : '';
+    personaDescriptionInput.value = persona ? persona.description : '';
+    personaPromptInput.value = persona ? persona.systemPrompt : '';
+    personaEditor.style.display = 'block';
+    personaNameInput.focus();
+}
+
+function closePersonaEditor() {
+    editingPersonaId = null;
+    personaEditor.style.display = 'none';
+}
+
+async function savePersona() {
+    const persona = {
+        name: personaNameInput.value.trim(),
+        description: personaDescriptionInput.value.trim(),
+        systemPrompt: personaPromptInput.value.trim()
+    };
+
+    if (!persona.name || !persona.systemPrompt) {
+        showToast('A persona needs a name and instructions', 'error');
+        return;
+    }
+
+    try {
+        const url = editingPersonaId ? `/api/personas/${encodeURIComponent(editingPersonaId)}` : '/api/personas';
+        const response = await fetch(url, {
+            method: editingPersonaId ? 'PATCH' : 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(persona)
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+
+        await loadPersonas();
+        renderPersonaOptions(result.id);
+        closePersonaEditor();
+        showToast(`Persona "${result.name}" saved`, 'success');
+    } catch (error) {
+        console.error('Error saving persona:', error);
+        showToast(`Failed to save persona: ${error.message}`, 'error');
+    }
+}
+
+async function deleteSelectedPersona() {
+    const persona = getPersona(personaSelect.value);
+    if (!persona || persona.builtin || !confirm(`Delete the persona "${persona.name}"?`)) return;
+
+    try {
+        const response = await fetch(`/api/personas/${encodeURIComponent(persona.id)}`, { method: 'DELETE' });
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        await loadPersonas();
+        renderPersonaOptions('');
+        showToast('Persona deleted', 'success');
+    } catch (error) {
+        console.error('Error deleting persona:', error);
+        showToast('Failed to delete persona', 'error');
+    }
+}
@@ -1,38 +1,81 @@
 // Global variables
 let chatHistory = [];
+let conversationTree = { messages: [], activeChildren: {} };
 let isProcessing = false;
+// Aborts the reply that is being generated
+let activeRequest = null;
 let currentTheme = localStorage.getItem('theme') || 'light';
-let uploadedImage = null;
+let uploadedImages = [];
+let attachedFiles = [];
+let currentConversationId = localStorage.getItem('conversationId');
+let availableModels = [];
+let appVersion = null;
+
+// Attachment limits (the server accepts at most 4 images and 5 files per message)
+const MAX_IMAGES = 4;
+const MAX_ATTACHMENTS = 5;
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+const MAX_TOTAL_IMAGE_SIZE = 30 * 1024 * 1024;
+
+// How often and how long to wait for the server to save a stopped reply
+const STOPPED_REPLY_ATTEMPTS = 5;
+const STOPPED_REPLY_DELAY = 300;
 
 // DOM elements
 const messageInput = document.getElementById('messageInput');
 const sendButton = document.getElementById('sendButton');
 const chatMessages = document.getElementById('chatMessages');
-const loadingOverlay = document.getElementById('loadingOverlay');
 const charCount = document.getElementById('charCount');
 const status = document.getElementById('status');
 const themeToggle = document.getElementById('themeToggle');
 const exportBtn = document.getElementById('exportBtn');
+const exportMenu = document.getElementById('exportMenu');
+const importInput = document.getElementById('importInput');
 const clearBtn = document.getElementById('clearBtn');
 const uploadBtn = document.getElementById('uploadBtn');
 const fileInput = document.getElementById('fileInput');
+const attachBtn = document.getElementById('attachBtn');
+const documentInput = document.getElementById('documentInput');
+const attachmentChips = document.getElementById('attachmentChips');
 const uploadPreview = document.getElementById('uploadPreview');
-const previewImage = document.getElementById('previewImage');
-const streamingIndicator = document.getElementById('streamingIndicator');
 const toastContainer = document.getElementById('toastContainer');
+const sidebar = document.getElementById('sidebar');
+const sidebarToggle = document.getElementById('sidebarToggle');
+const newChatBtn = document.getElementById('newChatBtn');
+const conversationList = document.getElementById('conversationList');
+const modelSelect = document.getElementById('modelSelect');
 
 // Initialize the app
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     setupEventListeners();
+    setupPersonaListeners();
+    setupSettingsListeners();
+    setupAuthListeners();
+    setupUsageListeners();
+    setupSearchListeners();
+    setupKnowledgeListeners();
+    setupShareListeners();
+    setupCompareListeners();
+    setupCommandListeners();
     updateCharCount();
-    checkServerHealth();
     applyTheme();
+    checkServerHealth();
+
+    // Everything else belongs to the signed-in user
+    await requireSignIn();
+    loadModels();
+    loadPersonas();
+    loadGenerationOptions();
+    loadKnowledgeBases();
+    loadDocumentTypes();
+    restoreConversation();
 });
 
 // Setup event listeners
 function setupEventListeners() {
     // Send message on Enter (but not Shift+Enter)
     messageInput.addEventListener('keydown', function(e) {
+        if (handleCommandSuggestionKey(e)) return;
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
             sendMessage();
@@ -43,46 +86,82 @@ function setupEventListeners() {
     messageInput.addEventListener('input', function() {
         updateCharCount();
         autoResizeTextarea();
+        scheduleTokenCount();
     });
 
-    // Send button click
-    sendButton.addEventListener('click', sendMessage);
+    // Send button click; it stops the reply while one is generated
+    sendButton.addEventListener('click', () => {
+        if (isProcessing) {
+            stopGeneration();
+        } else {
+            sendMessage();
+        }
+    });
+
+    // Model picker
+    modelSelect.addEventListener('change', () => {
+        localStorage.setItem('model', modelSelect.value);
+        scheduleTokenCount();
+    });
 
     // Theme toggle
     themeToggle.addEventListener('click', toggleTheme);
 
-    // Export conversation
-    exportBtn.addEventListener('click', exportConversation);
+    // Export menu
+    exportBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        exportMenu.classList.toggle('show');
+    });
+    exportMenu.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-format], [data-action]');
+        if (!item) return;
+
+        exportMenu.classList.remove('show');
+        if (item.dataset.action === 'import') {
+            importInput.click();
+        } else if (item.dataset.action === 'share') {
+            openShareModal();
+        } else {
+            exportConversation(item.dataset.format);
+        }
+    });
+    document.addEventListener('click', () => exportMenu.classList.remove('show'));
+
+    // Import conversation
+    importInput.addEventListener('change', () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (file) importConversation(file);
+    });
 
     // Clear conversation
     clearBtn.addEventListener('click', clearChat);
 
+    // Conversation sidebar
+    newChatBtn.addEventListener('click', startNewChat);
+    sidebarToggle.addEventListener('click', () => sidebar.classList.toggle('open'));
+
     // File upload
     uploadBtn.addEventListener('click', () => fileInput.click());
     fileInput.addEventListener('change', handleFileUpload);
 
+    // Document attachments
+    attachBtn.addEventListener('click', () => documentInput.click());
+    documentInput.addEventListener('change', handleDocumentUpload);
+
     // Keyboard shortcuts
     document.addEventListener('keydown', handleKeyboardShortcuts);
 }
 
-// Handle keyboard shortcuts
+// Handle keyboard shortcuts. The configurable ones (focus input, theme,
+// export, command palette, ...) live in commands.js.
 function handleKeyboardShortcuts(e) {
-    // Ctrl/Cmd + K to focus input
-    if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-        e.preventDefault();
-        messageInput.focus();
-    }
-    
-    // Ctrl/Cmd + L to toggle theme
-    if ((e.ctrlKey || e.metaKey) && e.key === 'l') {
-        e.preventDefault();
-        toggleTheme();
-    }
-    
-    // Ctrl/Cmd + E to export
-    if ((e.ctrlKey || e.metaKey) && e.key === 'e') {
+    if (handleCommandShortcut(e)) return;
+
+    // Escape to stop the reply being generated
+    if (e.key === 'Escape' && isProcessing) {
         e.preventDefault();
-        exportConversation();
+        stopGeneration();
     }
 }
 
@@ -122,41 +201,226 @@ function updateCharCount() {
 
 // File upload handling
 function handleFileUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+    const files = Array.from(event.target.files);
+    fileInput.value = '';
+    if (files.length === 0) return;
 
-    if (!file.type.startsWith('image/')) {
-        showToast('Please select an image file', 'error');
-        return;
-    }
+    files.forEach(file => {
+        if (!file.type.startsWith('image/')) {
+            showToast(`${file.name} is not an image file`, 'error');
+            return;
+        }
 
-    if (file.size > 10 * 1024 * 1024) { // 10MB limit
-        showToast('Image size must be less than 10MB', 'error');
-        return;
-    }
+        if (file.size > MAX_IMAGE_SIZE) {
+            showToast(`${file.name} must be less than 10MB`, 'error');
+            return;
+        }
+
+        if (uploadedImages.length >= MAX_IMAGES) {
+            showToast(`You can attach up to ${MAX_IMAGES} images per message`, 'error');
+            return;
+        }
 
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        uploadedImage = {
-            data: e.target.result,
-            name: file.name,
-            type: file.type
+        const totalSize = uploadedImages.reduce((sum, image) => sum + image.size, 0);
+        if (totalSize + file.size > MAX_TOTAL_IMAGE_SIZE) {
+            showToast('Attached images must be less than 30MB in total', 'error');
+            return;
+        }
+
+        // Reserve the slot now so limits hold while files are still being read
+        const image = { data: null, name: file.name, type: file.type, size: file.size };
+        uploadedImages.push(image);
+
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            image.data = e.target.result;
+            renderUploadPreview();
         };
-        
-        previewImage.src = e.target.result;
-        uploadPreview.style.display = 'flex';
-        showToast('Image uploaded successfully', 'success');
-    };
-    reader.readAsDataURL(file);
+        reader.onerror = function() {
+            uploadedImages = uploadedImages.filter(item => item !== image);
+            showToast(`Failed to read ${file.name}`, 'error');
+        };
+        reader.readAsDataURL(file);
+    });
 }
 
-function removeImage() {
-    uploadedImage = null;
-    uploadPreview.style.display = 'none';
-    fileInput.value = '';
+// Show a removable thumbnail for every attached image
+function renderUploadPreview() {
+    uploadPreview.innerHTML = '';
+
+    uploadedImages.forEach((image, index) => {
+        if (!image.data) return;
+
+        const item = document.createElement('div');
+        item.className = 'upload-preview-item';
+
+        const img = document.createElement('img');
+        img.src = image.data;
+        img.alt = image.name;
+        img.title = image.name;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-image';
+        removeBtn.title = 'Remove image';
+        removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+        removeBtn.onclick = () => removeImage(index);
+
+        item.appendChild(img);
+        item.appendChild(removeBtn);
+        uploadPreview.appendChild(item);
+    });
+
+    uploadPreview.style.display = uploadedImages.length > 0 ? 'flex' : 'none';
+}
+
+function removeImage(index) {
+    uploadedImages.splice(index, 1);
+    renderUploadPreview();
     showToast('Image removed', 'info');
 }
 
+function clearImages() {
+    uploadedImages = [];
+    renderUploadPreview();
+}
+
+// Document attachments are uploaded right away and sent as ids with the next message
+async function loadDocumentTypes() {
+    try {
+        const response = await fetch('/api/uploads/types');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        documentInput.accept = data.extensions.join(',');
+    } catch (error) {
+        console.error('Error loading document types:', error);
+    }
+}
+
+function handleDocumentUpload(event) {
+    const files = Array.from(event.target.files);
+    documentInput.value = '';
+
+    files.forEach(file => {
+        if (attachedFiles.length >= MAX_ATTACHMENTS) {
+            showToast(`You can attach up to ${MAX_ATTACHMENTS} files per message`, 'error');
+            return;
+        }
+
+        const attachment = { id: null, name: file.name, size: file.size, uploading: true };
+        attachedFiles.push(attachment);
+        renderAttachmentChips();
+
+        uploadDocument(file)
+            .then(uploaded => {
+                Object.assign(attachment, uploaded, { uploading: false });
+
+                // The chip may have been removed while the upload was running
+                if (!attachedFiles.includes(attachment)) {
+                    discardAttachment(attachment);
+                }
+                if (uploaded.truncated) {
+                    showToast(`${file.name} is long, only the first part will be sent`, 'info');
+                }
+            })
+            .catch(error => {
+                console.error('Error uploading file:', error);
+                attachedFiles = attachedFiles.filter(item => item !== attachment);
+                showToast(error.message, 'error');
+            })
+            .finally(renderAttachmentChips);
+    });
+}
+
+async function uploadDocument(file) {
+    const formData = new FormData();
+    formData.append('files', file);
+
+    const response = await fetch('/api/uploads', {
+        method: 'POST',
+        body: formData
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Failed to upload ${file.name}`);
+    }
+
+    return data.files[0];
+}
+
+function renderAttachmentChips() {
+    attachmentChips.innerHTML = '';
+    scheduleTokenCount();
+
+    attachedFiles.forEach(attachment => {
+        const chip = createFileChip(attachment);
+        chip.classList.toggle('uploading', attachment.uploading);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'file-chip-remove';
+        removeBtn.title = 'Remove file';
+        removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+        removeBtn.onclick = () => removeAttachment(attachment);
+
+        chip.appendChild(removeBtn);
+        attachmentChips.appendChild(chip);
+    });
+
+    attachmentChips.style.display = attachedFiles.length > 0 ? 'flex' : 'none';
+}
+
+// Chip showing a file's name and size, used in the input area and in messages
+function createFileChip(file) {
+    const chip = document.createElement('div');
+    chip.className = 'file-chip';
+    chip.title = file.name;
+
+    const icon = document.createElement('i');
+    icon.className = file.uploading
+        ? 'fas fa-spinner fa-spin'
+        : file.kind === 'pdf' ? 'fas fa-file-pdf' : file.kind === 'code' ? 'fas fa-file-code' : 'fas fa-file-alt';
+
+    const name = document.createElement('span');
+    name.className = 'file-chip-name';
+    name.textContent = file.name;
+
+    const size = document.createElement('span');
+    size.className = 'file-chip-size';
+    size.textContent = formatFileSize(file.size);
+
+    chip.appendChild(icon);
+    chip.appendChild(name);
+    chip.appendChild(size);
+    return chip;
+}
+
+function removeAttachment(attachment) {
+    attachedFiles = attachedFiles.filter(item => item !== attachment);
+    discardAttachment(attachment);
+    renderAttachmentChips();
+}
+
+// Tell the server to forget an upload that will not be sent
+function discardAttachment(attachment) {
+    if (!attachment.id) return;
+    fetch(`/api/uploads/${encodeURIComponent(attachment.id)}`, { method: 'DELETE' })
+        .catch(error => console.error('Error removing upload:', error));
+}
+
+function clearAttachments() {
+    attachedFiles = [];
+    renderAttachmentChips();
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 // Send example message
 function sendExample(message) {
     messageInput.value = message;
@@ -165,9 +429,37 @@ function sendExample(message) {
 
 // Send message to Gemini
 async function sendMessage() {
-    const message = messageInput.value.trim();
+    let message = messageInput.value.trim();
     
-    if (!message || isProcessing) {
+    if (!message) {
+        return;
+    }
+
+    // "/name ..." runs a command (see commands.js); "//" sends a message that
+    // starts with a slash
+    if (message.startsWith('//')) {
+        message = message.slice(1);
+    } else if (message.startsWith('/')) {
+        runSlashCommand(message);
+        return;
+    }
+
+    if (isProcessing) {
+        return;
+    }
+
+    if (uploadedImages.some(image => !image.data) || attachedFiles.some(file => file.uploading)) {
+        showToast('Attachments are still loading, please wait', 'info');
+        return;
+    }
+
+    // Catch text-only models before sending images they cannot read
+    const models = compareMode ? getCompareModels() : [getSelectedModel()];
+    const textOnlyModel = models.find(model => model && !model.capabilities.vision);
+    const needsVision = uploadedImages.length > 0 ||
+        chatHistory.some(msg => getMessageImages(msg.parts).length > 0);
+    if (needsVision && textOnlyModel) {
+        showToast(`${textOnlyModel.name} does not support images. Choose a vision model.`, 'error');
         return;
     }
 
@@ -176,106 +468,533 @@ async function sendMessage() {
     updateCharCount();
     autoResizeTextarea();
     
-    addMessage(message, 'user');
+    const images = uploadedImages.map(({ data, name, type }) => ({ data, name, type }));
+    const files = attachedFiles.slice();
+    clearImages();
+    clearAttachments();
+
+    if (compareMode) {
+        await submitComparison({ message, images, files });
+    } else {
+        await submitTurn({ message, images, files });
+    }
+}
+
+// Send a turn and stream the reply into the chat. A turn is a new message with
+// its images and files, an edit of an earlier user message (editOf), or a new
+// reply to an earlier user message (regenerateFrom). Edits and regenerated
+// replies become branches of the conversation tree.
+async function submitTurn({ message = '', images = [], files = [], editOf = null, regenerateFrom = null, bypassCache = false }) {
+    const target = findTreeMessage(conversationTree, editOf || regenerateFrom);
+
+    // Show only the part of the branch the new turn continues from
+    if (target) {
+        const path = getPathTo(conversationTree, target.id);
+        renderConversation(editOf ? path.slice(0, -1) : path);
+    }
+
+    let userMessage = null;
+    if (!regenerateFrom) {
+        // An edit keeps the images and files of the message it replaces
+        userMessage = addMessage(message, 'user', {
+            images: editOf ? getMessageImages(target.parts) : images.map(image => image.data),
+            files: editOf ? getMessageFiles(target.parts) : files
+        });
+    }
     setProcessing(true);
 
+    // The reply shows as an inline "generating" bubble until text arrives
+    const assistantMessage = addMessage('', 'assistant');
+    assistantMessage.classList.add('generating');
+    assistantMessage.querySelector('.message-content').appendChild(createGeneratingIndicator());
+
+    activeRequest = new AbortController();
+    const { signal } = activeRequest;
+    const messageCount = conversationTree.messages.length;
+    let responseText = '';
+
+    // Take the turn off the screen again, putting a new message's text back
+    // in the input so it can be rephrased or sent again
+    const undoTurn = () => {
+        assistantMessage.remove();
+        if (target) {
+            renderConversation();
+        } else {
+            userMessage.remove();
+            messageInput.value = message;
+            updateCharCount();
+            autoResizeTextarea();
+        }
+    };
+
     try {
+        // Conversations are created lazily on the first message
+        if (!currentConversationId) {
+            const conversation = await createConversation();
+            setCurrentConversation(conversation.id);
+        }
+
         const requestBody = {
-            message: message,
-            history: chatHistory
+            conversationId: currentConversationId
         };
 
-        // Add image if uploaded
-        if (uploadedImage) {
-            requestBody.image = uploadedImage;
-            removeImage(); // Clear the image after sending
+        if (regenerateFrom) {
+            requestBody.regenerateFrom = regenerateFrom;
+        } else {
+            requestBody.message = message;
+        }
+
+        if (editOf) {
+            requestBody.editOf = editOf;
+        }
+
+        if (modelSelect.value) {
+            requestBody.model = modelSelect.value;
+        }
+
+        // Add images if uploaded
+        if (images.length > 0) {
+            requestBody.images = images;
+        }
+
+        // Add uploaded documents
+        if (files.length > 0) {
+            requestBody.attachments = files.map(file => file.id);
+        }
+
+        if (bypassCache || bypassResponseCache) {
+            requestBody.bypassCache = true;
         }
 
-        const response = await fetch('/api/chat', {
+        const response = await fetch('/api/chat/stream', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal
         });
 
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            throw await readErrorResponse(response);
         }
 
-        const data = await response.json();
-        
-        if (data.error) {
-            throw new Error(data.error);
+        const data = await readEventStream(response, (chunk) => {
+            if (!responseText) {
+                updateStatus('Streaming...', 'processing');
+            }
+
+            responseText += chunk.text;
+            setMessageContent(assistantMessage, responseText);
+        }, (event) => updateStatus(event.message, 'processing'), (step) => {
+            updateStatus(step.status === 'running' ? `Running ${step.name}...` : 'Generating...', 'processing');
+            showToolStep(assistantMessage, step);
+        });
+
+        // Nothing was saved for a withheld reply: show why and, for a new
+        // message, put its text back so it can be rephrased
+        if (data.blocked) {
+            undoTurn();
+            addErrorMessage(describeFinish(data));
+            updateStatus('Blocked', 'error');
+            return;
         }
 
-        // Update chat history
-        chatHistory = data.history;
-        
-        // Add assistant response
-        addMessage(data.response, 'assistant');
+        // Add the new messages to the tree and redraw the active branch with
+        // its edit and branch controls
+        setContextSummaries(data.contextSummaries);
+        setConversationTree({
+            messages: [...conversationTree.messages, ...data.messages],
+            activeChildren: data.activeChildren
+        });
+        renderConversation();
+        loadConversationList();
         
         updateStatus('Ready', 'success');
 
     } catch (error) {
+        // Stopped by the user: the server keeps the text streamed so far
+        if (error.name === 'AbortError') {
+            if (responseText) {
+                assistantMessage.classList.remove('generating');
+                assistantMessage.querySelector('.generating-indicator').remove();
+                assistantMessage.querySelector('.message-content')
+                    .appendChild(createMessageNotice(describeFinish({ finishReason: 'STOPPED' })));
+                await loadStoppedReply(messageCount);
+            } else {
+                undoTurn();
+            }
+            updateStatus('Stopped', 'success');
+            return;
+        }
+
         console.error('Error:', error);
-        addErrorMessage('Sorry, I encountered an error. Please try again.');
+
+        // Drop any partial reply so a failed stream looks like a failed request
+        assistantMessage.remove();
+
+        // The session ended: sign in again, then use Retry
+        if (error.code === 'AUTH_REQUIRED') {
+            showAuthScreen();
+        }
+
+        // A failed edit or regenerate leaves the branch as it was
+        if (target) {
+            renderConversation();
+        }
+
+        // Nothing was saved, so the same turn can simply be sent again
+        addErrorMessage(describeRequestError(error), {
+            retryAfter: error.retryAfter,
+            onRetry: () => {
+                if (userMessage) userMessage.remove();
+                submitTurn({ message, images, files, editOf, regenerateFrom, bypassCache });
+            }
+        });
         updateStatus('Error', 'error');
     } finally {
+        activeRequest = null;
         setProcessing(false);
     }
 }
 
+// Stop the reply being generated. Closing the request tells the server to stop
+// Gemini too; whatever was streamed by then is kept.
+function stopGeneration() {
+    if (!activeRequest) return;
+    activeRequest.abort();
+    updateStatus('Stopping...', 'processing');
+}
+
+// The server saves a stopped reply once it notices the request was closed,
+// which can take a moment. Wait for the new messages and show them with their
+// controls; until then the partial bubble stays as it is.
+async function loadStoppedReply(messageCount) {
+    const conversationId = currentConversationId;
+
+    for (let attempt = 0; attempt < STOPPED_REPLY_ATTEMPTS; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, STOPPED_REPLY_DELAY));
+        if (conversationId !== currentConversationId) return;
+
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`);
+            if (!response.ok) return;
+
+            const conversation = await response.json();
+            if (conversation.messages.length > messageCount) {
+                setContextSummaries(conversation.contextSummaries);
+                setConversationTree(conversation);
+                renderConversation();
+                loadConversationList();
+                return;
+            }
+        } catch (error) {
+            console.error('Error loading stopped reply:', error);
+            return;
+        }
+    }
+}
+
+// Bouncing dots on a reply that is still being generated
+function createGeneratingIndicator() {
+    const indicator = document.createElement('div');
+    indicator.className = 'generating-indicator';
+    indicator.innerHTML = '<span class="dot"></span><span class="dot"></span><span class="dot"></span>';
+    return indicator;
+}
+
+// Model selection
+async function loadModels() {
+    try {
+        const response = await fetch('/api/models');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        availableModels = data.models;
+
+        modelSelect.innerHTML = '';
+        availableModels.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.capabilities.vision ? model.name : `${model.name} (text only)`;
+            option.title = model.description;
+            modelSelect.appendChild(option);
+        });
+
+        // Keep the saved choice if the server still offers it
+        const savedModel = localStorage.getItem('model');
+        modelSelect.value = availableModels.some(model => model.id === savedModel) ? savedModel : data.default;
+        scheduleTokenCount();
+    } catch (error) {
+        console.error('Error loading models:', error);
+    }
+}
+
+function getSelectedModel() {
+    return availableModels.find(model => model.id === modelSelect.value) || null;
+}
+
+// Read a Server-Sent Events response, resolving with the final "done" payload.
+// "status" events (e.g. while older messages are summarized) go to onStatus.
+async function readEventStream(response, onChunk, onStatus = () => {}, onTool = () => {}) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const event = parseEvent(rawEvent);
+            if (event.type === 'chunk') {
+                onChunk(event.data);
+            } else if (event.type === 'status') {
+                onStatus(event.data);
+            } else if (event.type === 'tool') {
+                onTool(event.data);
+            } else if (event.type === 'done') {
+                return event.data;
+            } else if (event.type === 'error') {
+                throw toRequestError(event.data);
+            }
+        }
+    }
+
+    throw new Error('Stream ended unexpectedly');
+}
+
+// Parse the "event:" and "data:" lines of a single Server-Sent Event
+function parseEvent(rawEvent) {
+    let type = 'message';
+    let data = '';
+
+    rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            type = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data += line.slice(5).trim();
+        }
+    });
+
+    return { type, data: data ? JSON.parse(data) : null };
+}
+
 // Add message to chat
-function addMessage(content, role) {
+// `message` is the stored tree message, which enables editing and branch navigation
+function addMessage(content, role, { time = new Date(), images = [], files = [], message = null, animate = true } = {}) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${role}`;
+    messageDiv.classList.toggle('no-animation', !animate);
+    if (message) {
+        messageDiv.dataset.messageId = message.id;
+    }
     
     const messageContent = document.createElement('div');
     messageContent.className = 'message-content';
     
-    // Format the content (handle code blocks, links, etc.)
-    messageContent.innerHTML = formatMessage(content);
+    // Thumbnails for attached images
+    if (images.length > 0) {
+        const imagesDiv = document.createElement('div');
+        imagesDiv.className = 'message-images';
+        images.forEach(src => {
+            const img = document.createElement('img');
+            img.src = src;
+            img.alt = 'Attached image';
+            imagesDiv.appendChild(img);
+        });
+        messageContent.appendChild(imagesDiv);
+    }
+
+    // Chips for attached documents
+    if (files.length > 0) {
+        const filesDiv = document.createElement('div');
+        filesDiv.className = 'message-files';
+        files.forEach(file => filesDiv.appendChild(createFileChip(file)));
+        messageContent.appendChild(filesDiv);
+    }
+    
+    // Tools the model called on its way to the reply
+    if (message && message.toolCalls) {
+        message.toolCalls.forEach(step => showToolStep(messageDiv, step, messageContent));
+    }
+    
+    const messageBody = document.createElement('div');
+    messageBody.className = 'message-body';
+    messageContent.appendChild(messageBody);
     
-    // Add message actions for assistant messages
+    // Add message actions: copy and regenerate for replies, edit for user messages
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'message-actions';
+
     if (role === 'assistant') {
-        const actionsDiv = document.createElement('div');
-        actionsDiv.className = 'message-actions';
-        
         const copyBtn = document.createElement('button');
         copyBtn.className = 'message-action';
         copyBtn.innerHTML = '<i class="fas fa-copy"></i>';
         copyBtn.title = 'Copy message';
-        copyBtn.onclick = () => copyToClipboard(content);
-        
+        copyBtn.onclick = () => copyToClipboard(messageDiv.dataset.content);
+        actionsDiv.appendChild(copyBtn);
+    }
+
+    if (message && role === 'assistant') {
         const regenerateBtn = document.createElement('button');
         regenerateBtn.className = 'message-action';
         regenerateBtn.innerHTML = '<i class="fas fa-redo"></i>';
         regenerateBtn.title = 'Regenerate response';
-        regenerateBtn.onclick = () => regenerateResponse();
-        
-        actionsDiv.appendChild(copyBtn);
+        regenerateBtn.onclick = () => regenerateResponse(message);
         actionsDiv.appendChild(regenerateBtn);
+
+        // Regenerating a cached reply would only find it in the cache again
+        if (message.cached) {
+            const freshBtn = document.createElement('button');
+            freshBtn.className = 'message-action';
+            freshBtn.innerHTML = '<i class="fas fa-bolt"></i>';
+            freshBtn.title = 'Ask the model again instead of using the cached reply';
+            freshBtn.onclick = () => regenerateResponse(message, { bypassCache: true });
+            actionsDiv.appendChild(freshBtn);
+        }
+    } else if (message) {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'message-action';
+        editBtn.innerHTML = '<i class="fas fa-pen"></i>';
+        editBtn.title = 'Edit message';
+        editBtn.onclick = () => editMessage(messageDiv, message);
+        actionsDiv.appendChild(editBtn);
+    }
+
+    if (actionsDiv.children.length > 0) {
         messageContent.appendChild(actionsDiv);
     }
+
+    // Knowledge base passages the reply cites
+    if (message && message.sources) {
+        messageContent.appendChild(createSourceList(message.sources));
+    }
+
+    // Why a reply ended early (length limit, safety filters, stopped, ...)
+    if (message && message.finishReason) {
+        messageContent.appendChild(createMessageNotice(describeFinish(message)));
+    }
+
+    // "< 2/3 >" switcher between edits or regenerated replies
+    if (message && getSiblingInfo(conversationTree, message).siblings.length > 1) {
+        messageContent.appendChild(createBranchNav(message));
+    }
     
-    // Add timestamp
+    // Add timestamp, with the token usage of stored replies
     const timestamp = document.createElement('div');
     timestamp.className = 'message-timestamp';
-    timestamp.textContent = new Date().toLocaleTimeString();
+    timestamp.textContent = time.toLocaleTimeString();
+    if (message && message.usage) {
+        timestamp.textContent += ` · ${message.usage.completionTokens.toLocaleString()} tokens`;
+        timestamp.title = `Prompt: ${message.usage.promptTokens.toLocaleString()} tokens, ` +
+            `reply: ${message.usage.completionTokens.toLocaleString()} tokens`;
+    }
+    if (message && message.cached) {
+        timestamp.textContent += ' · cached';
+    }
     messageDiv.appendChild(timestamp);
     
     messageDiv.appendChild(messageContent);
     chatMessages.appendChild(messageDiv);
     
-    // Scroll to bottom
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    setMessageContent(messageDiv, content);
+    if (message && message.sources) {
+        linkCitations(messageBody, message.sources);
+    }
     
     // Remove welcome message if it exists
     const welcomeMessage = chatMessages.querySelector('.welcome-message');
     if (welcomeMessage) {
         welcomeMessage.remove();
     }
+
+    return messageDiv;
+}
+
+// Add a tool call to a reply as a collapsed step, or update it once it is done.
+// Steps go above the reply text; `container` is given while the message is still
+// being built.
+function showToolStep(messageDiv, step, container = messageDiv.querySelector('.message-content')) {
+    let steps = container.querySelector('.tool-steps');
+    if (!steps) {
+        steps = document.createElement('div');
+        steps.className = 'tool-steps';
+        container.insertBefore(steps, container.querySelector('.message-body'));
+    }
+
+    const details = document.createElement('details');
+    details.className = 'tool-step';
+    details.dataset.toolId = step.id;
+    details.classList.toggle('running', step.status === 'running');
+    details.classList.toggle('failed', Boolean(step.error));
+
+    const summary = document.createElement('summary');
+    const icon = step.status === 'running' ? 'fa-spinner fa-spin' : step.error ? 'fa-times' : 'fa-wrench';
+    summary.innerHTML = `<i class="fas ${icon}"></i>`;
+    const label = document.createElement('span');
+    label.textContent = step.status === 'running' ? `Running ${step.name}` : `Used ${step.name}`;
+    summary.appendChild(label);
+    details.appendChild(summary);
+
+    details.appendChild(createToolStepField('Arguments', step.args));
+    if (step.error) {
+        details.appendChild(createToolStepField('Error', step.error));
+    } else if (step.result !== undefined) {
+        details.appendChild(createToolStepField('Result', step.result));
+    }
+
+    const existing = steps.querySelector(`[data-tool-id="${CSS.escape(step.id)}"]`);
+    if (existing) {
+        details.open = existing.open;
+        existing.replaceWith(details);
+    } else {
+        steps.appendChild(details);
+    }
+}
+
+function createToolStepField(title, value) {
+    const field = document.createElement('div');
+    field.className = 'tool-step-field';
+    const heading = document.createElement('span');
+    heading.textContent = title;
+    const pre = document.createElement('pre');
+    pre.textContent = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    field.appendChild(heading);
+    field.appendChild(pre);
+    return field;
+}
+
+function createMessageNotice(text) {
+    const notice = document.createElement('div');
+    notice.className = 'message-notice';
+    notice.innerHTML = '<i class="fas fa-exclamation-triangle"></i>';
+    const noticeText = document.createElement('span');
+    noticeText.textContent = text;
+    notice.appendChild(noticeText);
+    return notice;
+}
+
+// Replace the text of a message, e.g. while a reply is streaming in
+function setMessageContent(messageDiv, content) {
+    messageDiv.dataset.content = content;
+
+    // Render sanitized Markdown (see markdown.js)
+    const messageBody = messageDiv.querySelector('.message-body');
+    messageBody.innerHTML = formatMessage(content);
+    enhanceCodeBlocks(messageBody);
+
+    // Scroll to bottom
+    chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
 // Copy message to clipboard
@@ -288,17 +1007,148 @@ async function copyToClipboard(text) {
     }
 }
 
-// Regenerate response
-function regenerateResponse() {
-    const lastUserMessage = chatHistory.find(msg => msg.role === 'user');
-    if (lastUserMessage) {
-        messageInput.value = lastUserMessage.parts;
-        sendMessage();
+// Answer the user message before this reply again, keeping the old reply as a branch
+function regenerateResponse(message, { bypassCache = false } = {}) {
+    if (isProcessing) return;
+    submitTurn({ regenerateFrom: message.parentId, bypassCache });
+}
+
+// Edit a user message in place; sending the edit starts a new branch
+function editMessage(messageDiv, message) {
+    if (isProcessing || messageDiv.classList.contains('editing')) return;
+
+    const messageBody = messageDiv.querySelector('.message-body');
+
+    const editor = document.createElement('div');
+    editor.className = 'message-editor';
+
+    const textarea = document.createElement('textarea');
+    textarea.value = getMessageText(message.parts);
+    textarea.maxLength = 4000;
+    textarea.rows = 3;
+
+    const buttons = document.createElement('div');
+    buttons.className = 'message-editor-actions';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'message-editor-cancel';
+    cancelBtn.textContent = 'Cancel';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'message-editor-save';
+    saveBtn.textContent = 'Save & send';
+
+    const closeEditor = () => {
+        editor.replaceWith(messageBody);
+        messageDiv.classList.remove('editing');
+    };
+
+    const saveEdit = () => {
+        const text = textarea.value.trim();
+        if (!text || isProcessing) return;
+        submitTurn({ message: text, editOf: message.id });
+    };
+
+    cancelBtn.onclick = closeEditor;
+    saveBtn.onclick = saveEdit;
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            saveEdit();
+        } else if (e.key === 'Escape') {
+            closeEditor();
+        }
+    });
+
+    buttons.appendChild(cancelBtn);
+    buttons.appendChild(saveBtn);
+    editor.appendChild(textarea);
+    editor.appendChild(buttons);
+
+    messageDiv.classList.add('editing');
+    messageBody.replaceWith(editor);
+    textarea.focus();
+}
+
+function createBranchNav(message) {
+    const { siblings, index } = getSiblingInfo(conversationTree, message);
+
+    const nav = document.createElement('div');
+    nav.className = 'branch-nav';
+
+    const prevBtn = document.createElement('button');
+    prevBtn.innerHTML = '<i class="fas fa-chevron-left"></i>';
+    prevBtn.title = 'Previous version';
+    prevBtn.disabled = index === 0;
+    prevBtn.onclick = () => switchBranch(siblings[index - 1].id);
+
+    const label = document.createElement('span');
+    label.textContent = `${index + 1}/${siblings.length}`;
+
+    const nextBtn = document.createElement('button');
+    nextBtn.innerHTML = '<i class="fas fa-chevron-right"></i>';
+    nextBtn.title = 'Next version';
+    nextBtn.disabled = index === siblings.length - 1;
+    nextBtn.onclick = () => switchBranch(siblings[index + 1].id);
+
+    nav.appendChild(prevBtn);
+    nav.appendChild(label);
+    nav.appendChild(nextBtn);
+    return nav;
+}
+
+// Show another version of a message and remember the choice on the server
+async function switchBranch(messageId) {
+    if (isProcessing) return;
+
+    setConversationTree({
+        messages: conversationTree.messages,
+        activeChildren: selectBranch(conversationTree, messageId)
+    });
+    renderConversation(getActivePath(conversationTree), { keepScroll: true });
+
+    try {
+        const response = await fetch(`/api/conversations/${encodeURIComponent(currentConversationId)}/select`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ messageId })
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+    } catch (error) {
+        console.error('Error switching branch:', error);
+        showToast('Failed to save the selected version', 'error');
     }
 }
 
+// Message parts are an array of { text } / { inlineData } parts. Text parts
+// holding an attached document carry a `file` field and are shown as chips.
+function getMessageText(parts) {
+    return parts
+        .filter(part => typeof part.text === 'string' && !part.file)
+        .map(part => part.text)
+        .join('\n');
+}
+
+function getMessageFiles(parts) {
+    return parts.filter(part => part.file).map(part => part.file);
+}
+
+// Data URLs for the images in a message's parts
+function getMessageImages(parts) {
+    return parts
+        .filter(part => part.inlineData)
+        .map(part => `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`);
+}
+
 // Add error message
-function addErrorMessage(content) {
+// With onRetry, the message gets a Retry button that removes it and calls
+// onRetry. retryAfter (seconds) keeps the button disabled until the wait is over.
+function addErrorMessage(content, { onRetry = null, retryAfter = 0 } = {}) {
     const messageDiv = document.createElement('div');
     messageDiv.className = 'message assistant';
     
@@ -308,6 +1158,18 @@ function addErrorMessage(content) {
     messageContent.style.background = 'var(--bg-secondary)';
     messageContent.style.color = 'var(--error-color)';
     messageContent.textContent = content;
+
+    if (onRetry) {
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'retry-btn';
+        retryBtn.onclick = () => {
+            if (isProcessing) return;
+            messageDiv.remove();
+            onRetry();
+        };
+        messageContent.appendChild(retryBtn);
+        startRetryCountdown(retryBtn, retryAfter);
+    }
     
     messageDiv.appendChild(messageContent);
     chatMessages.appendChild(messageDiv);
@@ -315,46 +1177,56 @@ function addErrorMessage(content) {
     chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
-// Format message content (handle markdown-like formatting)
-function formatMessage(content) {
-    // Handle code blocks
-    content = content.replace(/```(\w+)?\n([\s\S]*?)```/g, function(match, lang, code) {
-        return `<pre><code class="language-${lang || 'text'}">${escapeHtml(code)}</code></pre>`;
-    });
-    
-    // Handle inline code
-    content = content.replace(/`([^`]+)`/g, '<code>$1</code>');
-    
-    // Handle line breaks
-    content = content.replace(/\n/g, '<br>');
-    
-    // Handle links (simple regex for demonstration)
-    content = content.replace(/(https?:\/\/[^\s]+)/g, '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>');
-    
-    return content;
-}
-
-// Escape HTML to prevent XSS
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
-// Set processing state
+// Set processing state. The send button becomes a Stop button meanwhile.
 function setProcessing(processing) {
     isProcessing = processing;
-    sendButton.disabled = processing;
+    sendButton.classList.toggle('stop', processing);
+    sendButton.title = processing ? 'Stop generating (Esc)' : 'Send message';
+    sendButton.querySelector('i').className = processing ? 'fas fa-stop' : 'fas fa-paper-plane';
     
     if (processing) {
-        loadingOverlay.classList.add('show');
         updateStatus('Processing...', 'processing');
-    } else {
-        loadingOverlay.classList.remove('show');
-        updateStatus('Ready', 'success');
     }
 }
 
+// Label the retry button, counting down while the server asked us to wait
+function startRetryCountdown(button, seconds) {
+    button.disabled = seconds > 0;
+    button.innerHTML = seconds > 0
+        ? `<i class="fas fa-clock"></i> Retry in ${seconds}s`
+        : '<i class="fas fa-redo"></i> Retry';
+
+    if (seconds > 0) {
+        setTimeout(() => startRetryCountdown(button, seconds - 1), 1000);
+    }
+}
+
+// Errors from the API carry a stable code and a readable message (see lib/errors.js)
+function toRequestError(body) {
+    const error = new Error(body.error || 'Request failed');
+    error.code = body.code;
+    error.retryAfter = body.retryAfter || 0;
+    return error;
+}
+
+async function readErrorResponse(response) {
+    const body = await response.json().catch(() => ({}));
+    const error = toRequestError({ error: `HTTP error! status: ${response.status}`, ...body });
+    error.retryAfter = error.retryAfter || parseInt(response.headers.get('Retry-After'), 10) || 0;
+    return error;
+}
+
+// What to tell the user about a failed request
+function describeRequestError(error) {
+    if (error.code) {
+        return error.message;
+    }
+    if (error instanceof TypeError) {
+        return 'Could not reach the server. Check your connection and try again.';
+    }
+    return 'Sorry, I encountered an error. Please try again.';
+}
+
 // Update status
 function updateStatus(text, type) {
     const statusText = status.querySelector('.status-text');
@@ -372,6 +1244,7 @@ function updateStatus(text, type) {
             statusDot.style.background = 'var(--error-color)';
             break;
         case 'processing':
+        case 'warning':
             statusDot.style.background = 'var(--warning-color)';
             break;
         default:
@@ -379,82 +1252,352 @@ function updateStatus(text, type) {
     }
 }
 
-// Check server health
+// Check server health: the version once, then readiness every
+// HEALTH_POLL_INTERVAL. A server that answers but fails a readiness check
+// (missing API key, unwritable data folder, ...) shows as degraded.
+const HEALTH_POLL_INTERVAL = 30000;
+let serverState = null;
+
 async function checkServerHealth() {
     try {
         const response = await fetch('/api/health');
-        if (response.ok) {
-            updateStatus('Connected', 'success');
-        } else {
-            updateStatus('Disconnected', 'error');
+        // 503 still carries the version; readiness is shown below
+        if (response.ok || response.status === 503) {
+            const data = await response.json();
+            appVersion = data.version;
         }
     } catch (error) {
-        updateStatus('Disconnected', 'error');
+        // The readiness check below reports it
     }
+
+    await checkServerReadiness();
+    setInterval(() => {
+        if (!document.hidden) checkServerReadiness();
+    }, HEALTH_POLL_INTERVAL);
 }
 
-// Export conversation
-function exportConversation() {
-    if (chatHistory.length === 0) {
-        showToast('No conversation to export', 'info');
-        return;
+async function checkServerReadiness() {
+    try {
+        const response = await fetch('/api/health/ready');
+        const data = await response.json();
+        const failed = Object.entries(data.checks || {})
+            .filter(([, check]) => !check.ok)
+            .map(([name, check]) => `${name}: ${check.message}`);
+        setServerState(response.ok ? 'ready' : 'degraded', failed.join('\n'));
+    } catch (error) {
+        setServerState('offline', 'The server cannot be reached');
     }
+}
 
-    const exportData = {
-        timestamp: new Date().toISOString(),
-        messages: chatHistory,
-        totalMessages: chatHistory.length
-    };
-
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `gemini-conversation-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+// Only changes of state are shown, so the status of a running request is
+// not overwritten by every poll
+function setServerState(state, details) {
+    status.title = details;
+    if (state === serverState) return;
+    serverState = state;
+    if (isProcessing) return;
 
-    showToast('Conversation exported successfully', 'success');
+    if (state === 'ready') {
+        updateStatus('Connected', 'success');
+    } else if (state === 'degraded') {
+        updateStatus('Degraded', 'warning');
+    } else {
+        updateStatus('Disconnected', 'error');
+    }
 }
 
-// Clear chat
-function clearChat() {
+// Clear chat (deletes the stored conversation)
+async function clearChat() {
     if (chatHistory.length === 0) {
         showToast('Chat is already empty', 'info');
         return;
     }
 
     if (confirm('Are you sure you want to clear the conversation?')) {
-        chatMessages.innerHTML = `
-            <div class="welcome-message">
-                <div class="welcome-icon">
-                    <i class="fas fa-sparkles"></i>
-                </div>
-                <h2>Welcome to Gemini AI!</h2>
-                <p>Ask me anything - I'm here to help with your questions, creative tasks, coding, and more.</p>
-                <div class="example-prompts">
-                    <button class="example-btn" onclick="sendExample('Write a short story about a robot learning to paint')">
-                        <i class="fas fa-palette"></i>
-                        Creative Writing
-                    </button>
-                    <button class="example-btn" onclick="sendExample('Explain quantum computing in simple terms')">
-                        <i class="fas fa-atom"></i>
-                        Explain Concepts
-                    </button>
-                    <button class="example-btn" onclick="sendExample('Write a Python function to calculate fibonacci numbers')">
-                        <i class="fas fa-code"></i>
-                        Code Help
-                    </button>
-                </div>
-            </div>
-        `;
-        chatHistory = [];
+        if (currentConversationId) {
+            const deleted = await deleteConversation(currentConversationId);
+            if (!deleted) return;
+        }
+
+        resetChat();
         showToast('Conversation cleared', 'success');
     }
 }
 
+// Empty the chat view and show the welcome screen
+function resetChat() {
+    showWelcomeMessage();
+    setContextSummaries();
+    setConversationTree({ messages: [], activeChildren: {} });
+    setConversationSettings();
+    setGenerationSettings();
+    setKnowledgeBase();
+    setCurrentConversation(null);
+}
+
+function showWelcomeMessage() {
+    chatMessages.innerHTML = `
+        <div class="welcome-message">
+            <div class="welcome-icon">
+                <i class="fas fa-sparkles"></i>
+            </div>
+            <h2>Welcome to Gemini AI!</h2>
+            <p>Ask me anything - I'm here to help with your questions, creative tasks, coding, and more.</p>
+            <div class="example-prompts">
+                <button class="example-btn" onclick="sendExample('Write a short story about a robot learning to paint')">
+                    <i class="fas fa-palette"></i>
+                    Creative Writing
+                </button>
+                <button class="example-btn" onclick="sendExample('Explain quantum computing in simple terms')">
+                    <i class="fas fa-atom"></i>
+                    Explain Concepts
+                </button>
+                <button class="example-btn" onclick="sendExample('Write a Python function to calculate fibonacci numbers')">
+                    <i class="fas fa-code"></i>
+                    Code Help
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// Keep the message tree and the active-branch history used for requests in step
+function setConversationTree(tree) {
+    conversationTree = { messages: tree.messages, activeChildren: tree.activeChildren || {} };
+    chatHistory = getActivePath(conversationTree).map(msg => ({ role: msg.role, parts: msg.parts }));
+    scheduleTokenCount();
+}
+
+// Draw a branch of stored messages, the active one by default
+function renderConversation(path = getActivePath(conversationTree), { keepScroll = false } = {}) {
+    const scrollTop = chatMessages.scrollTop;
+
+    if (path.length === 0) {
+        showWelcomeMessage();
+        return;
+    }
+
+    // Messages summarized or left out for the latest reply are dimmed
+    const marker = findContextMarker(path);
+
+    chatMessages.innerHTML = '';
+    path.forEach((msg, index) => {
+        const messageDiv = addMessage(getMessageText(msg.parts), msg.role === 'model' ? 'assistant' : 'user', {
+            time: new Date(msg.timestamp),
+            images: getMessageImages(msg.parts),
+            files: getMessageFiles(msg.parts),
+            message: msg,
+            animate: false
+        });
+
+        if (marker && index <= marker.index) {
+            messageDiv.classList.add('out-of-context');
+        }
+        if (marker && index === marker.index) {
+            chatMessages.appendChild(createContextDivider(marker));
+        }
+    });
+
+    if (keepScroll) {
+        chatMessages.scrollTop = scrollTop;
+    }
+}
+
+// Conversation management
+function setCurrentConversation(id) {
+    currentConversationId = id;
+
+    if (id) {
+        localStorage.setItem('conversationId', id);
+    } else {
+        localStorage.removeItem('conversationId');
+    }
+
+    conversationList.querySelectorAll('.conversation-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.id === id);
+    });
+}
+
+// New conversations start with the persona, instructions and settings picked so far
+async function createConversation() {
+    const response = await fetch('/api/conversations', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            ...conversationSettings,
+            generationSettings,
+            contextStrategy,
+            tools: enabledTools,
+            knowledgeBaseId: activeKnowledgeBaseId
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+// Reopen the conversation from the last visit, then fill the sidebar
+async function restoreConversation() {
+    if (currentConversationId) {
+        await openConversation(currentConversationId, { quiet: true });
+    }
+    loadConversationList();
+}
+
+async function loadConversationList() {
+    try {
+        const response = await fetch('/api/conversations');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        renderConversationList(data.conversations);
+    } catch (error) {
+        console.error('Error loading conversations:', error);
+    }
+}
+
+function renderConversationList(conversations) {
+    conversationList.innerHTML = '';
+
+    if (conversations.length === 0) {
+        conversationList.innerHTML = '<p class="conversation-empty">No saved conversations yet</p>';
+        return;
+    }
+
+    conversations.forEach(conversation => {
+        const item = document.createElement('div');
+        item.className = 'conversation-item';
+        item.dataset.id = conversation.id;
+        item.classList.toggle('active', conversation.id === currentConversationId);
+        item.onclick = () => openConversation(conversation.id);
+
+        const title = document.createElement('span');
+        title.className = 'conversation-title';
+        title.textContent = conversation.title;
+        title.title = conversation.title;
+
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'conversation-action';
+        renameBtn.innerHTML = '<i class="fas fa-pen"></i>';
+        renameBtn.title = 'Rename conversation';
+        renameBtn.onclick = (e) => {
+            e.stopPropagation();
+            renameConversation(conversation);
+        };
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'conversation-action';
+        deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+        deleteBtn.title = 'Delete conversation';
+        deleteBtn.onclick = async (e) => {
+            e.stopPropagation();
+            if (confirm(`Delete "${conversation.title}"?`) && await deleteConversation(conversation.id)) {
+                if (conversation.id === currentConversationId) {
+                    resetChat();
+                }
+                showToast('Conversation deleted', 'success');
+            }
+        };
+
+        item.appendChild(title);
+        item.appendChild(renameBtn);
+        item.appendChild(deleteBtn);
+        conversationList.appendChild(item);
+    });
+}
+
+async function openConversation(id, { quiet = false } = {}) {
+    if (isProcessing) return;
+
+    try {
+        const response = await fetch(`/api/conversations/${encodeURIComponent(id)}`);
+
+        if (response.status === 404) {
+            // The stored id points at a conversation that no longer exists
+            resetChat();
+            if (!quiet) showToast('Conversation not found', 'error');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const conversation = await response.json();
+
+        setContextSummaries(conversation.contextSummaries);
+        setConversationTree(conversation);
+        setConversationSettings(conversation);
+        setGenerationSettings(conversation.generationSettings, conversation.contextStrategy, conversation.tools);
+        setKnowledgeBase(conversation.knowledgeBaseId);
+        renderConversation();
+        setCurrentConversation(conversation.id);
+        sidebar.classList.remove('open');
+    } catch (error) {
+        console.error('Error loading conversation:', error);
+        if (!quiet) showToast('Failed to load conversation', 'error');
+    }
+}
+
+async function renameConversation(conversation) {
+    const title = prompt('Rename conversation', conversation.title);
+    if (!title || !title.trim() || title === conversation.title) return;
+
+    try {
+        const response = await fetch(`/api/conversations/${encodeURIComponent(conversation.id)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ title: title.trim() })
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        loadConversationList();
+        showToast('Conversation renamed', 'success');
+    } catch (error) {
+        console.error('Error renaming conversation:', error);
+        showToast('Failed to rename conversation', 'error');
+    }
+}
+
+// Returns true when the conversation is gone from the server
+async function deleteConversation(id) {
+    try {
+        const response = await fetch(`/api/conversations/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        loadConversationList();
+        return true;
+    } catch (error) {
+        console.error('Error deleting conversation:', error);
+        showToast('Failed to delete conversation', 'error');
+        return false;
+    }
+}
+
+function startNewChat() {
+    if (isProcessing) return;
+
+    resetChat();
+    sidebar.classList.remove('open');
+    messageInput.focus();
+}
+
 // Toast notifications
 function showToast(message, type = 'info') {
     const toast = document.createElement('div');
@@ -478,4 +1621,5 @@ function showToast(message, type = 'info') {
 window.sendMessage = sendMessage;
 window.sendExample = sendExample;
 window.clearChat = clearChat;
+window.startNewChat = startNewChat;
 window.removeImage = removeImage; 
\ No newline at end of file
@@ -0,0 +1,200 @@
+// Search across saved conversations from the sidebar. Results replace the
+// conversation list while there is a query; choosing one opens the
+// conversation on the matching message's branch and scrolls to it.
+// Relies on globals from script.js (openConversation, switchBranch, ...).
+
+const searchInput = document.getElementById('searchInput');
+const searchFilters = document.getElementById('searchFilters');
+const searchFiltersToggle = document.getElementById('searchFiltersToggle');
+const searchFrom = document.getElementById('searchFrom');
+const searchTo = document.getElementById('searchTo');
+const searchModel = document.getElementById('searchModel');
+const searchPersona = document.getElementById('searchPersona');
+const searchResults = document.getElementById('searchResults');
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY = 300;
+// How long the message a result jumped to stays highlighted
+const SEARCH_HIT_DURATION = 2000;
+
+let searchTimer = null;
+// Answers to older queries are ignored when they arrive late
+let searchSequence = 0;
+
+function setupSearchListeners() {
+    searchInput.addEventListener('input', scheduleSearch);
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            searchInput.value = '';
+            scheduleSearch();
+        }
+    });
+    searchFiltersToggle.addEventListener('click', toggleSearchFilters);
+    [searchFrom, searchTo, searchModel, searchPersona].forEach(input => {
+        input.addEventListener('change', scheduleSearch);
+    });
+}
+
+function toggleSearchFilters() {
+    const show = searchFilters.style.display === 'none';
+    if (show) {
+        fillSearchFilterOptions();
+    }
+    searchFilters.style.display = show ? '' : 'none';
+}
+
+// Models and personas are loaded by the rest of the app; copy them in when shown
+function fillSearchFilterOptions() {
+    fillSelect(searchModel, 'Any model', availableModels.map(model => [model.id, model.name]));
+    fillSelect(searchPersona, 'Any persona', personas.map(persona => [persona.id, persona.name]));
+}
+
+function fillSelect(select, anyLabel, options) {
+    const selected = select.value;
+    select.innerHTML = '';
+    [['', anyLabel], ...options].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = options.some(([value]) => value === selected) ? selected : '';
+}
+
+function hasSearchFilters() {
+    return Boolean(searchFrom.value || searchTo.value || searchModel.value || searchPersona.value);
+}
+
+function scheduleSearch() {
+    clearTimeout(searchTimer);
+    // Shows that results are filtered while the filters are hidden
+    searchFiltersToggle.classList.toggle('active', hasSearchFilters());
+
+    if (!searchInput.value.trim()) {
+        searchSequence++;
+        showSearchResults(false);
+        return;
+    }
+    searchTimer = setTimeout(runSearch, SEARCH_DELAY);
+}
+
+function showSearchResults(show) {
+    searchResults.style.display = show ? '' : 'none';
+    conversationList.style.display = show ? 'none' : '';
+}
+
+async function runSearch() {
+    const sequence = ++searchSequence;
+    const params = new URLSearchParams({ q: searchInput.value.trim() });
+    if (searchFrom.value) params.set('from', searchFrom.value);
+    if (searchTo.value) params.set('to', searchTo.value);
+    if (searchModel.value) params.set('model', searchModel.value);
+    if (searchPersona.value) params.set('personaId', searchPersona.value);
+
+    try {
+        const response = await fetch(`/api/search?${params}`);
+        if (!response.ok) {
+            throw await readErrorResponse(response);
+        }
+
+        const data = await response.json();
+        if (sequence === searchSequence) {
+            renderSearchResults(data);
+        }
+    } catch (error) {
+        console.error('Error searching conversations:', error);
+        if (sequence === searchSequence) {
+            renderSearchMessage(error.message);
+        }
+    }
+}
+
+function renderSearchMessage(text) {
+    searchResults.innerHTML = '';
+    const message = document.createElement('p');
+    message.className = 'conversation-empty';
+    message.textContent = text;
+    searchResults.appendChild(message);
+    showSearchResults(true);
+}
+
+function renderSearchResults({ results, total }) {
+    if (results.length === 0) {
+        renderSearchMessage('No matching messages');
+        return;
+    }
+
+    searchResults.innerHTML = '';
+    results.forEach(result => {
+        const item = document.createElement('div');
+        item.className = 'search-result';
+        item.title = `${result.role === 'model' ? 'Reply' : 'Your message'} from ${new Date(result.timestamp).toLocaleString()}`;
+        item.onclick = () => openSearchResult(result);
+
+        const heading = document.createElement('div');
+        heading.className = 'search-result-title';
+        const title = document.createElement('span');
+        title.textContent = result.title;
+        const date = document.createElement('span');
+        date.textContent = new Date(result.timestamp).toLocaleDateString();
+        heading.appendChild(title);
+        heading.appendChild(date);
+
+        item.appendChild(heading);
+        item.appendChild(createSnippet(result.snippet));
+        searchResults.appendChild(item);
+    });
+
+    if (total > results.length) {
+        const more = document.createElement('p');
+        more.className = 'conversation-empty';
+        more.textContent = `Showing ${results.length} of ${total} matches`;
+        searchResults.appendChild(more);
+    }
+    showSearchResults(true);
+}
+
+// Highlights are character ranges, so the text never goes through innerHTML
+function createSnippet({ text, highlights }) {
+    const snippet = document.createElement('div');
+    let position = 0;
+    highlights.forEach(([start, end]) => {
+        snippet.appendChild(document.createTextNode(text.slice(position, start)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        snippet.appendChild(mark);
+        position = end;
+    });
+    snippet.appendChild(document.createTextNode(text.slice(position)));
+    return snippet;
+}
+
+async function openSearchResult(result) {
+    if (isProcessing) return;
+
+    if (result.conversationId !== currentConversationId) {
+        await openConversation(result.conversationId);
+        if (result.conversationId !== currentConversationId) return;
+    }
+
+    // Messages on another version of the chat are brought up first
+    if (!getActivePath(conversationTree).some(msg => msg.id === result.messageId)) {
+        if (!findTreeMessage(conversationTree, result.messageId)) {
+            showToast('That message no longer exists', 'error');
+            return;
+        }
+        await switchBranch(result.messageId);
+    }
+
+    sidebar.classList.remove('open');
+    scrollToMessage(result.messageId);
+}
+
+function scrollToMessage(messageId) {
+    const messageDiv = chatMessages.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+    if (!messageDiv) return;
+
+    messageDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageDiv.classList.add('search-hit');
+    setTimeout(() => messageDiv.classList.remove('search-hit'), SEARCH_HIT_DURATION);
+}
@@ -0,0 +1,367 @@
+// Generation settings drawer (presets, sampling, output length, stop sequences,
+// safety filters, context strategy, tools) and descriptions of replies that ended early.
+// Relies on globals from script.js (currentConversationId, getSelectedModel, showToast, ...).
+
+// Presets, limits and safety options from /api/generation-settings
+let generationOptions = null;
+// Settings of the open conversation; empty means the model's defaults
+let generationSettings = {};
+// Preset picked in the drawer, cleared when a field is changed by hand
+let selectedPreset = null;
+// How the open conversation handles a full context window; null means the server default
+let contextStrategy = null;
+// Names of the tools the model may call in the open conversation
+let enabledTools = [];
+// Skip the server's response cache for every request from this browser
+let bypassResponseCache = localStorage.getItem('bypassCache') === 'true';
+
+const SETTING_FIELDS = ['temperature', 'topP', 'topK', 'maxOutputTokens'];
+
+const SAFETY_LABELS = {
+    harassment: 'Harassment',
+    hateSpeech: 'Hate speech',
+    sexuallyExplicit: 'Sexually explicit',
+    dangerousContent: 'Dangerous content'
+};
+
+const THRESHOLD_LABELS = {
+    BLOCK_NONE: 'Block none',
+    BLOCK_ONLY_HIGH: 'Block few',
+    BLOCK_MEDIUM_AND_ABOVE: 'Block some',
+    BLOCK_LOW_AND_ABOVE: 'Block most'
+};
+
+const CONTEXT_STRATEGY_LABELS = {
+    summarize: 'Summarize older messages',
+    truncate: 'Leave out older messages',
+    none: 'Send everything'
+};
+
+const FINISH_REASONS = {
+    MAX_TOKENS: 'The reply was cut short because it reached the maximum output length.',
+    SAFETY: 'The reply was blocked by the safety filters.',
+    RECITATION: 'The reply was stopped because it repeated existing content too closely.',
+    BLOCKLIST: 'The reply was stopped because it contained blocked terms.',
+    PROHIBITED_CONTENT: 'The reply was blocked for prohibited content.',
+    SPII: 'The reply was stopped because it contained sensitive personal information.',
+    LANGUAGE: 'The reply was stopped because the language is not supported.',
+    OTHER: 'The model did not return a reply.',
+    STOPPED: 'You stopped this reply.'
+};
+
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsDrawer = document.getElementById('settingsDrawer');
+const presetButtons = document.getElementById('presetButtons');
+const safetyFields = document.getElementById('safetyFields');
+const stopSequencesInput = document.getElementById('stopSequencesInput');
+const maxOutputTokensHint = document.getElementById('maxOutputTokensHint');
+const contextStrategyInput = document.getElementById('contextStrategyInput');
+const contextStrategyHint = document.getElementById('contextStrategyHint');
+const toolFields = document.getElementById('toolFields');
+const responseCacheSection = document.getElementById('responseCacheSection');
+const bypassCacheInput = document.getElementById('bypassCacheInput');
+
+function setupSettingsListeners() {
+    settingsBtn.addEventListener('click', openSettingsDrawer);
+    document.getElementById('settingsClose').addEventListener('click', closeSettingsDrawer);
+    document.getElementById('resetSettingsBtn').addEventListener('click', () => {
+        selectedPreset = null;
+        fillSettingsForm({});
+        contextStrategyInput.value = '';
+        fillToolFields([]);
+        bypassCacheInput.checked = false;
+    });
+    document.getElementById('saveSettingsBtn').addEventListener('click', saveGenerationSettings);
+
+    SETTING_FIELDS.forEach(field => {
+        getSettingInput(field).addEventListener('input', clearSelectedPreset);
+    });
+    modelSelect.addEventListener('change', updateMaxTokensHint);
+}
+
+function getSettingInput(field) {
+    return document.getElementById(`${field}Input`);
+}
+
+async function loadGenerationOptions() {
+    try {
+        const response = await fetch('/api/generation-settings');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        generationOptions = await response.json();
+        renderSettingsControls();
+    } catch (error) {
+        console.error('Error loading generation settings:', error);
+    }
+}
+
+// Preset buttons, field limits and one threshold picker per safety category
+function renderSettingsControls() {
+    presetButtons.innerHTML = '';
+    Object.entries(generationOptions.presets).forEach(([key, preset]) => {
+        const button = document.createElement('button');
+        button.className = 'preset-btn';
+        button.dataset.preset = key;
+        button.textContent = preset.name;
+        button.title = `Temperature ${preset.temperature}, top-p ${preset.topP}, top-k ${preset.topK}`;
+        button.onclick = () => applyPreset(key);
+        presetButtons.appendChild(button);
+    });
+
+    SETTING_FIELDS.forEach(field => {
+        const input = getSettingInput(field);
+        const limit = generationOptions.limits[field];
+        input.min = limit.min;
+        input.max = limit.max;
+        input.step = limit.step;
+    });
+
+    safetyFields.innerHTML = '';
+    generationOptions.safety.categories.forEach(category => {
+        const row = document.createElement('div');
+        row.className = 'safety-field';
+
+        const label = document.createElement('span');
+        label.textContent = SAFETY_LABELS[category] || category;
+
+        const select = document.createElement('select');
+        select.dataset.category = category;
+        select.innerHTML = '<option value="">Default</option>';
+        generationOptions.safety.thresholds.forEach(threshold => {
+            const option = document.createElement('option');
+            option.value = threshold;
+            option.textContent = THRESHOLD_LABELS[threshold] || threshold;
+            select.appendChild(option);
+        });
+
+        row.appendChild(label);
+        row.appendChild(select);
+        safetyFields.appendChild(row);
+    });
+
+    const { strategies, defaultStrategy, tokenLimit } = generationOptions.context;
+    contextStrategyInput.innerHTML = '';
+    [null, ...strategies].forEach(strategy => {
+        const option = document.createElement('option');
+        option.value = strategy || '';
+        option.textContent = strategy
+            ? CONTEXT_STRATEGY_LABELS[strategy] || strategy
+            : `Default (${(CONTEXT_STRATEGY_LABELS[defaultStrategy] || defaultStrategy).toLowerCase()})`;
+        contextStrategyInput.appendChild(option);
+    });
+    contextStrategyHint.textContent = tokenLimit
+        ? `Applies near the model's context limit or ${tokenLimit.toLocaleString()} tokens, whichever is lower`
+        : "Applies when the chat nears the model's context limit";
+
+    // Tools the server cannot run (e.g. fetching pages without an allow-list) are shown but disabled
+    toolFields.innerHTML = '';
+    generationOptions.tools.forEach(tool => {
+        const row = document.createElement('label');
+        row.className = 'tool-field';
+        row.title = tool.available ? tool.description : `${tool.description} Not enabled on this server.`;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = tool.name;
+        checkbox.disabled = !tool.available;
+
+        const name = document.createElement('span');
+        name.textContent = tool.title;
+
+        row.appendChild(checkbox);
+        row.appendChild(name);
+        toolFields.appendChild(row);
+    });
+
+    // Only shown when the server caches replies
+    responseCacheSection.style.display = generationOptions.responseCache ? '' : 'none';
+}
+
+function setGenerationSettings(settings, strategy = null, tools = []) {
+    generationSettings = settings || {};
+    contextStrategy = strategy || null;
+    enabledTools = tools || [];
+    updateSettingsButton();
+}
+
+// Highlight the header button when a conversation has its own settings
+function updateSettingsButton() {
+    const custom = Object.keys(generationSettings).length > 0 || contextStrategy !== null || enabledTools.length > 0;
+    const preset = generationOptions && generationOptions.presets[generationSettings.preset];
+
+    settingsBtn.classList.toggle('active', custom);
+    settingsBtn.title = custom
+        ? `Generation settings: ${preset ? preset.name : 'custom'}`
+        : 'Generation settings';
+}
+
+function openSettingsDrawer() {
+    if (!generationOptions) {
+        showToast('Generation settings are not available', 'error');
+        return;
+    }
+
+    selectedPreset = generationSettings.preset || null;
+    fillSettingsForm(generationSettings);
+    contextStrategyInput.value = contextStrategy || '';
+    fillToolFields(enabledTools);
+    bypassCacheInput.checked = bypassResponseCache;
+    updateMaxTokensHint();
+    settingsDrawer.classList.add('open');
+}
+
+function closeSettingsDrawer() {
+    settingsDrawer.classList.remove('open');
+}
+
+function fillSettingsForm(settings) {
+    SETTING_FIELDS.forEach(field => {
+        getSettingInput(field).value = settings[field] !== undefined ? settings[field] : '';
+    });
+    stopSequencesInput.value = (settings.stopSequences || []).join('\n');
+    safetyFields.querySelectorAll('select').forEach(select => {
+        select.value = (settings.safety && settings.safety[select.dataset.category]) || '';
+    });
+    updatePresetButtons();
+}
+
+function fillToolFields(tools) {
+    toolFields.querySelectorAll('input').forEach(checkbox => {
+        checkbox.checked = tools.includes(checkbox.value);
+    });
+}
+
+// Enabled tools the server can no longer run stay enabled, so saving from
+// another server setup does not drop them
+function readToolFields() {
+    const unavailable = enabledTools.filter(name => !generationOptions.tools.some(tool => tool.name === name && tool.available));
+    const checked = [...toolFields.querySelectorAll('input:checked')].map(checkbox => checkbox.value);
+    return [...unavailable, ...checked];
+}
+
+function applyPreset(key) {
+    const { temperature, topP, topK } = generationOptions.presets[key];
+    getSettingInput('temperature').value = temperature;
+    getSettingInput('topP').value = topP;
+    getSettingInput('topK').value = topK;
+    selectedPreset = key;
+    updatePresetButtons();
+}
+
+function clearSelectedPreset() {
+    selectedPreset = null;
+    updatePresetButtons();
+}
+
+function updatePresetButtons() {
+    presetButtons.querySelectorAll('.preset-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.preset === selectedPreset);
+    });
+}
+
+function updateMaxTokensHint() {
+    const model = getSelectedModel();
+    maxOutputTokensHint.textContent = model ? `Up to ${model.maxOutputTokens} for ${model.name}` : '';
+}
+
+// Collect the form into a settings object, leaving out empty fields.
+// Returns null (after showing why) when a value is out of range.
+function readSettingsForm() {
+    const settings = {};
+
+    for (const field of SETTING_FIELDS) {
+        const input = getSettingInput(field);
+        if (input.value === '') continue;
+
+        if (!input.checkValidity()) {
+            showToast(`${input.labels[0].textContent} must be between ${input.min} and ${input.max}`, 'error');
+            input.focus();
+            return null;
+        }
+        settings[field] = Number(input.value);
+    }
+
+    const stopSequences = stopSequencesInput.value.split('\n').filter(seq => seq.trim());
+    if (stopSequences.length > generationOptions.maxStopSequences) {
+        showToast(`At most ${generationOptions.maxStopSequences} stop sequences are allowed`, 'error');
+        return null;
+    }
+    if (stopSequences.length > 0) {
+        settings.stopSequences = stopSequences;
+    }
+
+    const safety = {};
+    safetyFields.querySelectorAll('select').forEach(select => {
+        if (select.value) safety[select.dataset.category] = select.value;
+    });
+    if (Object.keys(safety).length > 0) {
+        settings.safety = safety;
+    }
+
+    if (selectedPreset) {
+        settings.preset = selectedPreset;
+    }
+
+    return settings;
+}
+
+// Save the drawer's settings to the open conversation
+async function saveGenerationSettings() {
+    const settings = readSettingsForm();
+    if (!settings) return;
+    const strategy = contextStrategyInput.value || null;
+    const tools = readToolFields();
+
+    if (!await storeGenerationSettings(settings, strategy, tools)) return;
+    bypassResponseCache = bypassCacheInput.checked;
+    localStorage.setItem('bypassCache', String(bypassResponseCache));
+    closeSettingsDrawer();
+    scheduleTokenCount();
+    showToast('Generation settings saved', 'success');
+}
+
+// Keep settings for the open conversation, saving them first when it is
+// stored. Returns false when saving failed.
+async function storeGenerationSettings(settings, strategy = contextStrategy, tools = enabledTools) {
+    if (currentConversationId) {
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(currentConversationId)}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ generationSettings: settings, contextStrategy: strategy, tools })
+            });
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Error saving generation settings:', error);
+            showToast(`Failed to save settings: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    setGenerationSettings(settings, strategy, tools);
+    return true;
+}
+
+// Explain why a reply ended early, with any notable safety ratings
+function describeFinish({ finishReason, safetyRatings = [] }) {
+    const reason = FINISH_REASONS[finishReason] || `The reply ended early (${finishReason}).`;
+    const ratings = safetyRatings
+        .filter(rating => rating.probability && rating.probability !== 'NEGLIGIBLE')
+        .map(rating => `${describeHarmCategory(rating.category)}: ${rating.probability.toLowerCase()}`);
+
+    return ratings.length > 0 ? `${reason} Safety ratings: ${ratings.join(', ')}.` : reason;
+}
+
+// HARM_CATEGORY_HATE_SPEECH -> "Hate speech"
+function describeHarmCategory(category) {
+    const words = String(category).replace(/^HARM_CATEGORY_/, '').toLowerCase().replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
@@ -0,0 +1,27 @@
+// The read-only page behind a share link (rendered by lib/shares.js). The
+// server sends message text escaped; this formats it with the chat's Markdown
+// pipeline from markdown.js and shows dates in the reader's time zone.
+
+const toastContainer = document.getElementById('toastContainer');
+
+document.querySelectorAll('.share-markdown').forEach(messageBody => {
+    messageBody.innerHTML = formatMessage(messageBody.textContent);
+    messageBody.classList.remove('share-markdown');
+    enhanceCodeBlocks(messageBody);
+});
+
+document.querySelectorAll('time[datetime]').forEach(time => {
+    const date = new Date(time.getAttribute('datetime'));
+    if (!isNaN(date)) {
+        time.textContent = date.toLocaleString();
+    }
+});
+
+// Used by enhanceCodeBlocks when copying fails
+function showToast(message, type = 'info') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+    toastContainer.appendChild(toast);
+    setTimeout(() => toast.remove(), 3000);
+}
@@ -0,0 +1,178 @@
+// Share links: a read-only snapshot of the open conversation at /share/:id,
+// and the list of the user's links for copying or revoking them.
+// Relies on globals from script.js (currentConversationId, showToast, ...).
+
+const shareModal = document.getElementById('shareModal');
+const shareExpiry = document.getElementById('shareExpiry');
+const shareIncludeImages = document.getElementById('shareIncludeImages');
+const shareIncludeAttachments = document.getElementById('shareIncludeAttachments');
+const shareResult = document.getElementById('shareResult');
+const shareUrl = document.getElementById('shareUrl');
+const shareList = document.getElementById('shareList');
+const createShareBtn = document.getElementById('createShareBtn');
+
+function setupShareListeners() {
+    document.getElementById('shareModalClose').addEventListener('click', closeShareModal);
+    document.getElementById('closeShareBtn').addEventListener('click', closeShareModal);
+    shareModal.addEventListener('click', (e) => {
+        if (e.target === shareModal) closeShareModal();
+    });
+    createShareBtn.addEventListener('click', createShareLink);
+    document.getElementById('copyShareUrlBtn').addEventListener('click', () => copyShareUrl(shareUrl.value));
+}
+
+// Only saved conversations can be shared
+function openShareModal() {
+    if (!currentConversationId) {
+        showToast('Send a message first, then share the conversation', 'info');
+        return;
+    }
+
+    shareResult.style.display = 'none';
+    shareUrl.value = '';
+    shareModal.classList.add('show');
+    loadShareLinks();
+}
+
+function closeShareModal() {
+    shareModal.classList.remove('show');
+}
+
+function toShareUrl(share) {
+    return new URL(share.url, window.location.origin).href;
+}
+
+async function createShareLink() {
+    createShareBtn.disabled = true;
+    try {
+        const response = await fetch(`/api/conversations/${encodeURIComponent(currentConversationId)}/shares`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                expiresInDays: shareExpiry.value ? parseInt(shareExpiry.value, 10) : null,
+                includeImages: shareIncludeImages.checked,
+                includeAttachments: shareIncludeAttachments.checked
+            })
+        });
+
+        if (!response.ok) {
+            throw await readErrorResponse(response);
+        }
+
+        const share = await response.json();
+        shareUrl.value = toShareUrl(share);
+        shareResult.style.display = '';
+        shareUrl.select();
+        loadShareLinks();
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        showToast(`Failed to create link: ${error.message}`, 'error');
+    } finally {
+        createShareBtn.disabled = false;
+    }
+}
+
+async function copyShareUrl(url) {
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast('Link copied', 'success');
+    } catch (error) {
+        showToast('Failed to copy the link', 'error');
+    }
+}
+
+async function loadShareLinks() {
+    try {
+        const response = await fetch('/api/shares');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        renderShareLinks(data.shares);
+    } catch (error) {
+        console.error('Error loading share links:', error);
+    }
+}
+
+function renderShareLinks(shares) {
+    shareList.innerHTML = '';
+
+    if (shares.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'setting-hint';
+        empty.textContent = 'No share links yet';
+        shareList.appendChild(empty);
+        return;
+    }
+
+    shares.forEach(share => {
+        const item = document.createElement('div');
+        item.className = 'api-token';
+
+        const label = document.createElement('div');
+        label.className = `share-link${share.expired ? ' expired' : ''}`;
+        const title = document.createElement('span');
+        title.textContent = share.title;
+        title.title = toShareUrl(share);
+        const details = document.createElement('small');
+        details.textContent = describeShareLink(share);
+        label.appendChild(title);
+        label.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'share-link-actions';
+        if (!share.expired) {
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'persona-tool';
+            copyBtn.innerHTML = '<i class="fas fa-copy"></i>';
+            copyBtn.title = 'Copy link';
+            copyBtn.onclick = () => copyShareUrl(toShareUrl(share));
+            actions.appendChild(copyBtn);
+        }
+        const revokeBtn = document.createElement('button');
+        revokeBtn.className = 'persona-tool';
+        revokeBtn.innerHTML = '<i class="fas fa-trash"></i>';
+        revokeBtn.title = share.expired ? 'Remove link' : 'Revoke link';
+        revokeBtn.onclick = () => revokeShareLink(share);
+        actions.appendChild(revokeBtn);
+
+        item.appendChild(label);
+        item.appendChild(actions);
+        shareList.appendChild(item);
+    });
+}
+
+// "Created 5/3/2026 · expires 5/10/2026 · without images"
+function describeShareLink(share) {
+    const details = [`Created ${new Date(share.createdAt).toLocaleDateString()}`];
+    if (share.expired) {
+        details.push('expired');
+    } else if (share.expiresAt) {
+        details.push(`expires ${new Date(share.expiresAt).toLocaleDateString()}`);
+    }
+    if (!share.includeImages) details.push('without images');
+    if (!share.includeAttachments) details.push('without documents');
+    return details.join(' · ');
+}
+
+async function revokeShareLink(share) {
+    if (!share.expired && !confirm(`Revoke the link to "${share.title}"? It will stop working for everyone.`)) return;
+
+    try {
+        const response = await fetch(`/api/shares/${encodeURIComponent(share.id)}`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        if (shareUrl.value === toShareUrl(share)) {
+            shareResult.style.display = 'none';
+        }
+        loadShareLinks();
+        showToast(share.expired ? 'Share link removed' : 'Share link revoked', 'success');
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        showToast('Failed to revoke link', 'error');
+    }
+}
@@ -0,0 +1,147 @@
+// Token gauge for the next request, and markers for earlier messages that were
+// summarized or left out to fit the model's context window.
+// Relies on globals from script.js (chatHistory, currentConversationId, attachedFiles, ...).
+
+// Summaries of the open conversation, keyed by the last message each one covers
+let contextSummaries = {};
+let tokenCountTimer = null;
+// Only the newest count is shown when requests overlap
+let tokenCountSequence = 0;
+
+const TOKEN_COUNT_DELAY = 500;
+// The gauge turns amber from this share of the budget
+const TOKEN_WARNING_RATIO = 0.75;
+
+const tokenGauge = document.getElementById('tokenGauge');
+const tokenGaugeFill = document.getElementById('tokenGaugeFill');
+const tokenGaugeText = document.getElementById('tokenGaugeText');
+
+function setContextSummaries(summaries) {
+    contextSummaries = summaries || {};
+}
+
+// Count again once typing or clicking pauses
+function scheduleTokenCount() {
+    clearTimeout(tokenCountTimer);
+    tokenCountTimer = setTimeout(updateTokenGauge, TOKEN_COUNT_DELAY);
+}
+
+// Ask the server how many tokens the next message would use. Images that are
+// not sent yet are left out to keep these requests small.
+async function updateTokenGauge() {
+    const sequence = ++tokenCountSequence;
+
+    const requestBody = currentConversationId
+        ? { conversationId: currentConversationId }
+        : { history: chatHistory, ...conversationSettings, generationSettings, contextStrategy };
+    requestBody.message = messageInput.value.trim();
+
+    if (modelSelect.value) {
+        requestBody.model = modelSelect.value;
+    }
+
+    const uploaded = attachedFiles.filter(file => file.id);
+    if (uploaded.length > 0) {
+        requestBody.attachments = uploaded.map(file => file.id);
+    }
+
+    try {
+        const response = await fetch('/api/chat/tokens', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(requestBody)
+        });
+
+        // A request that cannot be sent as it is (e.g. images with a text-only
+        // model) has no meaningful count
+        const data = response.ok ? await response.json() : null;
+        if (sequence === tokenCountSequence) {
+            renderTokenGauge(data);
+        }
+    } catch (error) {
+        console.error('Error counting tokens:', error);
+    }
+}
+
+function renderTokenGauge(data) {
+    if (!data) {
+        tokenGauge.style.display = 'none';
+        return;
+    }
+
+    const ratio = data.promptTokens / data.budget;
+    tokenGauge.style.display = '';
+    tokenGaugeFill.style.width = `${Math.min(ratio, 1) * 100}%`;
+    tokenGaugeText.textContent = `${formatTokens(data.promptTokens)} / ${formatTokens(data.budget)} tokens`;
+    tokenGauge.classList.toggle('warning', ratio >= TOKEN_WARNING_RATIO && !data.overBudget);
+    tokenGauge.classList.toggle('danger', data.overBudget);
+    tokenGauge.title = describeTokenCount(data);
+}
+
+function describeTokenCount({ promptTokens, budget, strategy, overBudget, omittedMessages, summarized, estimated }) {
+    const used = `${estimated ? 'About ' : ''}${promptTokens.toLocaleString()} of ${budget.toLocaleString()} tokens (${Math.round(promptTokens / budget * 100)}%)`;
+
+    if (overBudget) {
+        const next = {
+            summarize: 'Older messages will be summarized before the next reply.',
+            truncate: 'Older messages will be left out of the next request.',
+            none: 'The next request may be too long for the model.'
+        };
+        return `${used}. ${next[strategy]}`;
+    }
+    if (omittedMessages > 0) {
+        return `${used}. ${omittedMessages} earlier messages are ${summarized ? 'summarized' : 'left out'}.`;
+    }
+    return used;
+}
+
+// 1048576 -> "1.05M", 12345 -> "12.3k"
+function formatTokens(count) {
+    if (count >= 1000000) return `${Number((count / 1000000).toPrecision(3))}M`;
+    if (count >= 1000) return `${Number((count / 1000).toPrecision(3))}k`;
+    return String(count);
+}
+
+// The newest reply on a branch records which earlier messages were summarized
+// or left out when it was written. Returns the path index of the last of them,
+// with the summary text if there is one, or null.
+function findContextMarker(path) {
+    const reply = path.slice().reverse().find(msg => msg.role === 'model');
+    if (!reply || !reply.context) return null;
+
+    const index = path.findIndex(msg => msg.id === reply.context.omittedUpTo);
+    if (index === -1) return null;
+
+    const summary = reply.context.summarized ? contextSummaries[reply.context.omittedUpTo] : null;
+    return { index, summarized: reply.context.summarized, summary: summary ? summary.text : null };
+}
+
+// Line drawn below the last message the model no longer sees in full.
+// Expands to show the summary when there is one.
+function createContextDivider({ summarized, summary }) {
+    const label = summarized
+        ? 'Messages above are summarized for the model'
+        : 'Messages above are no longer sent to the model';
+
+    if (!summary) {
+        const divider = document.createElement('div');
+        divider.className = 'context-divider';
+        divider.textContent = label;
+        return divider;
+    }
+
+    const divider = document.createElement('details');
+    divider.className = 'context-divider';
+
+    const title = document.createElement('summary');
+    title.textContent = label;
+
+    const text = document.createElement('p');
+    text.textContent = summary;
+
+    divider.appendChild(title);
+    divider.appendChild(text);
+    return divider;
+}
@@ -0,0 +1,59 @@
+// Conversation message tree, mirroring lib/tree.js on the server.
+// A tree is { messages, activeChildren }: each message has an id and the
+// parentId of the message it follows (null for the first one), and
+// activeChildren maps a parent id (or ROOT_BRANCH) to the child shown under it.
+
+const ROOT_BRANCH = 'root';
+
+function findTreeMessage(tree, id) {
+    return tree.messages.find(msg => msg.id === id) || null;
+}
+
+function getChildMessages(tree, parentId) {
+    return tree.messages.filter(msg => msg.parentId === parentId);
+}
+
+// Messages on the active branch, oldest first. Without a recorded choice the
+// newest child is followed, as on the server.
+function getActivePath(tree) {
+    const path = [];
+    let parentId = null;
+
+    for (;;) {
+        const children = getChildMessages(tree, parentId);
+        if (children.length === 0) break;
+
+        const selected = children.find(msg => msg.id === tree.activeChildren[parentId || ROOT_BRANCH]);
+        const next = selected || children[children.length - 1];
+        path.push(next);
+        parentId = next.id;
+    }
+
+    return path;
+}
+
+// The message and its ancestors, oldest first
+function getPathTo(tree, id) {
+    const path = [];
+    let current = findTreeMessage(tree, id);
+    while (current) {
+        path.unshift(current);
+        current = current.parentId ? findTreeMessage(tree, current.parentId) : null;
+    }
+    return path;
+}
+
+// Alternatives to a message (edits of a user message, regenerated replies)
+function getSiblingInfo(tree, message) {
+    const siblings = getChildMessages(tree, message.parentId);
+    return { siblings, index: siblings.findIndex(msg => msg.id === message.id) };
+}
+
+// activeChildren with the message and its ancestors selected
+function selectBranch(tree, id) {
+    const activeChildren = { ...tree.activeChildren };
+    getPathTo(tree, id).forEach(msg => {
+        activeChildren[msg.parentId || ROOT_BRANCH] = msg.id;
+    });
+    return activeChildren;
+}
@@ -0,0 +1,177 @@
+// Usage dashboard: requests, tokens and image calls per day, and the limits
+// that apply. The last numbers loaded are kept in localStorage, so the
+// dashboard still shows something while the server cannot be reached.
+// Relies on currentUser from auth.js.
+
+const usageModal = document.getElementById('usageModal');
+const usageStatus = document.getElementById('usageStatus');
+const usageSummary = document.getElementById('usageSummary');
+const usageChart = document.getElementById('usageChart');
+const usageDays = document.getElementById('usageDays');
+const usageUsers = document.getElementById('usageUsers');
+const usageRange = document.getElementById('usageRange');
+
+const USAGE_COLUMNS = [
+    ['requests', 'Requests'],
+    ['totalTokens', 'Tokens'],
+    ['imageCalls', 'Images']
+];
+
+function setupUsageListeners() {
+    document.getElementById('openUsageBtn').addEventListener('click', openUsageModal);
+    document.getElementById('usageModalClose').addEventListener('click', closeUsageModal);
+    document.getElementById('closeUsageBtn').addEventListener('click', closeUsageModal);
+    usageModal.addEventListener('click', (e) => {
+        if (e.target === usageModal) closeUsageModal();
+    });
+    usageRange.addEventListener('change', loadUsage);
+}
+
+function openUsageModal() {
+    closeAccountModal();
+    usageModal.classList.add('show');
+    loadUsage();
+}
+
+function closeUsageModal() {
+    usageModal.classList.remove('show');
+}
+
+// One cache entry per account and period
+function usageCacheKey() {
+    return `usage:${currentUser.id}:${usageRange.value}`;
+}
+
+async function loadUsage() {
+    const cacheKey = usageCacheKey();
+    const cached = readCachedUsage(cacheKey);
+    if (cached) {
+        renderUsage(cached.usage);
+    }
+    usageStatus.textContent = 'Loading...';
+
+    try {
+        const response = await fetch(`/api/usage?days=${usageRange.value}`);
+        if (!response.ok) {
+            throw await readErrorResponse(response);
+        }
+
+        const usage = await response.json();
+        localStorage.setItem(cacheKey, JSON.stringify({ usage, savedAt: new Date().toISOString() }));
+        renderUsage(usage);
+        usageStatus.textContent = describeLimits(usage);
+    } catch (error) {
+        console.error('Error loading usage:', error);
+        usageStatus.textContent = cached
+            ? `Could not reach the server. Showing usage as of ${new Date(cached.savedAt).toLocaleString()}.`
+            : `Failed to load usage: ${error.message}`;
+    }
+}
+
+// Called on sign-out, so the next person on this browser does not see it
+function clearUsageCache() {
+    Object.keys(localStorage)
+        .filter(key => key.startsWith('usage:'))
+        .forEach(key => localStorage.removeItem(key));
+}
+
+function readCachedUsage(cacheKey) {
+    try {
+        return JSON.parse(localStorage.getItem(cacheKey));
+    } catch (error) {
+        return null;
+    }
+}
+
+function describeLimits({ limits, resetsIn }) {
+    const parts = [
+        limits.requestsPerMinute ? `${limits.requestsPerMinute} requests per minute` : 'no request limit',
+        limits.tokensPerDay ? `${limits.tokensPerDay.toLocaleString()} tokens per day` : 'no daily token limit'
+    ];
+    const hours = Math.floor(resetsIn / 3600);
+    const minutes = Math.ceil((resetsIn % 3600) / 60);
+    return `Limits: ${parts.join(', ')}. Daily counts reset in ${hours}h ${minutes}m (midnight UTC).`;
+}
+
+function renderUsage(usage) {
+    renderUsageSummary(usage);
+    renderUsageChart(usage.days);
+    renderUsageTable(usageDays, 'Day', usage.days
+        .filter(day => day.requests > 0)
+        .reverse()
+        .map(day => ({ label: day.date, ...day })));
+
+    const section = document.getElementById('usageUsersSection');
+    section.style.display = usage.users ? '' : 'none';
+    if (usage.users) {
+        renderUsageTable(usageUsers, 'User', usage.users.map(user => ({ label: user.username, ...user })));
+    }
+}
+
+function renderUsageSummary({ today, totals, limits }) {
+    const tokensToday = limits.tokensPerDay
+        ? `${today.totalTokens.toLocaleString()} / ${limits.tokensPerDay.toLocaleString()}`
+        : today.totalTokens.toLocaleString();
+    const cards = [
+        [tokensToday, 'tokens today'],
+        [today.requests.toLocaleString(), 'requests today'],
+        [today.imageCalls.toLocaleString(), 'image calls today'],
+        [totals.totalTokens.toLocaleString(), 'tokens in period'],
+        [totals.requests.toLocaleString(), 'requests in period'],
+        [totals.imageCalls.toLocaleString(), 'image calls in period']
+    ];
+
+    usageSummary.innerHTML = '';
+    cards.forEach(([value, label]) => {
+        const card = document.createElement('div');
+        card.className = 'usage-card';
+        const strong = document.createElement('strong');
+        strong.textContent = value;
+        const span = document.createElement('span');
+        span.textContent = label;
+        card.appendChild(strong);
+        card.appendChild(span);
+        usageSummary.appendChild(card);
+    });
+}
+
+// Bars scaled to the busiest day
+function renderUsageChart(days) {
+    const max = Math.max(1, ...days.map(day => day.totalTokens));
+
+    usageChart.innerHTML = '';
+    days.forEach(day => {
+        const bar = document.createElement('div');
+        bar.className = day.totalTokens ? 'usage-bar' : 'usage-bar empty';
+        bar.style.height = `${day.totalTokens / max * 100}%`;
+        bar.title = `${day.date}: ${day.totalTokens.toLocaleString()} tokens, ` +
+            `${day.requests} requests, ${day.imageCalls} image calls`;
+        usageChart.appendChild(bar);
+    });
+}
+
+function renderUsageTable(table, firstHeading, rows) {
+    table.innerHTML = '';
+
+    const head = table.insertRow();
+    [firstHeading, ...USAGE_COLUMNS.map(([, heading]) => heading)].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    });
+
+    if (rows.length === 0) {
+        const cell = table.insertRow().insertCell();
+        cell.colSpan = USAGE_COLUMNS.length + 1;
+        cell.textContent = 'No requests in this period';
+        return;
+    }
+
+    rows.forEach(row => {
+        const tr = table.insertRow();
+        tr.insertCell().textContent = row.label;
+        USAGE_COLUMNS.forEach(([field]) => {
+            tr.insertCell().textContent = row[field].toLocaleString();
+        });
+    });
+}
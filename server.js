@@ -1,216 +1,2686 @@
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
 const path = require('path');
 require('dotenv').config();
+const { version } = require('./package.json');
+const { DATA_DIR, createCollection } = require('./lib/store');
+const { DEFAULT_MODEL, getModel, listModels, resolveModel } = require('./lib/models');
+const { createProvider } = require('./lib/providers');
+const { createEmbedder } = require('./lib/embedders');
+const { toErrorResponse, codeForStatus } = require('./lib/errors');
+const { log, logRequests } = require('./lib/logger');
+const { METRICS_PUBLIC, METRICS_TOKEN, createMetrics, withUpstreamTiming } = require('./lib/metrics');
+const { HEALTH_PROBE, checkConfiguration, checkStorage, createProviderProbe, timeCheck, runChecks } = require('./lib/health');
+const { getText, getAttachmentParts, hasImages, parseImages, buildUserParts, isValidParts } = require('./lib/messages');
+const { generateMessageId, toTree, findMessage, getActivePath, getPathTo, selectMessage } = require('./lib/tree');
+const {
+  BUILTIN_PERSONAS,
+  getBuiltinPersona,
+  isBuiltinPersona,
+  validatePersona,
+  validateSystemPrompt,
+  toPersonaFields,
+  buildSystemInstruction
+} = require('./lib/personas');
+const { validateGenerationSettings, isBlockedFinish, describeGenerationOptions } = require('./lib/generation');
+const {
+  DEFAULT_CONTEXT_STRATEGY,
+  COMPACT_RATIO,
+  KEEP_RATIO,
+  SUMMARY_MAX_TOKENS,
+  getContextBudget,
+  estimateTokens,
+  findCutIndex,
+  toSummaryHistory,
+  buildSummaryRequest,
+  validateContextStrategy,
+  describeContextOptions
+} = require('./lib/context');
+const {
+  ACCEPTED_EXTENSIONS,
+  MAX_UPLOAD_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  extractDocument,
+  buildFilePart
+} = require('./lib/uploads');
+const {
+  fromChatCompletionRequest,
+  createCompletionId,
+  toChatCompletion,
+  toChatCompletionChunk,
+  toOpenAIError,
+  toModel,
+  nowInSeconds
+} = require('./lib/openai');
+const {
+  SESSION_COOKIE,
+  SESSION_TTL,
+  API_TOKEN_PREFIX,
+  MAX_API_TOKENS,
+  SIGNUP_OPEN,
+  SHARED_KEY_ALLOWED,
+  ALLOWED_ORIGINS,
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  generateToken,
+  hashToken,
+  canEncrypt,
+  encryptSecret,
+  decryptSecret,
+  maskSecret,
+  parseCookies,
+  serializeSessionCookie,
+  isAllowedOrigin
+} = require('./lib/auth');
+const { RATE_LIMIT_PER_IP, RATE_LIMIT_PER_USER, createRateLimiter, secondsUntilReset, toRateLimitHeaders } = require('./lib/rate-limit');
+const {
+  DAILY_TOKEN_LIMIT,
+  MAX_USAGE_DAYS,
+  toDateKey,
+  usageId,
+  emptyUsage,
+  addUsage,
+  pickCounts,
+  lastDays,
+  sumUsage,
+  secondsUntilTomorrow,
+  isAdmin
+} = require('./lib/usage');
+const { parseSearchParams, createSearchIndex } = require('./lib/search');
+const { MAX_TOOL_ROUNDS, describeTools, validateTools, getToolDeclarations, runTool } = require('./lib/tools');
+const { MAX_COMPARE_VARIANTS, validateCompareVariants, toVariantResult } = require('./lib/compare');
+const { RESPONSE_CACHE, RESPONSE_CACHE_SHARED, toCacheKey, createResponseCache } = require('./lib/response-cache');
+const { validateShareOptions, buildSnapshot, isExpired, renderSharePage, renderShareUnavailable } = require('./lib/shares');
+const {
+  MAX_DOCUMENTS_PER_KNOWLEDGE_BASE,
+  validateKnowledgeBase,
+  toKnowledgeBaseFields,
+  chunkText,
+  normalizeVector,
+  describeEmbedder,
+  sameEmbedder,
+  createKnowledgeIndex,
+  buildKnowledgeInstruction,
+  toSources
+} = require('./lib/knowledge');
 
-// Initialize Gemini AI
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Behind a reverse proxy, TRUST_PROXY is the number of proxies in front of the
+// app, so req.ip (used for rate limits) is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
+
+// Request rate limits (see lib/rate-limit.js)
+const ipLimiter = createRateLimiter({ limit: RATE_LIMIT_PER_IP });
+const userLimiter = createRateLimiter({ limit: RATE_LIMIT_PER_USER });
+
+// Request metrics for /metrics (see lib/metrics.js)
+const metrics = createMetrics();
+
+// Middleware
+// Every request gets an id and one log line when it is done (see lib/logger.js)
+app.use(logRequests({ onFinish: metrics.recordRequest }));
+// Error responses are counted by their code
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && res.locals.errorCode === undefined) {
+      res.locals.errorCode = toErrorCode(res.statusCode, body);
+    }
+    return json(body);
+  };
+  next();
+});
+// Browsers may only call the API from the app itself or an ALLOWED_ORIGINS
+// site. Other origins are refused outright, which also keeps other sites from
+// riding on the session cookie.
+app.use(cors({ origin: ALLOWED_ORIGINS, credentials: true }));
+app.use(['/api', '/v1'], (req, res, next) => {
+  if (isAllowedOrigin(req.get('Origin'), req.get('Host'))) return next();
+  res.status(403).json({ error: 'Requests from this origin are not allowed', code: 'FORBIDDEN', retryable: false });
+});
+// Checked before bodies are parsed, so a flood of large requests is turned
+// away cheaply
+app.use(['/api', '/v1'], (req, res, next) => {
+  const hit = ipLimiter.hit(req.ip);
+  if (hit.allowed) return next();
+  res.set(toRateLimitHeaders(hit));
+  sendRateLimited(req, res, 'Too many requests from your network. Please slow down.', secondsUntilReset(hit));
+});
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '50mb' }));
+app.use(express.static('public'));
+
+// Initialize the LLM provider (Gemini unless LLM_PROVIDER says otherwise).
+// Every call is timed for the upstream latency metrics.
+const provider = withUpstreamTiming(createProvider(), ['chat', 'stream', 'vision', 'countTokens'], {
+  service: 'llm',
+  onCall: metrics.recordUpstream
+});
+
+// Embeddings for knowledge base search (see lib/embedders)
+const embedder = withUpstreamTiming(createEmbedder(), ['embed'], {
+  service: 'embeddings',
+  onCall: metrics.recordUpstream
+});
+
+// Persistent conversation storage
+const conversations = createCollection('conversations');
+const DEFAULT_CONVERSATION_TITLE = 'New conversation';
+
+// Full-text index of stored messages (see lib/search.js)
+const searchIndex = createSearchIndex();
+
+// Custom personas (built-in ones live in lib/personas.js)
+const personas = createCollection('personas');
+
+// Accounts, signed-in sessions and API tokens (see lib/auth.js). Sessions and
+// tokens are stored under the hash of their secret.
+const users = createCollection('users');
+const sessions = createCollection('sessions');
+const apiTokens = createCollection('api-tokens');
+
+// Requests, tokens and image calls per user and day (see lib/usage.js)
+const dailyUsage = createCollection('usage');
+
+// Everything under /api and /v1 needs a signed-in user, except these
+const PUBLIC_PATHS = ['/api/health', '/api/health/live', '/api/health/ready', '/api/auth/session', '/api/auth/register', '/api/auth/login', '/api/auth/logout'];
+
+app.use(['/api', '/v1'], authenticate);
+
+// Knowledge bases, and their documents with one vector per chunk (see lib/knowledge.js)
+const knowledgeBases = createCollection('knowledge-bases');
+const knowledgeDocuments = createCollection('knowledge-documents');
+const knowledgeIndex = createKnowledgeIndex(id => knowledgeDocuments.get(id));
+
+// Read-only snapshots of conversations, served at /share/:id (see lib/shares.js)
+const shares = createCollection('shares');
+
+// Replies to repeated prompts (see lib/response-cache.js); null when turned off
+const responseCache = RESPONSE_CACHE === 'off' ? null : createResponseCache({
+  store: RESPONSE_CACHE === 'disk' ? createCollection('response-cache') : null
+});
+
+// Uploaded documents wait here until they are attached to a chat turn
+const uploads = createCollection('uploads');
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: MAX_FILES_PER_UPLOAD }
+});
+
+// Routes
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Find the user behind a request: an API token in the Authorization header
+// (for API clients) or the session cookie (for the web app)
+async function authenticate(req, res, next) {
+  try {
+    req.user = await findRequestUser(req);
+  } catch (error) {
+    log.error('Error checking credentials', error);
+    return sendError(res, error);
+  }
+
+  if (req.user || PUBLIC_PATHS.includes(req.baseUrl + req.path)) {
+    return next();
+  }
+  if (req.baseUrl === '/v1') {
+    return sendOpenAIError(res, { status: 401, body: { error: 'Missing or invalid API token', code: 'AUTH_REQUIRED' } });
+  }
+  res.status(401).json({ error: 'Please sign in', code: 'AUTH_REQUIRED', retryable: false });
+}
+
+async function findRequestUser(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (bearer) {
+    const token = await apiTokens.get(hashToken(bearer[1]));
+    return token ? users.get(token.userId) : null;
+  }
+
+  const secret = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  if (!secret) return null;
+
+  const session = await sessions.get(hashToken(secret));
+  if (!session) return null;
+  if (Date.parse(session.expiresAt) < Date.now()) {
+    sessions.remove(session.id).catch(error => log.error('Error removing session', error));
+    return null;
+  }
+  return users.get(session.userId);
+}
+
+// A record from a collection if it belongs to the user, otherwise null
+async function getOwned(collection, id, user) {
+  const record = await collection.get(id);
+  return record && record.ownerId === user.id ? record : null;
+}
+
+async function findUserByName(username) {
+  const list = await users.list();
+  return list.find(user => user.username === username) || null;
+}
+
+// The first account can always be created
+async function isSignupOpen() {
+  return SIGNUP_OPEN || (await users.list()).length === 0;
+}
+
+// Sign the user in on this browser
+async function startSession(req, res, user) {
+  const secret = generateToken();
+  await sessions.create({
+    id: hashToken(secret),
+    userId: user.id,
+    expiresAt: new Date(Date.now() + SESSION_TTL).toISOString()
+  });
+  res.set('Set-Cookie', serializeSessionCookie(secret, { secure: isSecureRequest(req) }));
+}
+
+function isSecureRequest(req) {
+  return req.secure || process.env.COOKIE_SECURE === 'true';
+}
+
+// Conversations, personas and uploads saved before accounts existed belong to
+// the first account
+async function claimUnownedRecords(user) {
+  for (const collection of [conversations, personas, uploads]) {
+    const unowned = (await collection.list()).filter(record => !record.ownerId);
+    await Promise.all(unowned.map(record => collection.update(record.id, { ownerId: user.id })));
+  }
+}
+
+// The Gemini key for a user's requests: their own when they saved one,
+// otherwise the shared GEMINI_API_KEY (an undefined apiKey)
+function resolveApiKey(user) {
+  if (user.geminiKey) {
+    const apiKey = decryptSecret(user.geminiKey);
+    return apiKey ? { apiKey } : { error: 'Your saved Gemini API key can no longer be read. Please save it again.' };
+  }
+  if (!SHARED_KEY_ALLOWED) {
+    return { error: 'Add your own Gemini API key in your account settings to start chatting.' };
+  }
+  return { apiKey: undefined };
+}
+
+// Account details for the client, without secrets
+function toUserResponse(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    createdAt: user.createdAt,
+    geminiKey: user.geminiKey ? { saved: true, hint: user.geminiKeyHint } : { saved: false },
+    sharedKeyAllowed: SHARED_KEY_ALLOWED,
+    canSaveGeminiKey: canEncrypt()
+  };
+}
+
+function toApiTokenResponse(token) {
+  return { id: token.id, name: token.name, hint: token.hint, createdAt: token.createdAt };
+}
+
+// API endpoints for accounts
+app.get('/api/auth/session', async (req, res) => {
+  try {
+    res.json({ user: req.user ? toUserResponse(req.user) : null, signupOpen: await isSignupOpen() });
+  } catch (error) {
+    log.error('Error loading session', error);
+    res.status(500).json({ error: 'Failed to load session' });
+  }
+});
+
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const validationError = validateCredentials(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const first = (await users.list()).length === 0;
+    if (!first && !SIGNUP_OPEN) {
+      return res.status(403).json({ error: 'Signing up is closed. Ask an administrator for an account.' });
+    }
+
+    const { username, password } = req.body;
+    if (await findUserByName(username)) {
+      return res.status(409).json({ error: 'That username is taken' });
+    }
+
+    const user = await users.create({ username, passwordHash: await hashPassword(password) });
+    if (first) {
+      await claimUnownedRecords(user);
+    }
+
+    await startSession(req, res, user);
+    res.status(201).json({ user: toUserResponse(user) });
+  } catch (error) {
+    log.error('Error creating account', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    // Unknown usernames are checked against a dummy hash, so the response time
+    // does not tell which accounts exist
+    const user = await findUserByName(username);
+    const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    await startSession(req, res, user);
+    res.json({ user: toUserResponse(user) });
+  } catch (error) {
+    log.error('Error signing in', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const secret = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+    if (secret) {
+      await sessions.remove(hashToken(secret));
+    }
+    res.set('Set-Cookie', serializeSessionCookie('', { secure: isSecureRequest(req) }));
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error signing out', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// Save the user's own Gemini API key, encrypted
+app.put('/api/auth/gemini-key', async (req, res) => {
+  try {
+    const { apiKey } = req.body;
+    if (!canEncrypt()) {
+      return res.status(503).json({ error: 'Personal API keys need ENCRYPTION_KEY to be set on the server' });
+    }
+    if (typeof apiKey !== 'string' || !apiKey.trim() || apiKey.length > 200) {
+      return res.status(400).json({ error: 'apiKey must be a Gemini API key' });
+    }
+
+    const user = await users.update(req.user.id, {
+      geminiKey: encryptSecret(apiKey.trim()),
+      geminiKeyHint: maskSecret(apiKey.trim())
+    });
+    res.json({ user: toUserResponse(user) });
+  } catch (error) {
+    log.error('Error saving Gemini key', error);
+    res.status(500).json({ error: 'Failed to save Gemini key' });
+  }
+});
+
+app.delete('/api/auth/gemini-key', async (req, res) => {
+  try {
+    const user = await users.update(req.user.id, { geminiKey: null, geminiKeyHint: null });
+    res.json({ user: toUserResponse(user) });
+  } catch (error) {
+    log.error('Error removing Gemini key', error);
+    res.status(500).json({ error: 'Failed to remove Gemini key' });
+  }
+});
+
+// API tokens for scripts and OpenAI SDK clients (Authorization: Bearer <token>)
+app.get('/api/auth/tokens', async (req, res) => {
+  try {
+    const list = (await apiTokens.list()).filter(token => token.userId === req.user.id);
+    list.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json({ tokens: list.map(toApiTokenResponse) });
+  } catch (error) {
+    log.error('Error listing API tokens', error);
+    res.status(500).json({ error: 'Failed to list API tokens' });
+  }
+});
+
+// The token itself is only returned here, once
+app.post('/api/auth/tokens', async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (typeof name !== 'string' || !name.trim() || name.length > 60) {
+      return res.status(400).json({ error: 'Give the token a name of at most 60 characters' });
+    }
+
+    const existing = (await apiTokens.list()).filter(token => token.userId === req.user.id);
+    if (existing.length >= MAX_API_TOKENS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_API_TOKENS} API tokens` });
+    }
+
+    const secret = generateToken(API_TOKEN_PREFIX);
+    const token = await apiTokens.create({
+      id: hashToken(secret),
+      userId: req.user.id,
+      name: name.trim(),
+      hint: `${API_TOKEN_PREFIX}…${secret.slice(-4)}`
+    });
+    res.status(201).json({ ...toApiTokenResponse(token), token: secret });
+  } catch (error) {
+    log.error('Error creating API token', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+app.delete('/api/auth/tokens/:id', async (req, res) => {
+  try {
+    const token = await apiTokens.get(req.params.id);
+    if (!token || token.userId !== req.user.id) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+    await apiTokens.remove(token.id);
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error revoking API token', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+// Usage of the last `days` days (30 by default), oldest first, with the limits
+// that apply. Admins (ADMIN_USERS) also get the totals of every account.
+app.get('/api/usage', async (req, res) => {
+  try {
+    const dates = lastDays(Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_USAGE_DAYS));
+    const records = (await dailyUsage.list()).filter(record => dates.includes(record.date));
+
+    const own = new Map(records.filter(record => record.userId === req.user.id).map(record => [record.date, record]));
+    const days = dates.map(date => ({ date, ...emptyUsage(), ...pickCounts(own.get(date)) }));
+
+    const response = {
+      days,
+      totals: sumUsage(days),
+      today: days[days.length - 1],
+      limits: {
+        requestsPerMinute: RATE_LIMIT_PER_USER,
+        ipRequestsPerMinute: RATE_LIMIT_PER_IP,
+        tokensPerDay: DAILY_TOKEN_LIMIT
+      },
+      resetsIn: secondsUntilTomorrow()
+    };
+
+    if (isAdmin(req.user)) {
+      response.users = (await users.list())
+        .map(user => ({
+          username: user.username,
+          ...sumUsage(records.filter(record => record.userId === user.id))
+        }))
+        .sort((a, b) => b.totalTokens - a.totalTokens);
+    }
+
+    res.json(response);
+  } catch (error) {
+    log.error('Error loading usage', error);
+    res.status(500).json({ error: 'Failed to load usage' });
+  }
+});
+
+// Model requests count against the user's per-minute limit and, when
+// DAILY_TOKEN_LIMIT is set, the tokens they have used today
+function limitModelRequests(req, res, next) {
+  return chargeModelRequests(req, res, next, 1);
+}
+
+// A comparison makes one model request per variant. The count is capped at
+// what validation allows, so a malformed body costs no more than a full one.
+function limitCompareRequests(req, res, next) {
+  const { variants } = req.body;
+  const cost = Array.isArray(variants) ? Math.min(Math.max(variants.length, 1), MAX_COMPARE_VARIANTS) : 1;
+  return chargeModelRequests(req, res, next, cost);
+}
+
+async function chargeModelRequests(req, res, next, cost) {
+  const hit = userLimiter.hit(req.user.id, { cost });
+  if (userLimiter.limit) {
+    res.set(toRateLimitHeaders(hit));
+  }
+  if (!hit.allowed) {
+    return sendRateLimited(req, res, 'You are sending requests too quickly. Please wait a moment.', secondsUntilReset(hit));
+  }
+
+  if (DAILY_TOKEN_LIMIT) {
+    // Without the usage record the request is let through rather than refused
+    const today = await dailyUsage.get(usageId(req.user.id, toDateKey())).catch((error) => {
+      log.error('Error loading usage', error);
+      return null;
+    });
+    if (today && today.totalTokens >= DAILY_TOKEN_LIMIT) {
+      return sendRateLimited(
+        req,
+        res,
+        `You have used your ${DAILY_TOKEN_LIMIT} tokens for today. The allowance resets at midnight UTC.`,
+        secondsUntilTomorrow()
+      );
+    }
+  }
+  next();
+}
+
+// A 429 in the error shape of the API that was called
+function sendRateLimited(req, res, message, retryAfter) {
+  const response = { status: 429, body: { error: message, code: 'RATE_LIMITED', retryable: true, retryAfter } };
+  if (req.originalUrl.startsWith('/v1/')) {
+    return sendOpenAIError(res, response);
+  }
+  res.set('Retry-After', String(retryAfter));
+  res.status(response.status).json(response.body);
+}
+
+// Add a model request to the user's usage for today. The reply is already on
+// its way, so a failure here is only logged.
+function recordUsage(user, { model, usage, images = false }) {
+  metrics.recordTokens(model, usage);
+  const date = toDateKey();
+  dailyUsage.upsert(usageId(user.id, date), (record) => ({
+    userId: user.id,
+    date,
+    ...addUsage(record, { usage, images })
+  })).catch(error => log.error('Error recording usage', error));
+}
+
+// Usage of a chat request once its reply is known. A reply from the response
+// cache cost no model call and is not counted.
+function recordChatUsage(user, chat, result) {
+  if (result.cached) return;
+  recordUsage(user, { model: chat.model.id, usage: result.usage, images: hasImages([{ parts: chat.userParts }]) });
+}
+
+// API endpoint for Gemini chat
+app.post('/api/chat', limitModelRequests, async (req, res) => {
+  try {
+    const chat = await prepareChat(req.body, { user: req.user });
+    if (chat.error) {
+      return sendChatError(res, chat);
+    }
+
+    chat.context = await fitContext(chat);
+    const result = await handleTextChat(chat, abortOnDisconnect(res));
+    recordChatUsage(req.user, chat, result);
+
+    res.json(chat.conversation && !result.blocked ? await saveTurn(chat, result) : result);
+    discardUploads(chat.uploadIds);
+
+  } catch (error) {
+    // Nobody is left to answer when the client disconnected
+    if (error.name === 'AbortError') return;
+
+    log.error('Error with Gemini API', error);
+    sendError(res, error);
+  }
+});
+
+// API endpoint for streaming Gemini chat (Server-Sent Events)
+app.post('/api/chat/stream', limitModelRequests, async (req, res) => {
+  let chat;
+  try {
+    chat = await prepareChat(req.body, { user: req.user });
+  } catch (error) {
+    log.error('Error loading conversation', error);
+    return sendError(res, error);
+  }
+  if (chat.error) {
+    return sendChatError(res, chat);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  // Stop reading from Gemini as soon as the client stops the reply or goes away
+  const signal = abortOnDisconnect(res);
+
+  let partial = '';
+  const onChunk = (text) => {
+    partial += text;
+    sendEvent(res, 'chunk', { text });
+  };
+  const onRetry = ({ attempt }) => sendEvent(res, 'status', { message: `Gemini is busy, retrying (${attempt})...` });
+
+  try {
+    // Summarizing can take a moment, so the client is told what is going on
+    chat.context = await fitContext(chat, {
+      onSummarize: () => sendEvent(res, 'status', { message: 'Summarizing earlier messages...' })
+    });
+    const result = await streamTextChat(chat, onChunk, onRetry, signal, {
+      onTool: (step) => sendEvent(res, 'tool', step)
+    });
+    recordChatUsage(req.user, chat, result);
+
+    sendEvent(res, 'done', chat.conversation && !result.blocked ? await saveTurn(chat, result) : result);
+    discardUploads(chat.uploadIds);
+  } catch (error) {
+    if (signal.aborted) {
+      // The tokens of a stopped reply were still generated
+      if (partial) {
+        recordChatUsage(req.user, chat, toChatResult(chat, { text: partial }));
+      }
+      await keepStoppedReply(chat, partial);
+    } else {
+      log.error('Error with Gemini API stream', error);
+
+      // The status line is already sent, so errors travel as an event instead
+      const { body } = toErrorResponse(error);
+      res.locals.errorCode = body.code;
+      sendEvent(res, 'error', body);
+    }
+  }
+
+  res.end();
+});
+
+// Compare mode (see lib/compare.js): the same turn sent to every variant at
+// once. Takes the body of /api/chat plus `variants`. With a conversationId the
+// user message is stored once and every reply as a version of the turn.
+app.post('/api/chat/compare', limitCompareRequests, async (req, res) => {
+  try {
+    const variantsError = validateCompareVariants(req.body.variants);
+    if (variantsError) {
+      return sendChatError(res, { status: 400, error: variantsError });
+    }
+
+    const chat = await prepareChat({ ...req.body, model: req.body.variants[0].model }, { user: req.user });
+    if (chat.error) {
+      return sendChatError(res, chat);
+    }
+
+    const chats = [];
+    for (const variant of req.body.variants) {
+      const variantChat = prepareVariant(chat, variant);
+      if (variantChat.error) {
+        return sendChatError(res, variantChat);
+      }
+      chats.push(variantChat);
+    }
+
+    // Stopping a comparison drops every reply; nothing is saved
+    const signal = abortOnDisconnect(res);
+    await fitSharedContext(chats);
+    if (signal.aborted) return;
+    const runs = await Promise.all(chats.map(variantChat => runVariant(req.user, variantChat, signal)));
+    if (signal.aborted) return;
+
+    // Only a comparison where every variant failed fails as a whole
+    const answered = runs.filter(run => run.result && !run.result.blocked);
+    if (answered.length === 0 && runs.every(run => run.error)) {
+      return sendError(res, runs[0].error);
+    }
+
+    const stored = chat.conversation && answered.length > 0
+      ? await storeTurn(chat, answered.map(run => run.result))
+      : null;
+    const variants = runs.map(run => {
+      const index = answered.indexOf(run);
+      return toVariantResult(run, stored && index !== -1 ? stored.replies[index].id : null);
+    });
+
+    res.json(stored ? {
+      conversationId: stored.updated.id,
+      title: stored.updated.title,
+      messages: stored.added,
+      activeChildren: stored.updated.activeChildren,
+      contextSummaries: stored.updated.contextSummaries || {},
+      variants
+    } : { variants });
+    discardUploads(chat.uploadIds);
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+
+    log.error('Error comparing replies', error);
+    sendError(res, error);
+  }
+});
+
+// A prepared chat with the model and generation settings of one variant
+function prepareVariant(chat, { model: modelId, generationSettings }) {
+  const needsVision = hasImages([...chat.history, { parts: chat.userParts }]);
+  const { model, error: modelError } = resolveModel(modelId, { vision: needsVision });
+  if (modelError) {
+    return { status: 400, error: modelError };
+  }
+
+  const { settings, error: settingsError } = validateGenerationSettings(
+    generationSettings === undefined ? chat.settings : generationSettings,
+    { model }
+  );
+  if (settingsError) {
+    return { status: 400, error: `${model.name}: ${settingsError}` };
+  }
+  return { ...chat, model, settings };
+}
+
+// Fit the shared history once, to the smallest context window among the
+// variants, so a long conversation is summarized (and the summary stored)
+// once rather than by every variant at the same time
+async function fitSharedContext(chats) {
+  const smallest = chats.reduce((min, chat) => (getContextBudget(chat.model) < getContextBudget(min.model) ? chat : min));
+  const context = await fitContext(smallest);
+  chats.forEach((chat) => {
+    chat.history = smallest.history;
+    chat.context = context;
+  });
+}
+
+// Answer one variant of a comparison, timing it. Failures are kept with the
+// variant so the others can still be shown.
+async function runVariant(user, chat, signal) {
+  const started = Date.now();
+  try {
+    const result = await handleTextChat(chat, signal);
+    recordChatUsage(user, chat, result);
+    return { chat, result, latencyMs: Date.now() - started };
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      log.error('Error comparing', { model: chat.model.id, error });
+    }
+    return { chat, error, latencyMs: Date.now() - started };
+  }
+}
+
+// Estimate the prompt a chat request would send, without sending it. Takes
+// the same body as /api/chat; the message may be empty. The estimate is made
+// here rather than by the provider, so the token gauge can ask after every
+// pause in typing without spending the user's model requests.
+app.post('/api/chat/tokens', async (req, res) => {
+  try {
+    const chat = await prepareChat(req.body, { user: req.user, countOnly: true });
+    if (chat.error) {
+      return sendChatError(res, chat);
+    }
+
+    const context = await fitContext(chat, { dryRun: true });
+    res.json({ model: chat.model.id, contextLength: chat.model.contextLength, ...context });
+  } catch (error) {
+    log.error('Error counting tokens', error);
+    sendError(res, error);
+  }
+});
+
+// Validate a chat request from the given user and gather what is needed to
+// answer it. Returns { status, error } when the request cannot be served.
+async function prepareChat(body, { user, countOnly = false }) {
+  const { message, history = [], image, conversationId, model: modelId, attachments = [], editOf, regenerateFrom } = body;
+  // A single `image` is still accepted for older clients
+  const { images = image ? [image] : [] } = body;
+
+  if (!message && !regenerateFrom && !countOnly && images.length === 0) {
+    return { status: 400, error: 'Message is required' };
+  }
+  if ((editOf || regenerateFrom) && !conversationId) {
+    return { status: 400, error: 'Editing or regenerating a message requires a conversationId' };
+  }
+
+  const { apiKey, error: keyError } = resolveApiKey(user);
+  if (keyError) {
+    return { status: 403, error: keyError };
+  }
+
+  const { parts: imageParts, error: imageError } = parseImages(images);
+  if (imageError) {
+    return { status: 400, error: imageError };
+  }
+
+  // Attachments are ids returned by /api/uploads
+  if (!Array.isArray(attachments) || !attachments.every(id => typeof id === 'string')) {
+    return { status: 400, error: 'Attachments must be an array of upload ids' };
+  }
+  if (attachments.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return { status: 400, error: `A message can include at most ${MAX_ATTACHMENTS_PER_MESSAGE} attached files` };
+  }
+  const fileParts = [];
+  for (const id of attachments) {
+    const document = await getOwned(uploads, id, user);
+    if (!document) {
+      return { status: 400, error: 'Attached file not found. Please upload it again.' };
+    }
+    fileParts.push(buildFilePart(document));
+  }
+
+  // Stored conversations supply their own history instead of trusting the client
+  let conversation = null;
+  let branch = { parentId: null, history, target: null };
+  if (conversationId) {
+    conversation = await loadConversation(conversationId, user);
+    if (!conversation) {
+      return { status: 404, error: 'Conversation not found' };
+    }
+    branch = findBranchPoint(conversation, { editOf, regenerateFrom });
+    if (branch.error) {
+      return { status: 400, error: branch.error };
+    }
+  }
+  const chatHistory = conversation ? toHistory(branch.history) : history;
+
+  // System instructions, generation settings and the context strategy come
+  // from the conversation, or from the request for unsaved chats
+  const {
+    personaId = null,
+    systemPrompt = '',
+    generationSettings,
+    contextStrategy = null,
+    tools = [],
+    knowledgeBaseId = null
+  } = conversation || body;
+  const systemPromptError = validateSystemPrompt(systemPrompt);
+  if (systemPromptError) {
+    return { status: 400, error: systemPromptError };
+  }
+  const toolsError = validateTools(tools);
+  if (toolsError) {
+    return { status: 400, error: toolsError };
+  }
+  const contextStrategyError = validateContextStrategy(contextStrategy);
+  if (contextStrategyError) {
+    return { status: 400, error: contextStrategyError };
+  }
+  const persona = personaId ? await findPersona(personaId, user) : null;
+  // A stored conversation keeps working after its persona is deleted
+  if (personaId && !persona && !conversation) {
+    return { status: 400, error: 'Persona not found' };
+  }
+
+  const historyError = validateMessages(chatHistory);
+  if (historyError) {
+    return { status: 400, error: historyError };
+  }
+
+  // Regenerating answers the stored user message again; an edit keeps the
+  // images and files of the message it replaces
+  let userParts;
+  if (regenerateFrom) {
+    userParts = branch.target.parts;
+  } else {
+    const keptParts = editOf ? getAttachmentParts(branch.target.parts) : [];
+    userParts = buildUserParts(message || '', [...fileParts, ...imageParts, ...keptParts]);
+  }
+
+  // Images anywhere in the conversation need a model that can see them
+  const needsVision = hasImages([...chatHistory, { parts: userParts }]);
+  const { model, error: modelError } = resolveModel(modelId, { vision: needsVision });
+  if (modelError) {
+    return { status: 400, error: modelError };
+  }
+
+  const { settings, error: settingsError } = validateGenerationSettings(generationSettings, { model });
+  if (settingsError) {
+    return { status: 400, error: settingsError };
+  }
+
+  // Passages from the knowledge base go with the system instructions. Token
+  // counts leave them out, since the gauge would embed every draft otherwise.
+  let knowledge = { instruction: null, sources: [] };
+  if (knowledgeBaseId && !countOnly) {
+    const knowledgeBase = await getOwned(knowledgeBases, knowledgeBaseId, user);
+    // A stored conversation keeps working after its knowledge base is deleted
+    if (!knowledgeBase && !conversation) {
+      return { status: 400, error: 'Knowledge base not found' };
+    }
+    if (knowledgeBase) {
+      knowledge = await retrieveKnowledge(knowledgeBase, getText(userParts, { includeFiles: false }), { user, apiKey });
+      if (knowledge.error) {
+        return knowledge;
+      }
+    }
+  }
+
+  return {
+    model,
+    conversation,
+    history: chatHistory,
+    // Messages the history was built from, with ids for stored conversations
+    path: conversation ? branch.history : history,
+    summaries: (conversation && conversation.contextSummaries) || {},
+    userParts,
+    systemInstruction: [buildSystemInstruction(persona, systemPrompt), knowledge.instruction].filter(Boolean).join('\n\n') || null,
+    settings,
+    contextStrategy: contextStrategy || DEFAULT_CONTEXT_STRATEGY,
+    tools,
+    sources: knowledge.sources,
+    userId: user.id,
+    apiKey,
+    parentId: branch.parentId,
+    regenerateFrom: regenerateFrom ? branch.target.id : null,
+    uploadIds: regenerateFrom ? [] : attachments,
+    bypassCache: body.bypassCache === true
+  };
+}
+
+// Find the passages of a knowledge base that best match a question. Returns
+// { instruction, sources }, or { status, error } when the knowledge base was
+// indexed with another embedder.
+async function retrieveKnowledge(knowledgeBase, query, { user, apiKey }) {
+  if (!query.trim() || knowledgeBase.documents.length === 0) {
+    return { instruction: null, sources: [] };
+  }
+  if (!sameEmbedder(knowledgeBase.embedder, embedder)) {
+    return { status: 409, error: describeStaleIndex(knowledgeBase) };
+  }
+
+  const [vector] = await embedTexts([query], { task: 'query', user, apiKey });
+  const passages = await knowledgeIndex.search(knowledgeBase, vector);
+  if (passages.length === 0) {
+    return { instruction: null, sources: [] };
+  }
+  return {
+    instruction: buildKnowledgeInstruction(knowledgeBase, passages),
+    sources: toSources(knowledgeBase, passages)
+  };
+}
+
+function describeStaleIndex(knowledgeBase) {
+  return `The knowledge base "${knowledgeBase.name}" was indexed with ${describeEmbedder(knowledgeBase.embedder)}, ` +
+    `but this server now uses ${describeEmbedder(embedder)}. Index it again to search it.`;
+}
+
+// Work out where a new turn joins a stored conversation's message tree: after
+// the active branch by default, beside the user message being edited, or under
+// the user message whose reply is being regenerated
+function findBranchPoint(conversation, { editOf, regenerateFrom }) {
+  const targetId = editOf || regenerateFrom;
+  if (!targetId) {
+    const path = getActivePath(conversation);
+    return { parentId: path.length > 0 ? path[path.length - 1].id : null, history: path, target: null };
+  }
+
+  const target = findMessage(conversation.messages, targetId);
+  if (!target || target.role !== 'user') {
+    return { error: 'Only existing user messages can be edited or answered again' };
+  }
+
+  return {
+    parentId: editOf ? target.parentId : target.id,
+    history: getPathTo(conversation.messages, target.id).slice(0, -1),
+    target
+  };
+}
+
+// Write a single Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Signal that fires when the client disconnects before the response is complete
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+// Save the text streamed before the client stopped a reply, marked with a
+// STOPPED finish reason. A reply stopped before any text is not saved.
+async function keepStoppedReply(chat, text) {
+  if (!chat.conversation || !text) return;
+
+  try {
+    await saveTurn(chat, toChatResult(chat, { text, finishReason: 'STOPPED' }));
+    discardUploads(chat.uploadIds);
+  } catch (error) {
+    log.error('Error saving stopped reply', error);
+  }
+}
+
+// Answer with a coded error (see lib/errors.js) and its HTTP status
+function sendError(res, error) {
+  const { status, body } = toErrorResponse(error);
+  if (body.retryAfter) {
+    res.set('Retry-After', String(body.retryAfter));
+  }
+  res.status(status).json(body);
+}
+
+// The error code of a failed response for logs and metrics: the body's own
+// code, or one that matches the status
+function toErrorCode(status, body) {
+  if (body && typeof body.code === 'string') return body.code;
+  return codeForStatus(status);
+}
+
+// Answer a request that prepareChat rejected
+function sendChatError(res, chat) {
+  res.status(chat.status).json({ error: chat.error, code: codeForStatus(chat.status), retryable: false });
+}
+
+// Handle text chat
+async function handleTextChat(chat, signal) {
+  const cached = await readCachedReply(chat);
+  if (cached) {
+    return { ...toChatResult(chat, cached), cached: true };
+  }
+
+  const reply = await replyWithTools(chat, (request) => provider.chat({ ...request, signal }), { signal });
+  cacheReply(chat, reply);
+  return { ...toChatResult(chat, reply), cached: false };
+}
+
+// Stream a chat reply, calling onChunk for each piece of text and onRetry
+// before each retry of a transient failure. The signal stops the stream.
+// onTool hears about each tool call as it starts and again when it is done.
+// A cached reply arrives as a single chunk.
+async function streamTextChat(chat, onChunk, onRetry, signal, { onTool } = {}) {
+  const cached = await readCachedReply(chat);
+  if (cached) {
+    onChunk(cached.text);
+    return { ...toChatResult(chat, cached), cached: true };
+  }
+
+  const send = (request) => provider.stream({ ...request, onChunk, onRetry, signal });
+  const reply = await replyWithTools(chat, send, { onTool, signal });
+  cacheReply(chat, reply);
+  return { ...toChatResult(chat, reply), cached: false };
+}
+
+// The reply to an identical earlier prompt from the same user (or anyone's,
+// with RESPONSE_CACHE_SHARED), or null. Turns that may call tools are never
+// cached, since the tools' results change over time. With bypassCache the
+// cache is not read, but the new reply still replaces the entry.
+async function readCachedReply(chat) {
+  if (!responseCache || chat.tools.length > 0) return null;
+
+  chat.cacheKey = toCacheKey(toProviderRequest(chat), RESPONSE_CACHE_SHARED ? null : chat.userId);
+  if (chat.bypassCache) return null;
+
+  const cached = await responseCache.get(chat.cacheKey);
+  metrics.recordCacheLookup(Boolean(cached));
+  return cached;
+}
+
+// Keep a reply with text for the next identical prompt. A failure here only
+// means a later cache miss.
+function cacheReply(chat, reply) {
+  if (!chat.cacheKey || !reply.text) return;
+
+  const { text, finishReason, safetyRatings, usage } = reply;
+  responseCache.set(chat.cacheKey, {
+    model: chat.model.id,
+    reply: { text, finishReason, safetyRatings, usage }
+  }).catch(error => log.error('Error caching reply', error));
+}
+
+// Get a reply from the model, running the tools it calls (see lib/tools.js)
+// and sending their results back until it answers in text. After
+// MAX_TOOL_ROUNDS rounds it is asked to answer without further calls. The
+// text of every round is kept, since a stream has already shown it.
+async function replyWithTools(chat, send, { onTool, signal } = {}) {
+  const request = toProviderRequest(chat);
+  const tools = getToolDeclarations(chat.tools);
+  if (tools.length === 0) {
+    return send(request);
+  }
+
+  let { history, message } = request;
+  let text = '';
+  const toolCalls = [];
+  const usage = { promptTokens: 0, completionTokens: 0 };
+
+  for (let round = 0; ; round++) {
+    const toolMode = round < MAX_TOOL_ROUNDS ? 'auto' : 'none';
+    const reply = await send({ ...request, history, message, tools, toolMode });
+    text += reply.text;
+    if (reply.usage) {
+      usage.promptTokens += reply.usage.promptTokens;
+      usage.completionTokens += reply.usage.completionTokens;
+    }
+
+    if (!reply.functionCalls || toolMode === 'none') {
+      return { ...reply, text, toolCalls, usage: reply.usage && usage };
+    }
+
+    const results = [];
+    for (const call of reply.functionCalls) {
+      const id = `call-${toolCalls.length + 1}`;
+      if (onTool) onTool({ id, name: call.name, args: call.args, status: 'running' });
+
+      const step = { id, ...(await runTool(call, { signal })) };
+      toolCalls.push(step);
+      results.push(step);
+      if (onTool) onTool({ ...step, status: 'done' });
+    }
+
+    history = [
+      ...history,
+      { role: round === 0 ? 'user' : 'function', parts: message },
+      { role: 'model', parts: [...(reply.text ? [{ text: reply.text }] : []), ...reply.functionCalls.map(call => ({ functionCall: call }))] }
+    ];
+    message = results.map(({ name, result, error }) => ({
+      functionResponse: { name, response: error ? { error } : result }
+    }));
+  }
+}
+
+// Provider arguments for a prepared chat. Models that do not accept system
+// instructions get them as an opening exchange in the history instead.
+function toProviderRequest(chat) {
+  const request = {
+    model: chat.model.id,
+    history: chat.history,
+    message: chat.userParts,
+    settings: chat.settings,
+    apiKey: chat.apiKey
+  };
+
+  if (!chat.systemInstruction) {
+    return request;
+  }
+  if (chat.model.capabilities.systemInstructions) {
+    return { ...request, system: chat.systemInstruction };
+  }
+  return {
+    ...request,
+    history: [
+      { role: 'user', parts: [{ text: chat.systemInstruction }] },
+      { role: 'model', parts: [{ text: 'Understood. I will follow these instructions.' }] },
+      ...chat.history
+    ]
+  };
+}
+
+// Count the prompt and, when it nears the model's context budget, summarize or
+// leave out the oldest turns of chat.history following the chat's strategy.
+// Returns the context details reported with the reply. With dryRun the prompt
+// is only estimated and nothing is summarized or changed; overBudget says
+// whether the next send would compact.
+async function fitContext(chat, { dryRun = false, onSummarize } = {}) {
+  const budget = getContextBudget(chat.model);
+  const strategy = chat.contextStrategy;
+
+  // Each message keeps its position on the path; only whole turns can be cut
+  let messages = chat.path.map((msg, index) => ({
+    role: msg.role,
+    parts: msg.parts,
+    index,
+    cuttable: msg.role === 'model'
+  }));
+  let omitted = 0;
+  let summarized = false;
+
+  // An earlier summary on this branch stands in for the turns it covers
+  if (strategy === 'summarize') {
+    const stored = findStoredSummary(chat.path, chat.summaries);
+    if (stored) {
+      messages = [...toSummaryHistory(stored.text), ...messages.slice(stored.index + 1)];
+      omitted = stored.index + 1;
+      summarized = true;
+    }
+  }
+
+  let promptTokens = await countPromptTokens(chat, messages, { estimate: dryRun });
+  const overBudget = promptTokens > budget * COMPACT_RATIO;
+
+  if (overBudget && strategy !== 'none' && !dryRun) {
+    const fixed = estimateTokens(chat.userParts) + (chat.systemInstruction ? estimateTokens(chat.systemInstruction) : 0);
+    const cut = findCutIndex(messages, Math.max(0, budget * KEEP_RATIO - fixed));
+
+    if (cut !== -1) {
+      const lastIndex = messages[cut].index;
+      const kept = messages.slice(cut + 1);
+      const summary = strategy === 'summarize'
+        ? await summarizeMessages(chat, messages.slice(0, cut + 1), chat.path[lastIndex], onSummarize)
+        : null;
+
+      messages = summary ? [...toSummaryHistory(summary), ...kept] : kept;
+      omitted = lastIndex + 1;
+      summarized = Boolean(summary);
+      promptTokens = await countPromptTokens(chat, messages);
+    }
+  }
+
+  chat.history = toHistory(messages);
+
+  const context = {
+    strategy,
+    budget,
+    promptTokens,
+    omittedMessages: omitted,
+    omittedUpTo: omitted > 0 && chat.path[omitted - 1].id ? chat.path[omitted - 1].id : null,
+    summarized
+  };
+  return dryRun ? { ...context, overBudget, estimated: true } : context;
+}
+
+// Deepest message on the path that has a stored summary
+function findStoredSummary(path, summaries) {
+  for (let i = path.length - 1; i >= 0; i--) {
+    const summary = path[i].id && summaries[path[i].id];
+    if (summary) return { text: summary.text, index: i };
+  }
+  return null;
+}
+
+// The provider's count, or a local estimate that costs no request
+async function countPromptTokens(chat, history, { estimate = false } = {}) {
+  if (estimate) {
+    const system = chat.systemInstruction ? estimateTokens([{ text: chat.systemInstruction }]) : 0;
+    return history.reduce((total, msg) => total + estimateTokens(msg.parts), system + estimateTokens(chat.userParts));
+  }
+  const { totalTokens } = await provider.countTokens(toProviderRequest({ ...chat, history: toHistory(history) }));
+  return totalTokens;
+}
+
+// Ask the model for a summary of the given messages and store it on the
+// conversation under the last one. Returns null (and the turns are simply
+// left out) when no summary could be written.
+async function summarizeMessages(chat, messages, last, onSummarize) {
+  if (onSummarize) onSummarize();
+
+  try {
+    const { text } = await provider.chat({
+      model: chat.model.id,
+      apiKey: chat.apiKey,
+      message: buildSummaryRequest(messages),
+      settings: { temperature: 0.2, maxOutputTokens: Math.min(SUMMARY_MAX_TOKENS, chat.model.maxOutputTokens) }
+    });
+    const summary = text.trim();
+    if (!summary) return null;
+
+    if (chat.conversation && last.id) {
+      const record = { text: summary, model: chat.model.id, createdAt: new Date().toISOString() };
+      await conversations.update(chat.conversation.id, (conversation) => ({
+        contextSummaries: { ...conversation.contextSummaries, [last.id]: record }
+      }));
+    }
+    return summary;
+  } catch (error) {
+    log.error('Error summarizing conversation', error);
+    return null;
+  }
+}
+
+// Token usage of a reply, estimated where the provider does not report it
+function buildUsage(chat, reply) {
+  const usage = reply.usage || {};
+  const promptTokens = usage.promptTokens !== undefined ? usage.promptTokens : chat.context.promptTokens;
+  const completionTokens = usage.completionTokens !== undefined ? usage.completionTokens : estimateTokens(reply.text);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+// Replies that ended early carry their finish reason and safety ratings.
+// A reply without any text is reported as blocked and not added to the history.
+function toChatResult(chat, reply) {
+  const result = {
+    response: reply.text,
+    model: chat.model.id,
+    history: [
+      ...chat.history,
+      { role: 'user', parts: chat.userParts },
+      { role: 'model', parts: [{ text: reply.text }] }
+    ],
+    usage: buildUsage(chat, reply),
+    context: chat.context
+  };
+
+  if (reply.toolCalls && reply.toolCalls.length > 0) {
+    result.toolCalls = reply.toolCalls;
+  }
+
+  // Only the passages the reply cites are kept as its sources
+  const cited = findCitations(reply.text || '');
+  const sources = (chat.sources || []).filter(source => cited.has(source.number));
+  if (sources.length > 0) {
+    result.sources = sources;
+  }
+
+  if (reply.finishReason && reply.finishReason !== 'STOP') {
+    result.finishReason = reply.finishReason;
+    if (reply.safetyRatings) {
+      result.safetyRatings = reply.safetyRatings;
+    }
+  }
+
+  if (!reply.text) {
+    result.blocked = true;
+    result.finishReason = isBlockedFinish(reply.finishReason) ? reply.finishReason : (result.finishReason || 'OTHER');
+    result.history = chat.history;
+  }
+
+  return result;
+}
+
+// Numbers cited as [1] or [2][3] in a reply
+function findCitations(text) {
+  return new Set([...text.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+}
+
+// Handle single-turn image analysis (legacy endpoint)
+async function handleImageAnalysis(message, image, modelId = DEFAULT_MODEL, apiKey) {
+  try {
+    // The caller has already checked that the model supports images
+    const prompt = `Analyze this image and answer the following question: ${message}`;
+
+    const { text, usage } = await provider.vision({
+      model: modelId,
+      apiKey,
+      prompt,
+      images: [parseImage(image)]
+    });
+
+    return {
+      response: text,
+      model: modelId,
+      usage: usage || { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(text) },
+      history: [
+        { role: 'user', parts: [{ text: `[Image Analysis] ${message}` }] },
+        { role: 'model', parts: [{ text }] }
+      ]
+    };
+
+  } catch (error) {
+    log.error('Image analysis error', error);
+    // Keep the upstream status so the error can still be classified
+    throw Object.assign(new Error(`Image analysis failed: ${error.message}`), {
+      status: error.status,
+      retryAfter: error.retryAfter
+    });
+  }
+}
+
+// Split a base64 data URL image into its MIME type and data
+function parseImage(image) {
+  return {
+    mimeType: image.type,
+    data: image.data.split(',')[1]
+  };
+}
+
+// API endpoint for image analysis (legacy endpoint)
+app.post('/api/analyze-image', limitModelRequests, async (req, res) => {
+  try {
+    const { imageData, prompt, model: modelId } = req.body;
+    
+    if (!imageData || !prompt) {
+      return res.status(400).json({ error: 'Image data and prompt are required' });
+    }
+
+    const { model, error: modelError } = resolveModel(modelId, { vision: true });
+    if (modelError) {
+      return res.status(400).json({ error: modelError });
+    }
+
+    const { apiKey, error: keyError } = resolveApiKey(req.user);
+    if (keyError) {
+      return res.status(403).json({ error: keyError, code: 'FORBIDDEN', retryable: false });
+    }
+
+    // Use the same image analysis function
+    const image = {
+      data: imageData,
+      type: 'image/jpeg' // Default type
+    };
+
+    const result = await handleImageAnalysis(prompt, image, model.id, apiKey);
+    recordUsage(req.user, { model: model.id, usage: result.usage, images: true });
+    res.json(result);
+
+  } catch (error) {
+    log.error('Error with image analysis', error);
+    sendError(res, error);
+  }
+});
+
+// Strip storage-only fields so stored messages can be sent to Gemini
+function toHistory(messages) {
+  return messages.map(msg => ({ role: msg.role, parts: msg.parts }));
+}
+
+// Load one of the user's conversations with its messages linked into a tree
+async function loadConversation(id, user) {
+  const conversation = await getOwned(conversations, id, user);
+  return conversation && { ...conversation, ...toTree(conversation.messages, conversation.activeChildren) };
+}
+
+// Add the new turn of a chat result to its stored conversation and make it the
+// active branch. A regenerated reply is added under the existing user message.
+async function saveTurn(chat, result) {
+  const { updated, added } = await storeTurn(chat, [result]);
+
+  return {
+    response: result.response,
+    model: result.model,
+    history: toHistory(getActivePath(updated)),
+    conversationId: updated.id,
+    title: updated.title,
+    messages: added,
+    activeChildren: updated.activeChildren,
+    usage: result.usage,
+    context: result.context,
+    contextSummaries: updated.contextSummaries || {},
+    cached: Boolean(result.cached),
+    ...pickFinishDetails(result)
+  };
+}
+
+// Store the user message (unless a reply is being regenerated) with one reply
+// per result under it. The first reply becomes the active branch; the others
+// are versions beside it. Resolves to { updated, added, replies }.
+async function storeTurn(chat, results) {
+  const timestamp = new Date().toISOString();
+  const userMessage = chat.regenerateFrom ? null : {
+    id: generateMessageId(),
+    parentId: chat.parentId,
+    role: 'user',
+    parts: chat.userParts,
+    timestamp
+  };
+  const replies = results.map(result => ({
+    id: generateMessageId(),
+    parentId: userMessage ? userMessage.id : chat.regenerateFrom,
+    role: 'model',
+    parts: result.history[result.history.length - 1].parts,
+    timestamp,
+    model: result.model,
+    ...(result.cached ? { cached: true } : {}),
+    ...pickFinishDetails(result),
+    ...pickUsageDetails(result),
+    ...pickToolCalls(result),
+    ...pickSources(result)
+  }));
+  const added = userMessage ? [userMessage, ...replies] : replies;
+
+  const updated = await conversations.update(chat.conversation.id, (record) => {
+    const tree = toTree(record.messages, record.activeChildren);
+    const messages = [...tree.messages, ...added];
+
+    return {
+      // Name untitled conversations after their first message
+      title: record.title === DEFAULT_CONVERSATION_TITLE && tree.messages.length === 0
+        ? titleFromMessage(getText(chat.userParts, { includeFiles: false }))
+        : record.title,
+      messages,
+      activeChildren: selectMessage({ messages, activeChildren: tree.activeChildren }, replies[0].id)
+    };
+  });
+
+  if (!updated) {
+    throw new Error('Conversation was deleted while waiting for Gemini');
+  }
+  return { updated, added, replies };
+}
+
+function pickFinishDetails({ finishReason, safetyRatings }) {
+  const details = {};
+  if (typeof finishReason === 'string') details.finishReason = finishReason;
+  if (Array.isArray(safetyRatings)) details.safetyRatings = safetyRatings;
+  return details;
+}
+
+// Tool calls made while writing a reply, kept so the chat can show them.
+// Only the reply's text goes back to the model in later turns.
+function pickToolCalls({ toolCalls }) {
+  if (!Array.isArray(toolCalls)) return {};
+  const valid = toolCalls.filter(call => call && typeof call.name === 'string');
+  return valid.length > 0 ? { toolCalls: valid } : {};
+}
+
+// Knowledge base passages a reply cites, so the chat can link to them
+function pickSources({ sources }) {
+  if (!Array.isArray(sources)) return {};
+  const valid = sources.filter(source => source && Number.isInteger(source.number) && typeof source.documentId === 'string');
+  return valid.length > 0 ? { sources: valid } : {};
+}
+
+// Replies remember their token usage, and which earlier messages were
+// summarized or left out when they were written
+function pickUsageDetails({ usage, context }) {
+  const details = { usage };
+  if (context.omittedMessages > 0) {
+    const { strategy, omittedMessages, omittedUpTo, summarized } = context;
+    details.context = { strategy, omittedMessages, omittedUpTo, summarized };
+  }
+  return details;
+}
+
+function titleFromMessage(text) {
+  const title = String(text).replace(/\s+/g, ' ').trim();
+  return title.length > 60 ? title.slice(0, 57) + '...' : title || DEFAULT_CONVERSATION_TITLE;
+}
+
+// Summary shown in the conversation list (messages omitted)
+function summarizeConversation(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    personaId: conversation.personaId || null,
+    messageCount: getActivePath(toTree(conversation.messages, conversation.activeChildren)).length
+  };
+}
+
+// Keep the timestamp, model and tree links of imported messages when they are valid
+function toStoredMessage(msg, fallbackTimestamp) {
+  const stored = {
+    id: msg.id,
+    parentId: msg.parentId,
+    role: msg.role,
+    parts: msg.parts,
+    timestamp: isValidTimestamp(msg.timestamp) ? new Date(msg.timestamp).toISOString() : fallbackTimestamp
+  };
+  if (msg.role === 'model' && typeof msg.model === 'string') {
+    stored.model = msg.model;
+  }
+  if (msg.role === 'model') {
+    Object.assign(stored, pickFinishDetails(msg), pickToolCalls(msg), pickSources(msg));
+  }
+  return stored;
+}
+
+function isValidTimestamp(value) {
+  return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+// Check the persona, system prompt, generation settings, context strategy, tools
+// and knowledge base of a conversation request. Returns { settings } with the
+// fields that were sent, or { error }.
+async function validateConversationSettings({ personaId, systemPrompt, generationSettings, contextStrategy, tools, knowledgeBaseId }, user) {
+  const settings = {};
+
+  if (personaId !== undefined) {
+    if (personaId !== null && !(await findPersona(personaId, user))) {
+      return { error: 'Persona not found' };
+    }
+    settings.personaId = personaId;
+  }
+
+  if (systemPrompt !== undefined) {
+    const error = validateSystemPrompt(systemPrompt);
+    if (error) {
+      return { error };
+    }
+    settings.systemPrompt = systemPrompt.trim();
+  }
+
+  // The output limit of the chosen model is checked when a message is sent
+  if (generationSettings !== undefined) {
+    const { settings: generation, error } = validateGenerationSettings(generationSettings);
+    if (error) {
+      return { error };
+    }
+    settings.generationSettings = generation;
+  }
+
+  if (contextStrategy !== undefined) {
+    const error = validateContextStrategy(contextStrategy);
+    if (error) {
+      return { error };
+    }
+    settings.contextStrategy = contextStrategy;
+  }
+
+  if (tools !== undefined) {
+    const error = validateTools(tools);
+    if (error) {
+      return { error };
+    }
+    settings.tools = [...new Set(tools)];
+  }
+
+  if (knowledgeBaseId !== undefined) {
+    if (knowledgeBaseId !== null && !(await getOwned(knowledgeBases, knowledgeBaseId, user))) {
+      return { error: 'Knowledge base not found' };
+    }
+    settings.knowledgeBaseId = knowledgeBaseId;
+  }
+
+  return { settings };
+}
+
+// Validate messages supplied by the client before storing them
+function validateMessages(messages) {
+  if (!Array.isArray(messages)) {
+    return 'Messages must be an array';
+  }
+  for (const msg of messages) {
+    if (!msg || !['user', 'model'].includes(msg.role)) {
+      return 'Each message needs a role of "user" or "model"';
+    }
+    if (!isValidParts(msg.parts)) {
+      return 'Each message needs text or inline image parts';
+    }
+  }
+  return null;
+}
+
+// API endpoints for stored conversations
+app.get('/api/conversations', async (req, res) => {
+  try {
+    const list = (await conversations.list()).filter(conversation => conversation.ownerId === req.user.id);
+    list.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    res.json({ conversations: list.map(summarizeConversation) });
+  } catch (error) {
+    log.error('Error listing conversations', error);
+    res.status(500).json({ error: 'Failed to list conversations' });
+  }
+});
+
+// Search the user's messages: words, prefixes (regex*) and "quoted phrases",
+// optionally within dates (from, to), a model or a persona
+app.get('/api/search', async (req, res) => {
+  try {
+    const { options, error } = parseSearchParams(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    searchIndex.sync(await conversations.list());
+    res.json(searchIndex.search({ ...options, ownerId: req.user.id }));
+  } catch (error) {
+    log.error('Error searching conversations', error);
+    res.status(500).json({ error: 'Failed to search conversations' });
+  }
+});
+
+app.post('/api/conversations', async (req, res) => {
+  try {
+    const { title, messages = [], activeChildren } = req.body;
+
+    const validationError = validateMessages(messages);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { settings, error: settingsError } = await validateConversationSettings(req.body, req.user);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    // Imports keep their branches when the message links are intact
+    const timestamp = new Date().toISOString();
+    const conversation = await conversations.create({
+      ownerId: req.user.id,
+      title: (typeof title === 'string' && title.trim()) || DEFAULT_CONVERSATION_TITLE,
+      personaId: null,
+      systemPrompt: '',
+      generationSettings: {},
+      contextStrategy: null,
+      tools: [],
+      knowledgeBaseId: null,
+      ...settings,
+      ...toTree(messages.map(msg => toStoredMessage(msg, timestamp)), activeChildren)
+    });
+
+    res.status(201).json(conversation);
+  } catch (error) {
+    log.error('Error creating conversation', error);
+    res.status(500).json({ error: 'Failed to create conversation' });
+  }
+});
+
+app.get('/api/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await loadConversation(req.params.id, req.user);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(conversation);
+  } catch (error) {
+    log.error('Error loading conversation', error);
+    res.status(500).json({ error: 'Failed to load conversation' });
+  }
+});
+
+// Rename a conversation or change its persona, system prompt, generation settings
+// and context strategy
+app.patch('/api/conversations/:id', async (req, res) => {
+  try {
+    const { title } = req.body;
+    const changes = {};
+
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({ error: 'Title cannot be empty' });
+      }
+      changes.title = title.trim();
+    }
+
+    const { settings, error: settingsError } = await validateConversationSettings(req.body, req.user);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+    Object.assign(changes, settings);
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update. Send a title, personaId, systemPrompt, generationSettings or contextStrategy.' });
+    }
+
+    if (!(await getOwned(conversations, req.params.id, req.user))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    const conversation = await conversations.update(req.params.id, changes);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(summarizeConversation(conversation));
+  } catch (error) {
+    log.error('Error updating conversation', error);
+    res.status(500).json({ error: 'Failed to update conversation' });
+  }
+});
+
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    if (!(await getOwned(conversations, req.params.id, req.user))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    await conversations.remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error deleting conversation', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+app.post('/api/conversations/:id/messages', async (req, res) => {
+  try {
+    const { messages } = req.body;
+
+    const validationError = validateMessages(messages);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (!(await getOwned(conversations, req.params.id, req.user))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    // New messages continue the active branch one after another
+    const timestamp = new Date().toISOString();
+    const conversation = await conversations.update(req.params.id, (record) => {
+      const tree = toTree(record.messages, record.activeChildren);
+      const path = getActivePath(tree);
+      let parentId = path.length > 0 ? path[path.length - 1].id : null;
+
+      const added = messages.map(msg => {
+        const stored = { ...toStoredMessage(msg, timestamp), id: generateMessageId(), parentId };
+        parentId = stored.id;
+        return stored;
+      });
+      const all = [...tree.messages, ...added];
+
+      return {
+        messages: all,
+        activeChildren: added.length > 0
+          ? selectMessage({ messages: all, activeChildren: tree.activeChildren }, parentId)
+          : tree.activeChildren
+      };
+    });
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(conversation);
+  } catch (error) {
+    log.error('Error appending messages', error);
+    res.status(500).json({ error: 'Failed to append messages' });
+  }
+});
+
+// Switch the active branch to the one containing messageId (edit or reply navigation)
+app.post('/api/conversations/:id/select', async (req, res) => {
+  try {
+    const { messageId } = req.body;
+    if (typeof messageId !== 'string') {
+      return res.status(400).json({ error: 'messageId is required' });
+    }
+    if (!(await getOwned(conversations, req.params.id, req.user))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    let found = true;
+    const conversation = await conversations.update(req.params.id, (record) => {
+      const tree = toTree(record.messages, record.activeChildren);
+      const activeChildren = selectMessage(tree, messageId);
+      found = activeChildren !== null;
+      return { messages: tree.messages, activeChildren: activeChildren || tree.activeChildren };
+    });
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    if (!found) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(conversation);
+  } catch (error) {
+    log.error('Error switching branch', error);
+    res.status(500).json({ error: 'Failed to switch branch' });
+  }
+});
+
+// Share links. The snapshot is taken now; the link keeps showing it until it
+// expires or is revoked, whatever happens to the conversation afterwards.
+function toShareResponse(share) {
+  return {
+    id: share.id,
+    url: `/share/${share.id}`,
+    conversationId: share.conversationId,
+    title: share.title,
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    expired: isExpired(share),
+    includeImages: share.includeImages,
+    includeAttachments: share.includeAttachments,
+    messageCount: share.messages.length
+  };
+}
+
+app.post('/api/conversations/:id/shares', async (req, res) => {
+  try {
+    const { options, error } = validateShareOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const conversation = await loadConversation(req.params.id, req.user);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    const messages = buildSnapshot(getActivePath(conversation), options);
+    if (messages.length === 0) {
+      return res.status(400).json({ error: 'There are no messages to share yet' });
+    }
+
+    const share = await shares.create({
+      ownerId: req.user.id,
+      conversationId: conversation.id,
+      title: conversation.title,
+      ...options,
+      messages
+    });
+    res.status(201).json(toShareResponse(share));
+  } catch (error) {
+    log.error('Error creating share link', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+// The user's share links, newest first. Pass conversationId to list one
+// conversation's links.
+app.get('/api/shares', async (req, res) => {
+  try {
+    const { conversationId } = req.query;
+    const list = (await shares.list()).filter(share =>
+      share.ownerId === req.user.id && (!conversationId || share.conversationId === conversationId)
+    );
+    list.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json({ shares: list.map(toShareResponse) });
+  } catch (error) {
+    log.error('Error listing share links', error);
+    res.status(500).json({ error: 'Failed to list share links' });
+  }
+});
 
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.static('public'));
+app.delete('/api/shares/:id', async (req, res) => {
+  try {
+    if (!(await getOwned(shares, req.params.id, req.user))) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+    await shares.remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error revoking share link', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+// The shared page itself, open to anyone with the link
+app.get('/share/:id', async (req, res) => {
+  try {
+    const share = await shares.get(req.params.id);
+    if (!share) {
+      return res.status(404).type('html').send(renderShareUnavailable('This link does not exist or has been revoked'));
+    }
+    if (isExpired(share)) {
+      return res.status(410).type('html').send(renderShareUnavailable('This link has expired'));
+    }
+    res.set('X-Robots-Tag', 'noindex').type('html').send(renderSharePage(share));
+  } catch (error) {
+    log.error('Error showing shared conversation', error);
+    res.status(500).type('html').send(renderShareUnavailable('This conversation could not be loaded'));
+  }
+});
 
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Personas: built-in ones first, then the user's custom ones by name
+async function findPersona(id, user) {
+  return getBuiltinPersona(id) || getOwned(personas, id, user);
+}
 
-// Routes
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+function toPersonaResponse(persona) {
+  return { description: '', ...persona, builtin: Boolean(persona.builtin) };
+}
+
+app.get('/api/personas', async (req, res) => {
+  try {
+    const custom = (await personas.list()).filter(persona => persona.ownerId === req.user.id);
+    custom.sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ personas: [...BUILTIN_PERSONAS, ...custom].map(toPersonaResponse) });
+  } catch (error) {
+    log.error('Error listing personas', error);
+    res.status(500).json({ error: 'Failed to list personas' });
+  }
 });
 
-// API endpoint for Gemini chat
-app.post('/api/chat', async (req, res) => {
+app.post('/api/personas', async (req, res) => {
   try {
-    const { message, history = [], image } = req.body;
-    
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
+    const validationError = validatePersona(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const persona = await personas.create({ ...toPersonaFields(req.body), ownerId: req.user.id });
+    res.status(201).json(toPersonaResponse(persona));
+  } catch (error) {
+    log.error('Error creating persona', error);
+    res.status(500).json({ error: 'Failed to create persona' });
+  }
+});
+
+app.get('/api/personas/:id', async (req, res) => {
+  try {
+    const persona = await findPersona(req.params.id, req.user);
+    if (!persona) {
+      return res.status(404).json({ error: 'Persona not found' });
     }
+    res.json(toPersonaResponse(persona));
+  } catch (error) {
+    log.error('Error loading persona', error);
+    res.status(500).json({ error: 'Failed to load persona' });
+  }
+});
 
-    // Handle image analysis if image is provided
-    if (image) {
-      return await handleImageAnalysis(req, res, message, image);
+app.patch('/api/personas/:id', async (req, res) => {
+  try {
+    if (isBuiltinPersona(req.params.id)) {
+      return res.status(403).json({ error: 'Built-in personas cannot be changed' });
     }
 
-    // Regular text chat
-    return await handleTextChat(req, res, message, history);
+    const validationError = validatePersona(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
+    if (!(await getOwned(personas, req.params.id, req.user))) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+    const persona = await personas.update(req.params.id, toPersonaFields(req.body));
+    res.json(toPersonaResponse(persona));
   } catch (error) {
-    console.error('Error with Gemini API:', error);
-    
-    // Provide more specific error messages
-    let errorMessage = 'Failed to get response from Gemini';
-    if (error.message.includes('model')) {
-      errorMessage = 'Model not found or not supported. Please check your API key and model configuration.';
-    } else if (error.message.includes('API key')) {
-      errorMessage = 'Invalid API key. Please check your Gemini API key.';
-    } else if (error.message.includes('quota')) {
-      errorMessage = 'API quota exceeded. Please check your usage limits.';
-    } else if (error.message.includes('image')) {
-      errorMessage = 'Image analysis failed. Please try again with a different image.';
+    log.error('Error updating persona', error);
+    res.status(500).json({ error: 'Failed to update persona' });
+  }
+});
+
+// Conversations using a deleted persona simply continue without it
+app.delete('/api/personas/:id', async (req, res) => {
+  try {
+    if (isBuiltinPersona(req.params.id)) {
+      return res.status(403).json({ error: 'Built-in personas cannot be deleted' });
     }
-    
-    res.status(500).json({ 
-      error: errorMessage,
-      details: error.message 
-    });
+
+    if (!(await getOwned(personas, req.params.id, req.user))) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+    await personas.remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error deleting persona', error);
+    res.status(500).json({ error: 'Failed to delete persona' });
   }
 });
 
-// Handle text chat
-async function handleTextChat(req, res, message, history) {
+// API endpoint for uploading documents (PDF, text, Markdown, CSV, source code).
+// Returns upload ids that the next /api/chat request lists in `attachments`.
+app.post('/api/uploads', (req, res) => {
+  upload.array('files')(req, res, async (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: uploadError.message });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'At least one file is required' });
+    }
+
+    try {
+      // Extract everything first so a bad file rejects the whole upload
+      const documents = [];
+      for (const file of req.files) {
+        const { document, status, error } = await extractDocument(file);
+        if (error) {
+          return res.status(status).json({ error });
+        }
+        documents.push(document);
+      }
+
+      const saved = await Promise.all(documents.map(document => uploads.create({ ...document, ownerId: req.user.id })));
+      res.status(201).json({ files: saved.map(summarizeUpload) });
+    } catch (error) {
+      log.error('Error processing upload', error);
+      res.status(500).json({ error: 'Failed to process upload' });
+    }
+  });
+});
+
+app.get('/api/uploads/types', (req, res) => {
+  res.json({ extensions: ACCEPTED_EXTENSIONS, maxFiles: MAX_ATTACHMENTS_PER_MESSAGE });
+});
+
+app.delete('/api/uploads/:id', async (req, res) => {
   try {
-    // Get the Gemini model (using flash model as fallback)
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+    if (!(await getOwned(uploads, req.params.id, req.user))) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    await uploads.remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error deleting upload', error);
+    res.status(500).json({ error: 'Failed to delete upload' });
+  }
+});
 
-    // Create chat session
-    const chat = model.startChat({
-      history: history.map(msg => ({
-        role: msg.role,
-        parts: msg.parts,
-      })),
-    });
+// Upload details for the client (the extracted text stays on the server)
+function summarizeUpload(document) {
+  return {
+    id: document.id,
+    name: document.name,
+    kind: document.kind,
+    size: document.size,
+    characters: document.text.length,
+    truncated: document.truncated
+  };
+}
 
-    // Send message and get response
-    const result = await chat.sendMessage(message);
-    const response = await result.response;
-    const text = response.text();
+// Uploaded text lives on in the conversation once a turn succeeds
+function discardUploads(ids) {
+  ids.forEach(id => {
+    uploads.remove(id).catch(error => log.error('Error removing upload', error));
+  });
+}
 
-    res.json({
-      response: text,
-      history: [
-        ...history,
-        { role: 'user', parts: message },
-        { role: 'model', parts: text }
-      ]
+// Knowledge base details for the client. Vectors and document text stay on the
+// server; `stale` means it was indexed with another embedder than the current one.
+function toKnowledgeBaseResponse(knowledgeBase) {
+  return {
+    id: knowledgeBase.id,
+    name: knowledgeBase.name,
+    description: knowledgeBase.description || '',
+    embedder: knowledgeBase.embedder ? describeEmbedder(knowledgeBase.embedder) : null,
+    stale: Boolean(knowledgeBase.embedder) && !sameEmbedder(knowledgeBase.embedder, embedder),
+    documents: knowledgeBase.documents,
+    createdAt: knowledgeBase.createdAt,
+    updatedAt: knowledgeBase.updatedAt
+  };
+}
+
+// Embed texts for the user. Embedding APIs report no token counts, so the
+// input is estimated and recorded as prompt tokens.
+async function embedTexts(texts, { task, user, apiKey }) {
+  const vectors = await embedder.embed({ texts, task, apiKey });
+  recordUsage(user, {
+    model: embedder.model,
+    usage: { promptTokens: estimateTokens(texts.map(text => ({ text }))), completionTokens: 0 }
+  });
+  return vectors;
+}
+
+// Split a document into chunks and embed each one
+async function indexDocument(text, { user, apiKey }) {
+  const chunks = chunkText(text);
+  const vectors = await embedTexts(chunks.map(chunk => text.slice(chunk.start, chunk.end)), { task: 'document', user, apiKey });
+  return chunks.map((chunk, index) => ({ ...chunk, vector: normalizeVector(vectors[index]) }));
+}
+
+// The knowledge base's entry for a stored document
+function toDocumentEntry(document) {
+  return {
+    id: document.id,
+    name: document.name,
+    kind: document.kind,
+    size: document.size,
+    truncated: document.truncated,
+    chunks: document.chunks.length,
+    indexedAt: document.updatedAt
+  };
+}
+
+app.get('/api/knowledge', async (req, res) => {
+  try {
+    const list = (await knowledgeBases.list()).filter(knowledgeBase => knowledgeBase.ownerId === req.user.id);
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ knowledgeBases: list.map(toKnowledgeBaseResponse), embedder: describeEmbedder(embedder) });
+  } catch (error) {
+    log.error('Error listing knowledge bases', error);
+    res.status(500).json({ error: 'Failed to list knowledge bases' });
+  }
+});
+
+app.post('/api/knowledge', async (req, res) => {
+  try {
+    const validationError = validateKnowledgeBase(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const knowledgeBase = await knowledgeBases.create({
+      description: '',
+      ...toKnowledgeBaseFields(req.body),
+      ownerId: req.user.id,
+      embedder: null,
+      documents: []
     });
+    res.status(201).json(toKnowledgeBaseResponse(knowledgeBase));
+  } catch (error) {
+    log.error('Error creating knowledge base', error);
+    res.status(500).json({ error: 'Failed to create knowledge base' });
+  }
+});
 
+app.get('/api/knowledge/:id', async (req, res) => {
+  try {
+    const knowledgeBase = await getOwned(knowledgeBases, req.params.id, req.user);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+    res.json(toKnowledgeBaseResponse(knowledgeBase));
   } catch (error) {
-    throw error;
+    log.error('Error loading knowledge base', error);
+    res.status(500).json({ error: 'Failed to load knowledge base' });
   }
-}
+});
 
-// Handle image analysis
-async function handleImageAnalysis(req, res, message, image) {
+app.patch('/api/knowledge/:id', async (req, res) => {
   try {
-    // Use Gemini Pro Vision for image analysis
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
+    const validationError = validateKnowledgeBase(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-    // Convert base64 to Uint8Array
-    const base64Data = image.data.split(',')[1];
-    const imageData = Buffer.from(base64Data, 'base64');
+    if (!(await getOwned(knowledgeBases, req.params.id, req.user))) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+    const knowledgeBase = await knowledgeBases.update(req.params.id, toKnowledgeBaseFields(req.body));
+    res.json(toKnowledgeBaseResponse(knowledgeBase));
+  } catch (error) {
+    log.error('Error updating knowledge base', error);
+    res.status(500).json({ error: 'Failed to update knowledge base' });
+  }
+});
 
-    // Create the prompt with image
-    const prompt = `Analyze this image and answer the following question: ${message}`;
+// Conversations using a deleted knowledge base simply continue without it
+app.delete('/api/knowledge/:id', async (req, res) => {
+  try {
+    const knowledgeBase = await getOwned(knowledgeBases, req.params.id, req.user);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
 
-    const result = await model.generateContent([
-      prompt,
-      {
-        inlineData: {
-          data: imageData,
-          mimeType: image.type
+    await knowledgeBases.remove(knowledgeBase.id);
+    await Promise.all(knowledgeBase.documents.map(entry => {
+      knowledgeIndex.forget(entry.id);
+      return knowledgeDocuments.remove(entry.id);
+    }));
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error deleting knowledge base', error);
+    res.status(500).json({ error: 'Failed to delete knowledge base' });
+  }
+});
+
+// Add documents to a knowledge base (multipart/form-data, `files` field). They
+// are chunked and embedded right away, which calls the embedding model.
+app.post('/api/knowledge/:id/documents', limitModelRequests, (req, res) => {
+  upload.array('files')(req, res, async (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: uploadError.message });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'At least one file is required' });
+    }
+
+    try {
+      const knowledgeBase = await getOwned(knowledgeBases, req.params.id, req.user);
+      if (!knowledgeBase) {
+        return res.status(404).json({ error: 'Knowledge base not found' });
+      }
+      if (knowledgeBase.documents.length + req.files.length > MAX_DOCUMENTS_PER_KNOWLEDGE_BASE) {
+        return res.status(400).json({ error: `A knowledge base can hold at most ${MAX_DOCUMENTS_PER_KNOWLEDGE_BASE} documents` });
+      }
+      // New chunks must be comparable with the ones already indexed
+      if (knowledgeBase.embedder && !sameEmbedder(knowledgeBase.embedder, embedder)) {
+        return res.status(409).json({ error: describeStaleIndex(knowledgeBase) });
+      }
+
+      const { apiKey, error: keyError } = resolveApiKey(req.user);
+      if (keyError) {
+        return res.status(403).json({ error: keyError });
+      }
+
+      // Extract everything first so a bad file rejects the whole upload
+      const extracted = [];
+      for (const file of req.files) {
+        const { document, status, error } = await extractDocument(file);
+        if (error) {
+          return res.status(status).json({ error });
         }
+        extracted.push(document);
+      }
+
+      const saved = [];
+      for (const document of extracted) {
+        const chunks = await indexDocument(document.text, { user: req.user, apiKey });
+        saved.push(await knowledgeDocuments.create({
+          ...document,
+          ownerId: req.user.id,
+          knowledgeBaseId: knowledgeBase.id,
+          chunks
+        }));
       }
-    ]);
 
-    const response = await result.response;
-    const text = response.text();
+      const updated = await knowledgeBases.update(knowledgeBase.id, (record) => ({
+        embedder: { name: embedder.name, model: embedder.model },
+        documents: [...record.documents, ...saved.map(toDocumentEntry)]
+      }));
+      if (!updated) {
+        saved.forEach(document => knowledgeDocuments.remove(document.id).catch(() => {}));
+        return res.status(404).json({ error: 'Knowledge base not found' });
+      }
+      res.status(201).json(toKnowledgeBaseResponse(updated));
+    } catch (error) {
+      log.error('Error indexing documents', error);
+      sendError(res, error);
+    }
+  });
+});
 
+// A document's text with its chunk boundaries, for showing a cited passage
+app.get('/api/knowledge/:id/documents/:documentId', async (req, res) => {
+  try {
+    const document = await getOwned(knowledgeDocuments, req.params.documentId, req.user);
+    if (!document || document.knowledgeBaseId !== req.params.id) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
     res.json({
-      response: text,
-      history: [
-        { role: 'user', parts: `[Image Analysis] ${message}` },
-        { role: 'model', parts: text }
-      ]
+      id: document.id,
+      knowledgeBaseId: document.knowledgeBaseId,
+      name: document.name,
+      kind: document.kind,
+      size: document.size,
+      truncated: document.truncated,
+      text: document.text,
+      chunks: document.chunks.map(({ start, end }) => ({ start, end }))
     });
+  } catch (error) {
+    log.error('Error loading document', error);
+    res.status(500).json({ error: 'Failed to load document' });
+  }
+});
+
+app.delete('/api/knowledge/:id/documents/:documentId', async (req, res) => {
+  try {
+    const knowledgeBase = await getOwned(knowledgeBases, req.params.id, req.user);
+    if (!knowledgeBase || !knowledgeBase.documents.some(entry => entry.id === req.params.documentId)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
+    const updated = await knowledgeBases.update(knowledgeBase.id, (record) => {
+      const documents = record.documents.filter(entry => entry.id !== req.params.documentId);
+      // An empty knowledge base can be filled with any embedder
+      return { documents, embedder: documents.length > 0 ? record.embedder : null };
+    });
+    knowledgeIndex.forget(req.params.documentId);
+    await knowledgeDocuments.remove(req.params.documentId);
+    res.json(toKnowledgeBaseResponse(updated));
   } catch (error) {
-    console.error('Image analysis error:', error);
-    throw new Error(`Image analysis failed: ${error.message}`);
+    log.error('Error deleting document', error);
+    res.status(500).json({ error: 'Failed to delete document' });
   }
-}
+});
 
-// API endpoint for image analysis (legacy endpoint)
-app.post('/api/analyze-image', async (req, res) => {
+// Embed every document again with the current embedder, after EMBEDDER or
+// EMBEDDING_MODEL changed
+app.post('/api/knowledge/:id/reindex', limitModelRequests, async (req, res) => {
   try {
-    const { imageData, prompt } = req.body;
-    
-    if (!imageData || !prompt) {
-      return res.status(400).json({ error: 'Image data and prompt are required' });
+    const knowledgeBase = await getOwned(knowledgeBases, req.params.id, req.user);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
     }
 
-    // Use the same image analysis function
-    const image = {
-      data: imageData,
-      type: 'image/jpeg' // Default type
-    };
+    const { apiKey, error: keyError } = resolveApiKey(req.user);
+    if (keyError) {
+      return res.status(403).json({ error: keyError });
+    }
 
-    await handleImageAnalysis(req, res, prompt, image);
+    const entries = [];
+    for (const entry of knowledgeBase.documents) {
+      const document = await knowledgeDocuments.get(entry.id);
+      if (!document) continue;
 
-  } catch (error) {
-    console.error('Error with image analysis:', error);
-    res.status(500).json({ 
-      error: 'Failed to analyze image',
-      details: error.message 
+      const chunks = await indexDocument(document.text, { user: req.user, apiKey });
+      const updated = await knowledgeDocuments.update(document.id, { chunks });
+      knowledgeIndex.forget(document.id);
+      entries.push(toDocumentEntry(updated));
+    }
+
+    const updated = await knowledgeBases.update(knowledgeBase.id, {
+      embedder: entries.length > 0 ? { name: embedder.name, model: embedder.model } : null,
+      documents: entries
     });
+    res.json(toKnowledgeBaseResponse(updated));
+  } catch (error) {
+    log.error('Error reindexing knowledge base', error);
+    sendError(res, error);
   }
 });
 
-// API endpoint to get available models
-app.get('/api/models', async (req, res) => {
+// Try out retrieval: the passages a question would be sent with
+app.get('/api/knowledge/:id/search', limitModelRequests, async (req, res) => {
   try {
-    // For now, return a static list of available models
-    // In the future, you could call the Gemini API to get available models
-    const models = [
-      {
-        id: 'gemini-1.5-flash',
-        name: 'Gemini 1.5 Flash',
-        description: 'Fast and efficient for most tasks',
-        type: 'text'
-      },
-      {
-        id: 'gemini-1.5-pro',
-        name: 'Gemini 1.5 Pro',
-        description: 'More powerful for complex tasks',
-        type: 'text'
-      },
-      {
-        id: 'gemini-1.5-pro',
-        name: 'Gemini 1.5 Pro Vision',
-        description: 'Supports image analysis',
-        type: 'multimodal'
-      }
-    ];
+    const knowledgeBase = await getOwned(knowledgeBases, req.params.id, req.user);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+    if (typeof req.query.q !== 'string' || !req.query.q.trim()) {
+      return res.status(400).json({ error: 'A search query is required' });
+    }
+
+    const { apiKey, error: keyError } = resolveApiKey(req.user);
+    if (keyError) {
+      return res.status(403).json({ error: keyError });
+    }
+
+    const knowledge = await retrieveKnowledge(knowledgeBase, req.query.q, { user: req.user, apiKey });
+    if (knowledge.error) {
+      return res.status(knowledge.status).json({ error: knowledge.error });
+    }
+    res.json({ passages: knowledge.sources });
+  } catch (error) {
+    log.error('Error searching knowledge base', error);
+    sendError(res, error);
+  }
+});
+
+// Presets, ranges, safety options and context strategies for the generation settings panel
+app.get('/api/generation-settings', (req, res) => {
+  res.json({
+    ...describeGenerationOptions(),
+    context: describeContextOptions(),
+    tools: describeTools(),
+    responseCache: Boolean(responseCache)
+  });
+});
+
+// Response cache for admins (ADMIN_USERS): settings, hit counts and entries,
+// and clearing all of them or one by key
+app.get('/api/admin/cache', async (req, res) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Only admins can inspect the response cache', code: 'FORBIDDEN', retryable: false });
+  }
+  if (!responseCache) {
+    return res.json({ enabled: false });
+  }
+
+  try {
+    res.json({ enabled: true, ...(await responseCache.describe()) });
+  } catch (error) {
+    log.error('Error describing the response cache', error);
+    res.status(500).json({ error: 'Failed to load the response cache' });
+  }
+});
+
+app.delete('/api/admin/cache', async (req, res) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Only admins can clear the response cache', code: 'FORBIDDEN', retryable: false });
+  }
+
+  try {
+    res.json({ removed: responseCache ? await responseCache.clear() : 0 });
+  } catch (error) {
+    log.error('Error clearing the response cache', error);
+    res.status(500).json({ error: 'Failed to clear the response cache' });
+  }
+});
+
+app.delete('/api/admin/cache/:key', async (req, res) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Only admins can clear the response cache', code: 'FORBIDDEN', retryable: false });
+  }
+
+  try {
+    if (!responseCache || !(await responseCache.remove(req.params.key))) {
+      return res.status(404).json({ error: 'Cached reply not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error removing a cached reply', error);
+    res.status(500).json({ error: 'Failed to remove the cached reply' });
+  }
+});
 
-    res.json({ models });
+// Available models and the default one
+app.get('/api/models', async (req, res) => {
+  try {
+    res.json({ models: listModels(), default: DEFAULT_MODEL });
   } catch (error) {
     res.status(500).json({ error: 'Failed to get models' });
   }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    message: 'Gemini WebApp is running',
-    timestamp: new Date().toISOString(),
-    version: '2.0.0',
+// OpenAI-compatible API. Requests are translated by lib/openai.js and answered
+// like stateless /api/chat requests; nothing is stored.
+app.post('/v1/chat/completions', limitModelRequests, async (req, res) => {
+  const { body, error: requestError, param } = fromChatCompletionRequest(req.body);
+  if (requestError) {
+    return sendOpenAIError(res, { status: 400, body: { error: requestError, code: 'INVALID_REQUEST' } }, param);
+  }
+  // OpenAI clients expect an unknown model to be a 404 model_not_found
+  if (!getModel(body.model)) {
+    return sendModelNotFound(res, body.model);
+  }
+
+  let chat;
+  try {
+    chat = await prepareChat(body, { user: req.user });
+  } catch (error) {
+    log.error('Error preparing chat completion', error);
+    return sendOpenAIError(res, toErrorResponse(error));
+  }
+  if (chat.error) {
+    return sendOpenAIError(res, { status: chat.status, body: { error: chat.error, code: codeForStatus(chat.status) } });
+  }
+
+  const signal = abortOnDisconnect(res);
+
+  if (!req.body.stream) {
+    try {
+      chat.context = await fitContext(chat);
+      const result = await handleTextChat(chat, signal);
+      recordChatUsage(req.user, chat, result);
+      res.json(toChatCompletion(result));
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      log.error('Error with chat completion', error);
+      sendOpenAIError(res, toErrorResponse(error));
+    }
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const completion = { id: createCompletionId(), created: nowInSeconds(), model: chat.model.id };
+  const sendChunk = (chunk) => res.write(`data: ${JSON.stringify(toChatCompletionChunk(completion, chunk))}\n\n`);
+  const includeUsage = Boolean(req.body.stream_options && req.body.stream_options.include_usage);
+
+  try {
+    sendChunk({ delta: { role: 'assistant', content: '' } });
+    chat.context = await fitContext(chat);
+    const result = await streamTextChat(chat, (text) => sendChunk({ delta: { content: text } }), null, signal);
+    recordChatUsage(req.user, chat, result);
+
+    sendChunk({ finishReason: result.finishReason || 'STOP' });
+    if (includeUsage) {
+      sendChunk({ usage: result.usage });
+    }
+  } catch (error) {
+    if (signal.aborted) return res.end();
+    log.error('Error with chat completion stream', error);
+
+    // Like OpenAI, a failed stream ends with an error object instead of a chunk
+    const response = toErrorResponse(error);
+    res.locals.errorCode = response.body.code;
+    res.write(`data: ${JSON.stringify(toOpenAIError(response).body)}\n\n`);
+  }
+
+  res.write('data: [DONE]\n\n');
+  res.end();
+});
+
+app.get('/v1/models', (req, res) => {
+  res.json({ object: 'list', data: listModels().map(toModel) });
+});
+
+app.get('/v1/models/:id', (req, res) => {
+  const model = getModel(req.params.id);
+  if (!model) {
+    return sendModelNotFound(res, req.params.id);
+  }
+  res.json(toModel(model));
+});
+
+function sendModelNotFound(res, id) {
+  sendOpenAIError(res, {
+    status: 404,
+    body: { error: `The model '${id}' does not exist`, code: 'MODEL_UNAVAILABLE' }
+  }, 'model');
+}
+
+// Answer with an error in OpenAI's { error: { message, type, param, code } } shape
+function sendOpenAIError(res, response, param) {
+  const { status, body } = toOpenAIError(response, param);
+  res.locals.errorCode = response.body.code;
+  if (response.body.retryAfter) {
+    res.set('Retry-After', String(response.body.retryAfter));
+  }
+  res.status(status).json(body);
+}
+
+// Readiness (see lib/health.js): configuration, the data folder and, with
+// HEALTH_PROBE or ?probe=1, a request to the model provider
+const probeProvider = createProviderProbe(provider, { model: DEFAULT_MODEL });
+let lastReadiness = 'ready';
+
+async function checkReadiness(probe) {
+  const checks = {
+    configuration: async () => {
+      const problems = checkConfiguration({
+        providerName: provider.name,
+        sharedKeyAllowed: SHARED_KEY_ALLOWED,
+        hasSharedKey: Boolean(process.env.GEMINI_API_KEY),
+        canEncrypt: canEncrypt()
+      });
+      return problems.length > 0 ? { ok: false, message: problems.join('; ') } : { ok: true };
+    },
+    storage: () => timeCheck(() => checkStorage(DATA_DIR))
+  };
+  if (HEALTH_PROBE || probe) {
+    checks.provider = probeProvider;
+  }
+
+  const result = await runChecks(checks);
+  // Logged when the state changes, not on every poll
+  if (result.status !== lastReadiness) {
+    (result.status === 'ready' ? log.info : log.warn)(`Server is ${result.status}`, { checks: result.checks });
+    lastReadiness = result.status;
+  }
+  return result;
+}
+
+// Answer with a readiness result: 200 when ready, 503 when degraded
+function sendReadiness(res, result, fields) {
+  // A failed check is not an API error, so it is left out of api_errors_total
+  res.locals.errorCode = null;
+  res.status(result.status === 'ready' ? 200 : 503).json({
+    ...result,
+    ...fields,
+    provider: provider.name,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Health check endpoint: the readiness result plus version and features for
+// the client
+app.get('/api/health', async (req, res) => {
+  const result = await checkReadiness(req.query.probe === '1');
+  sendReadiness(res, result, {
+    version,
     features: [
       'text-chat',
       'image-analysis',
       'dark-mode',
       'conversation-export',
-      'message-actions'
+      'conversation-import',
+      'conversation-history',
+      'document-upload',
+      'message-actions',
+      'personas',
+      'generation-settings',
+      'context-management',
+      'openai-compatible-api',
+      'accounts',
+      'usage-limits',
+      'search',
+      'tools',
+      'knowledge-base',
+      'share-links',
+      'compare-mode',
+      'response-cache',
+      'observability'
     ]
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Gemini WebApp server running on http://localhost:${PORT}`);
-  console.log(`📝 Make sure to set your GEMINI_API_KEY in the .env file`);
-  console.log(`✨ New features: Dark mode, Image analysis, Export conversations`);
-}); 
\ No newline at end of file
+// Liveness: the process is up and answering
+app.get('/api/health/live', (req, res) => {
+  res.json({ status: 'alive', timestamp: new Date().toISOString() });
+});
+
+// Readiness alone, for load balancers and orchestrators
+app.get('/api/health/ready', async (req, res) => {
+  sendReadiness(res, await checkReadiness(req.query.probe === '1'));
+});
+
+// Prometheus metrics (see lib/metrics.js). Behind METRICS_TOKEN when it is
+// set, open with METRICS_PUBLIC=true, and not served otherwise.
+app.get('/metrics', (req, res) => {
+  if (!METRICS_TOKEN && !METRICS_PUBLIC) {
+    return res.status(404).json({ error: 'Not found', code: 'NOT_FOUND', retryable: false });
+  }
+  if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Missing or invalid metrics token', code: 'AUTH_REQUIRED', retryable: false });
+  }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// The route tests load the app without starting the server
+if (require.main === module) {
+  app.listen(PORT, () => {
+    log.info('Gemini WebApp server running', { url: `http://localhost:${PORT}`, provider: provider.name, version });
+    if (provider.name === 'gemini' && !process.env.GEMINI_API_KEY) {
+      log.warn('GEMINI_API_KEY is not set. Add it to the .env file.');
+    }
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,82 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The app reads its settings when it is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-routes-'));
+Object.assign(process.env, { DATA_DIR: dataDir, LLM_PROVIDER: 'mock', ALLOW_SIGNUP: 'true', LOG_LEVEL: 'error' });
+
+const request = require('supertest');
+const app = require('../server');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const PASSWORD = 'correct horse battery';
+
+// A client signed in to a new account, keeping its session cookie
+async function signUp(username) {
+  const agent = request.agent(app);
+  await agent.post('/api/auth/register').send({ username, password: PASSWORD }).expect(201);
+  return agent;
+}
+
+test('the API needs a signed-in user', async () => {
+  const res = await request(app).get('/api/conversations').expect(401);
+  assert.equal(res.body.code, 'AUTH_REQUIRED');
+
+  await request(app).get('/v1/models').expect(401);
+  await request(app).get('/api/health/live').expect(200);
+});
+
+test('registering signs the user in, and signing in checks the password', async () => {
+  const agent = await signUp('alice');
+  const session = await agent.get('/api/auth/session').expect(200);
+  assert.equal(session.body.user.username, 'alice');
+
+  await request(app).post('/api/auth/register').send({ username: 'alice', password: PASSWORD }).expect(409);
+  await request(app).post('/api/auth/login').send({ username: 'alice', password: 'wrong password' }).expect(401);
+  await request(app).post('/api/auth/login').send({ username: 'nobody', password: PASSWORD }).expect(401);
+  await request(app).post('/api/auth/login').send({ username: 'alice' }).expect(401);
+
+  const login = await request(app).post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+  assert.match(login.headers['set-cookie'][0], /HttpOnly/);
+});
+
+test('signing out ends the session', async () => {
+  const agent = await signUp('carol');
+  await agent.post('/api/auth/logout').expect(204);
+
+  await agent.get('/api/conversations').expect(401);
+});
+
+test('API tokens act for their user until they are revoked', async () => {
+  const agent = await signUp('dave');
+  const { body: token } = await agent.post('/api/auth/tokens').send({ name: 'script' }).expect(201);
+
+  await request(app).get('/api/conversations').set('Authorization', `Bearer ${token.token}`).expect(200);
+  await agent.delete(`/api/auth/tokens/${token.id}`).expect(204);
+  await request(app).get('/api/conversations').set('Authorization', `Bearer ${token.token}`).expect(401);
+});
+
+test('requests from other sites are refused', async () => {
+  const res = await request(app).get('/api/auth/session').set('Origin', 'https://evil.example').expect(403);
+  assert.equal(res.body.code, 'FORBIDDEN');
+});
+
+test('conversations are only visible to their owner', async () => {
+  const owner = await signUp('erin');
+  const other = await signUp('frank');
+  const { body: conversation } = await owner.post('/api/conversations').send({ title: 'Private' }).expect(201);
+  const url = `/api/conversations/${conversation.id}`;
+
+  await other.get(url).expect(404);
+  await other.patch(url).send({ title: 'Mine now' }).expect(404);
+  await other.post(`${url}/shares`).send({}).expect(404);
+  await other.delete(url).expect(404);
+  assert.deepEqual((await other.get('/api/conversations').expect(200)).body.conversations, []);
+
+  const { body } = await owner.get(url).expect(200);
+  assert.equal(body.title, 'Private');
+});
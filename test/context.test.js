@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  estimateTokens,
+  findCutIndex,
+  toSummaryHistory,
+  buildSummaryRequest,
+  validateContextStrategy
+} = require('../lib/context');
+
+const image = { inlineData: { mimeType: 'image/png', data: 'AAAA' } };
+
+// A message of about `tokens` tokens
+function message(role, tokens) {
+  return { role, parts: [{ text: 'x'.repeat(tokens * 4) }], cuttable: role === 'model' };
+}
+
+test('estimateTokens counts four characters per token and a flat rate per image', () => {
+  assert.equal(estimateTokens([{ text: 'abcdefgh' }]), 2);
+  assert.equal(estimateTokens([{ text: 'abc' }, image]), 1 + 258);
+  assert.equal(estimateTokens('abcd'), 1);
+});
+
+test('findCutIndex keeps as many recent messages as fit', () => {
+  const messages = [
+    message('user', 100),
+    message('model', 100),
+    message('user', 100),
+    message('model', 100),
+    message('user', 100)
+  ];
+
+  assert.equal(findCutIndex(messages, 250), 3);
+  assert.equal(findCutIndex(messages, 1000), 1);
+});
+
+test('findCutIndex cuts the newest turn when nothing fits', () => {
+  const messages = [message('user', 100), message('model', 100), message('user', 500)];
+
+  assert.equal(findCutIndex(messages, 10), 1);
+});
+
+test('findCutIndex only ends a cut at cuttable model messages', () => {
+  const messages = [message('user', 100), { ...message('model', 100), cuttable: false }, message('user', 100)];
+
+  assert.equal(findCutIndex(messages, 0), -1);
+});
+
+test('toSummaryHistory opens the history with the summary', () => {
+  const [summary, reply] = toSummaryHistory('They talked about cats.');
+
+  assert.equal(summary.role, 'user');
+  assert.match(summary.parts[0].text, /They talked about cats\.$/);
+  assert.equal(reply.role, 'model');
+});
+
+test('buildSummaryRequest writes a transcript with image placeholders', () => {
+  const [request] = buildSummaryRequest([
+    { role: 'user', parts: [{ text: 'What is this?' }, image] },
+    { role: 'model', parts: [{ text: 'A cat.' }] }
+  ]);
+
+  assert.match(request.text, /User: What is this\?\n\[Image: image\/png\]\n\nAssistant: A cat\.$/);
+});
+
+test('validateContextStrategy accepts the strategies and null', () => {
+  assert.equal(validateContextStrategy('truncate'), null);
+  assert.equal(validateContextStrategy(null), null);
+  assert.match(validateContextStrategy('forget'), /must be one of/);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyError, isRetryable, toErrorResponse, codeForStatus } = require('../lib/errors');
+
+function upstreamError(message, fields = {}) {
+  return Object.assign(new Error(message), fields);
+}
+
+test('classifyError maps upstream statuses and messages to codes', () => {
+  assert.equal(classifyError(upstreamError('Too many', { status: 429 })), 'RATE_LIMITED');
+  assert.equal(classifyError(upstreamError('Resource exhausted')), 'RATE_LIMITED');
+  assert.equal(classifyError(upstreamError('API key not valid')), 'AUTHENTICATION_FAILED');
+  assert.equal(classifyError(upstreamError('Nope', { status: 404 })), 'MODEL_UNAVAILABLE');
+  assert.equal(classifyError(upstreamError('Bad', { status: 400 })), 'INVALID_REQUEST');
+  assert.equal(classifyError(upstreamError('fetch failed')), 'UPSTREAM_UNAVAILABLE');
+  assert.equal(classifyError(upstreamError('Oops', { status: 502 })), 'UPSTREAM_UNAVAILABLE');
+  assert.equal(classifyError(upstreamError('Stopped', { name: 'AbortError' })), 'CANCELLED');
+  assert.equal(classifyError(upstreamError('Whatever')), 'INTERNAL_ERROR');
+  assert.equal(classifyError(null), 'INTERNAL_ERROR');
+});
+
+test('classifyError keeps a known code set on the error', () => {
+  assert.equal(classifyError(upstreamError('No', { code: 'NOT_FOUND', status: 500 })), 'NOT_FOUND');
+  assert.equal(classifyError(upstreamError('Disk', { code: 'ENOENT' })), 'INTERNAL_ERROR');
+});
+
+test('isRetryable is true for rate limits and unavailable upstreams only', () => {
+  assert.equal(isRetryable(upstreamError('Too many', { status: 429 })), true);
+  assert.equal(isRetryable(upstreamError('Down', { status: 503 })), true);
+  assert.equal(isRetryable(upstreamError('Bad', { status: 400 })), false);
+});
+
+test('toErrorResponse sends the fixed message of the code, never the original one', () => {
+  const { status, body } = toErrorResponse(upstreamError('secret upstream detail at /srv/data', { status: 429, retryAfter: 1500 }));
+
+  assert.equal(status, 429);
+  assert.deepEqual(body, {
+    error: 'Too many requests or API quota exceeded. Please wait a moment and try again.',
+    code: 'RATE_LIMITED',
+    retryable: true,
+    retryAfter: 2
+  });
+});
+
+test('codeForStatus names the statuses of our own responses', () => {
+  assert.equal(codeForStatus(400), 'INVALID_REQUEST');
+  assert.equal(codeForStatus(401), 'AUTH_REQUIRED');
+  assert.equal(codeForStatus(403), 'FORBIDDEN');
+  assert.equal(codeForStatus(404), 'NOT_FOUND');
+  assert.equal(codeForStatus(409), 'CONFLICT');
+  assert.equal(codeForStatus(413), 'PAYLOAD_TOO_LARGE');
+  assert.equal(codeForStatus(429), 'RATE_LIMITED');
+  assert.equal(codeForStatus(422), 'INVALID_REQUEST');
+  assert.equal(codeForStatus(503), 'SERVICE_UNAVAILABLE');
+  assert.equal(codeForStatus(500), 'INTERNAL_ERROR');
+});
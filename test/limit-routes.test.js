@@ -0,0 +1,79 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The app reads its settings when it is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'limit-routes-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LLM_PROVIDER: 'mock',
+  ALLOW_SIGNUP: 'true',
+  LOG_LEVEL: 'error',
+  RATE_LIMIT_PER_USER: '3',
+  DAILY_TOKEN_LIMIT: '1'
+});
+
+const request = require('supertest');
+const app = require('../server');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// A client signed in to a new account, keeping its session cookie
+async function signUp(username) {
+  const agent = request.agent(app);
+  await agent.post('/api/auth/register').send({ username, password: 'correct horse battery' }).expect(201);
+  return agent;
+}
+
+test('model requests over the per-user limit get a 429 with a retry delay', async () => {
+  const agent = await signUp('busy');
+
+  // Invalid requests still count, so they need no tokens from the allowance
+  for (const remaining of ['2', '1', '0']) {
+    const res = await agent.post('/api/chat').send({}).expect(400);
+    assert.equal(res.headers['ratelimit-remaining'], remaining);
+  }
+
+  const res = await agent.post('/api/chat').send({ message: 'Hi' }).expect(429);
+  assert.equal(res.body.code, 'RATE_LIMITED');
+  assert.equal(res.body.retryable, true);
+  assert.ok(Number(res.headers['retry-after']) > 0);
+  assert.equal(res.body.retryAfter, Number(res.headers['retry-after']));
+
+  // Other users have their own limit
+  const other = await signUp('idle');
+  await other.post('/api/chat').send({}).expect(400);
+});
+
+test('the OpenAI-compatible API answers the limit in its own error shape', async () => {
+  const agent = await signUp('scripted');
+  const { body: token } = await agent.post('/api/auth/tokens').send({ name: 'sdk' }).expect(201);
+  const send = () => request(app).post('/v1/chat/completions').set('Authorization', `Bearer ${token.token}`).send({});
+
+  for (let i = 0; i < 3; i++) {
+    await send().expect(400);
+  }
+  const res = await send().expect(429);
+  assert.equal(res.body.error.type, 'rate_limit_error');
+  assert.ok(Number(res.headers['retry-after']) > 0);
+});
+
+test('a user past the daily token allowance is refused until tomorrow', async () => {
+  const agent = await signUp('heavy');
+  await agent.post('/api/chat').send({ message: 'Hi' }).expect(200);
+
+  // Usage is recorded after the reply is sent
+  let today;
+  for (let i = 0; i < 50 && !(today && today.totalTokens > 0); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    today = (await agent.get('/api/usage').expect(200)).body.today;
+  }
+  assert.ok(today.totalTokens > 0);
+
+  const res = await agent.post('/api/chat').send({ message: 'Hi again' }).expect(429);
+  assert.equal(res.body.code, 'RATE_LIMITED');
+  assert.match(res.body.error, /tokens for today/);
+  assert.ok(Number(res.headers['retry-after']) <= 24 * 60 * 60);
+});
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockProvider } = require('../lib/providers/mock');
+
+// A provider answering from the given rules, without delays
+function createProvider(rules) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-provider-'));
+  const scriptPath = path.join(dir, 'script.json');
+  fs.writeFileSync(scriptPath, JSON.stringify({ delay: 0, rules }));
+  const provider = createMockProvider({ scriptPath });
+  fs.rmSync(dir, { recursive: true });
+  return provider;
+}
+
+const user = text => ({ role: 'user', parts: [{ text }] });
+const model = text => ({ role: 'model', parts: [{ text }] });
+
+test('messages without a rule get a numbered echo', async () => {
+  const provider = createProvider([]);
+  const { text, finishReason, usage } = await provider.chat({ history: [user('Hi'), model('Hello')], message: 'How are you?' });
+
+  assert.equal(text, 'Mock reply #2 to: "How are you?"');
+  assert.equal(finishReason, 'STOP');
+  assert.deepEqual(usage, { promptTokens: 5, completionTokens: 7 });
+});
+
+test('rules match the message case-insensitively, in order', async () => {
+  const provider = createProvider([
+    { match: 'hello', reply: 'Hi there!' },
+    { match: 'hello world', reply: 'Never used' }
+  ]);
+
+  assert.equal((await provider.chat({ message: 'Well, HELLO world' })).text, 'Hi there!');
+});
+
+test('streams send the reply word by word', async () => {
+  const provider = createProvider([{ match: 'count', reply: 'one two three' }]);
+  const chunks = [];
+  const { text } = await provider.stream({ message: 'count', onChunk: chunk => chunks.push(chunk) });
+
+  assert.deepEqual(chunks, ['one ', 'two ', 'three']);
+  assert.equal(text, 'one two three');
+});
+
+test('maxOutputTokens and stop sequences cut the reply', async () => {
+  const provider = createProvider([{ match: 'count', reply: 'one two three. four' }]);
+
+  const short = await provider.chat({ message: 'count', settings: { maxOutputTokens: 2 } });
+  assert.deepEqual([short.text, short.finishReason], ['one two ', 'MAX_TOKENS']);
+
+  const stopped = await provider.chat({ message: 'count', settings: { stopSequences: ['.'] } });
+  assert.deepEqual([stopped.text, stopped.finishReason], ['one two three', 'STOP']);
+});
+
+test('error rules throw with the status and retry delay', async () => {
+  const provider = createProvider([{ match: 'quota', error: 'API quota exceeded', status: 429, retryAfter: 30 }]);
+
+  await assert.rejects(provider.chat({ message: 'quota' }), { message: 'API quota exceeded', status: 429, retryAfter: 30000 });
+});
+
+test('failTimes fails that many times before each reply', async () => {
+  const provider = createProvider([{ match: 'busy', error: 'Overloaded', status: 503, failTimes: 2, reply: 'Made it.' }]);
+
+  await assert.rejects(provider.chat({ message: 'busy' }), { status: 503 });
+  await assert.rejects(provider.chat({ message: 'busy' }), { status: 503 });
+  assert.equal((await provider.chat({ message: 'busy' })).text, 'Made it.');
+  await assert.rejects(provider.chat({ message: 'busy' }), { status: 503 });
+});
+
+test('failAfter breaks a stream after that many chunks', async () => {
+  const provider = createProvider([{ match: 'flaky', reply: 'This reply breaks', failAfter: 2 }]);
+  const chunks = [];
+
+  await assert.rejects(provider.stream({ message: 'flaky', onChunk: chunk => chunks.push(chunk) }), /interrupted/);
+  assert.deepEqual(chunks, ['This ', 'reply ']);
+});
+
+test('finish reasons and safety ratings come from the rule', async () => {
+  const safetyRatings = [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH' }];
+  const provider = createProvider([{ match: 'unsafe', reply: '', finishReason: 'SAFETY', safetyRatings }]);
+
+  assert.deepEqual(await provider.chat({ message: 'unsafe' }), {
+    text: '',
+    finishReason: 'SAFETY',
+    safetyRatings,
+    usage: { promptTokens: 2, completionTokens: 0 }
+  });
+});
+
+test('tool calls are requested only when the tools are offered', async () => {
+  const toolCalls = [{ name: 'calculator', args: { expression: '6 * 7' } }];
+  const provider = createProvider([{ match: 'calculate', toolCalls, reply: 'Done.' }]);
+  const tools = [{ name: 'calculator' }];
+
+  assert.deepEqual((await provider.chat({ message: 'calculate', tools })).functionCalls, toolCalls);
+  assert.equal((await provider.chat({ message: 'calculate', tools, toolMode: 'none' })).functionCalls, undefined);
+  assert.equal((await provider.chat({ message: 'calculate' })).text, 'Done.');
+
+  const results = await provider.chat({
+    history: [user('calculate'), { role: 'model', parts: [{ functionCall: toolCalls[0] }] }],
+    message: [{ functionResponse: { name: 'calculator', response: { result: 42 } } }],
+    tools
+  });
+  assert.equal(results.text, 'Done. Tool results: calculator: {"result":42}');
+});
+
+test('an aborted signal stops the reply', async () => {
+  const provider = createProvider([]);
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(provider.stream({ message: 'Hi', signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('vision describes the images and countTokens estimates the prompt', async () => {
+  const provider = createProvider([]);
+  const images = [{ mimeType: 'image/png', data: 'AAAA' }];
+
+  assert.equal((await provider.vision({ prompt: 'What is this?', images })).text,
+    'Mock analysis of 1 image(s) (image/png): "What is this?"');
+  assert.deepEqual(await provider.countTokens({ history: [user('12345678')], message: [{ text: '1234' }, { inlineData: images[0] }] }),
+    { totalTokens: 3 + 258 });
+});
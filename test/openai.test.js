@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  fromChatCompletionRequest,
+  toChatCompletion,
+  toChatCompletionChunk,
+  toOpenAIError
+} = require('../lib/openai');
+
+test('fromChatCompletionRequest turns messages into a chat request', () => {
+  const { body } = fromChatCompletionRequest({
+    model: 'gemini-1.5-flash',
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'developer', content: 'Use metric units.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is this?' },
+          { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+        ]
+      }
+    ]
+  });
+
+  assert.deepEqual(body, {
+    model: 'gemini-1.5-flash',
+    history: [
+      { role: 'user', parts: [{ text: 'Hi' }] },
+      { role: 'model', parts: [{ text: 'Hello!' }] }
+    ],
+    message: 'What is this?',
+    images: [{ data: 'data:image/png;base64,AAAA' }],
+    systemPrompt: 'Be brief.\n\nUse metric units.',
+    generationSettings: {}
+  });
+});
+
+test('fromChatCompletionRequest maps sampling parameters to generation settings', () => {
+  const { body } = fromChatCompletionRequest({
+    model: 'gemini-1.5-flash',
+    messages: [{ role: 'user', content: 'Hi' }],
+    temperature: 0.2,
+    top_p: 0.9,
+    max_tokens: 100,
+    max_completion_tokens: 50,
+    stop: 'END',
+    presence_penalty: 1
+  });
+
+  assert.deepEqual(body.generationSettings, { temperature: 0.2, topP: 0.9, maxOutputTokens: 50, stopSequences: ['END'] });
+});
+
+test('fromChatCompletionRequest names the parameter of an invalid request', () => {
+  const user = { role: 'user', content: 'Hi' };
+
+  assert.equal(fromChatCompletionRequest({ messages: [user] }).param, 'model');
+  assert.equal(fromChatCompletionRequest({ model: 'm', messages: [] }).param, 'messages');
+  assert.equal(fromChatCompletionRequest({ model: 'm', messages: [user], n: 2 }).param, 'n');
+  assert.equal(fromChatCompletionRequest({ model: 'm', messages: [user, { role: 'tool', content: 'x' }] }).param, 'messages[1]');
+  assert.equal(fromChatCompletionRequest({ model: 'm', messages: [user, { role: 'assistant', content: 'Hey' }] }).param, 'messages');
+
+  const remoteImage = { role: 'user', content: [{ type: 'image_url', image_url: { url: 'https://example.com/cat.png' } }] };
+  assert.match(fromChatCompletionRequest({ model: 'm', messages: [remoteImage] }).error, /base64 data URLs/);
+});
+
+test('toChatCompletion builds a chat.completion object', () => {
+  const completion = toChatCompletion({
+    model: 'gemini-1.5-flash',
+    response: 'Hello!',
+    finishReason: 'MAX_TOKENS',
+    usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 }
+  }, { id: 'chatcmpl-1', created: 1700000000 });
+
+  assert.deepEqual(completion, {
+    id: 'chatcmpl-1',
+    object: 'chat.completion',
+    created: 1700000000,
+    model: 'gemini-1.5-flash',
+    choices: [{ index: 0, message: { role: 'assistant', content: 'Hello!' }, finish_reason: 'length' }],
+    usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 }
+  });
+});
+
+test('toChatCompletionChunk sends deltas, the finish reason and a usage chunk', () => {
+  const stream = { id: 'chatcmpl-1', created: 1700000000, model: 'gemini-1.5-flash' };
+
+  assert.deepEqual(toChatCompletionChunk(stream, { delta: { content: 'Hi' } }).choices, [
+    { index: 0, delta: { content: 'Hi' }, finish_reason: null }
+  ]);
+  assert.equal(toChatCompletionChunk(stream, { finishReason: 'SAFETY' }).choices[0].finish_reason, 'content_filter');
+
+  const usage = toChatCompletionChunk(stream, { usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } });
+  assert.deepEqual(usage.choices, []);
+  assert.deepEqual(usage.usage, { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 });
+});
+
+test('toOpenAIError uses the error message and OpenAI type and code names', () => {
+  const notFound = toOpenAIError({
+    status: 404,
+    body: { error: "The model 'nope' does not exist", code: 'MODEL_UNAVAILABLE', retryable: false }
+  }, 'model');
+
+  assert.deepEqual(notFound, {
+    status: 404,
+    body: {
+      error: {
+        message: "The model 'nope' does not exist",
+        type: 'invalid_request_error',
+        param: 'model',
+        code: 'model_not_found'
+      }
+    }
+  });
+
+  const limited = toOpenAIError({ status: 429, body: { error: 'Slow down', code: 'RATE_LIMITED', retryable: true } });
+  assert.deepEqual(limited.body.error, { message: 'Slow down', type: 'rate_limit_error', param: null, code: 'rate_limited' });
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, secondsUntilReset, toRateLimitHeaders } = require('../lib/rate-limit');
+
+test('requests over the limit are refused until the window ends', () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+  const now = 1000000;
+
+  assert.deepEqual(limiter.hit('alice', { now }), { allowed: true, limit: 2, remaining: 1, resetAt: now + 1000 });
+  assert.equal(limiter.hit('alice', { now }).allowed, true);
+  assert.equal(limiter.hit('alice', { now: now + 999 }).allowed, false);
+  assert.equal(limiter.hit('bob', { now }).allowed, true);
+  assert.equal(limiter.hit('alice', { now: now + 1000 }).allowed, true);
+});
+
+test('a request can cost several', () => {
+  const limiter = createRateLimiter({ limit: 3 });
+
+  assert.equal(limiter.hit('alice', { cost: 2 }).remaining, 1);
+  assert.equal(limiter.hit('alice', { cost: 2 }).allowed, false);
+});
+
+test('a limit of 0 lets everything through', () => {
+  const limiter = createRateLimiter({ limit: 0 });
+
+  for (let i = 0; i < 100; i++) {
+    assert.equal(limiter.hit('alice').allowed, true);
+  }
+});
+
+test('secondsUntilReset rounds up and never says 0', () => {
+  assert.equal(secondsUntilReset({ resetAt: 2500 }, 1000), 2);
+  assert.equal(secondsUntilReset({ resetAt: 1000 }, 1000), 1);
+});
+
+test('toRateLimitHeaders adds Retry-After to refused requests', () => {
+  const allowed = toRateLimitHeaders({ allowed: true, limit: 20, remaining: 5, resetAt: 31000 }, 1000);
+  assert.deepEqual(allowed, { 'RateLimit-Limit': '20', 'RateLimit-Remaining': '5', 'RateLimit-Reset': '30' });
+
+  const refused = toRateLimitHeaders({ allowed: false, limit: 20, remaining: 0, resetAt: 31000 }, 1000);
+  assert.equal(refused['Retry-After'], '30');
+});
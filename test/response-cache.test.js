@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCacheKey, createResponseCache } = require('../lib/response-cache');
+
+const request = {
+  model: 'gemini-1.5-flash',
+  system: null,
+  history: [],
+  message: [{ text: 'Hi' }],
+  settings: { temperature: 0.7 }
+};
+
+const reply = text => ({ text, finishReason: 'STOP', usage: { promptTokens: 1, completionTokens: 1 } });
+
+// An in-memory stand-in for a lib/store.js collection
+function createFakeStore(entries = []) {
+  const items = new Map(entries.map(entry => [entry.id, entry]));
+  return {
+    items,
+    list: async () => [...items.values()],
+    upsert: async (id, update) => items.set(id, update(items.get(id))),
+    remove: async id => items.delete(id)
+  };
+}
+
+test('toCacheKey depends on the request and on who it is kept for', () => {
+  assert.equal(toCacheKey(request, 'user-1'), toCacheKey({ ...request }, 'user-1'));
+  assert.notEqual(toCacheKey(request, 'user-1'), toCacheKey(request, 'user-2'));
+  assert.notEqual(toCacheKey(request, null), toCacheKey(request, 'user-1'));
+  assert.notEqual(toCacheKey(request), toCacheKey({ ...request, model: 'gemini-1.5-pro' }));
+  assert.notEqual(toCacheKey(request), toCacheKey({ ...request, settings: { temperature: 0.2 } }));
+});
+
+test('a cached reply is served until it is removed, counting hits and misses', async () => {
+  const cache = createResponseCache();
+
+  assert.equal(await cache.get('a'), null);
+  await cache.set('a', { model: 'gemini-1.5-flash', reply: reply('Hello') });
+  assert.deepEqual(await cache.get('a'), reply('Hello'));
+
+  assert.equal(await cache.remove('a'), true);
+  assert.equal(await cache.remove('a'), false);
+  assert.equal(await cache.get('a'), null);
+
+  const { hits, misses } = await cache.describe();
+  assert.deepEqual({ hits, misses }, { hits: 1, misses: 2 });
+});
+
+test('expired replies are not served', async () => {
+  const cache = createResponseCache({ ttlSeconds: 0 });
+  await cache.set('a', { model: 'gemini-1.5-flash', reply: reply('Hello') });
+
+  assert.equal(await cache.get('a'), null);
+  assert.equal((await cache.describe()).entries, 0);
+});
+
+test('the least recently used reply is dropped first', async () => {
+  const cache = createResponseCache({ maxEntries: 2 });
+  await cache.set('a', { model: 'm', reply: reply('A') });
+  await cache.set('b', { model: 'm', reply: reply('B') });
+  await cache.get('a');
+  await cache.set('c', { model: 'm', reply: reply('C') });
+
+  assert.equal(await cache.get('b'), null);
+  assert.deepEqual(await cache.get('a'), reply('A'));
+  assert.deepEqual(await cache.get('c'), reply('C'));
+});
+
+test('replies larger than the size limit are not kept', async () => {
+  const cache = createResponseCache({ maxBytes: 50 });
+  await cache.set('a', { model: 'm', reply: reply('x'.repeat(100)) });
+
+  assert.equal(await cache.get('a'), null);
+});
+
+test('describe lists entries without replies or prompts', async () => {
+  const cache = createResponseCache();
+  await cache.set('a', { model: 'gemini-1.5-flash', reply: reply('Hello') });
+
+  const { items } = await cache.describe();
+  assert.equal(items.length, 1);
+  assert.equal(items[0].id, 'a');
+  assert.equal(items[0].model, 'gemini-1.5-flash');
+  assert.equal('reply' in items[0], false);
+  assert.equal('prompt' in items[0], false);
+});
+
+test('a store keeps entries across restarts and drops expired ones', async () => {
+  const store = createFakeStore();
+  const first = createResponseCache({ store });
+  await first.set('a', { model: 'm', reply: reply('A') });
+  assert.equal(store.items.size, 1);
+
+  store.items.set('old', { ...store.items.get('a'), id: 'old', expiresAt: new Date(0).toISOString() });
+
+  const second = createResponseCache({ store });
+  assert.deepEqual(await second.get('a'), reply('A'));
+  assert.equal(await second.get('old'), null);
+  assert.equal(store.items.has('old'), false);
+
+  assert.equal(await second.clear(), 1);
+  assert.equal(store.items.size, 0);
+});
+
+test('a store keeps the hits and last use of an entry', async () => {
+  const store = createFakeStore();
+  const cache = createResponseCache({ store });
+  await cache.set('a', { model: 'm', reply: reply('A') });
+  const { lastUsedAt } = store.items.get('a');
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await cache.get('a');
+
+  assert.equal(store.items.get('a').hits, 1);
+  assert.ok(store.items.get('a').lastUsedAt > lastUsedAt);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getRetryDelay, withRetries } = require('../lib/retry');
+
+const overloaded = () => Object.assign(new Error('Overloaded'), { status: 503 });
+
+test('getRetryDelay honors short upstream waits and gives up on long ones', () => {
+  assert.ok(getRetryDelay(0, 3000) >= 3000);
+  assert.ok(getRetryDelay(0) <= 500);
+  assert.equal(getRetryDelay(0, 60000), null);
+});
+
+test('transient errors are retried until the call succeeds', async () => {
+  let calls = 0;
+  const result = await withRetries(async () => {
+    calls++;
+    if (calls === 1) throw Object.assign(overloaded(), { retryAfter: 1 });
+    return 'done';
+  });
+
+  assert.equal(result, 'done');
+  assert.equal(calls, 2);
+});
+
+test('other errors are thrown at once', async () => {
+  let calls = 0;
+  const fail = async () => {
+    calls++;
+    throw Object.assign(new Error('Bad'), { status: 400 });
+  };
+
+  await assert.rejects(withRetries(fail), { message: 'Bad' });
+  assert.equal(calls, 1);
+});
+
+test('aborting ends the wait before a retry', async () => {
+  const controller = new AbortController();
+  let calls = 0;
+  const started = Date.now();
+  setTimeout(() => controller.abort(), 10);
+
+  await assert.rejects(withRetries(async () => {
+    calls++;
+    throw Object.assign(overloaded(), { retryAfter: 5000 });
+  }, { signal: controller.signal }), { name: 'AbortError' });
+  assert.equal(calls, 1);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('an aborted request is not retried', async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(withRetries(async () => { throw overloaded(); }, { signal: controller.signal }), { message: 'Overloaded' });
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchParams, createSearchIndex } = require('../lib/search');
+
+function createIndex(texts) {
+  const index = createSearchIndex();
+  index.sync([{
+    id: 'c1',
+    ownerId: 'alice',
+    title: 'Notes',
+    updatedAt: '2024-01-01T10:00:00.000Z',
+    messages: texts.map((text, i) => ({ id: `m${i}`, role: 'user', parts: [{ text }], timestamp: `2024-01-01T10:00:0${i}.000Z` }))
+  }]);
+  return index;
+}
+
+function search(index, q) {
+  const { options, error } = parseSearchParams({ q });
+  assert.equal(error, undefined);
+  return index.search({ ...options, ownerId: 'alice' });
+}
+
+test('words match whole words, or prefixes with *', () => {
+  const index = createIndex(['Deploying the server', 'Deploy it']);
+
+  assert.equal(search(index, 'deploy').total, 1);
+  assert.equal(search(index, 'deploy*').total, 2);
+});
+
+test('phrases match in order and ignore case', () => {
+  const index = createIndex(['Hello World', 'World, hello']);
+
+  const { total, results } = search(index, '"hello world"');
+  assert.equal(total, 1);
+  assert.deepEqual(results[0].snippet, { text: 'Hello World', highlights: [[0, 11]] });
+});
+
+test('highlights stay on the phrase when lower-casing changes the text length', () => {
+  const index = createIndex(['İİİ Hello World (a+b)']);
+
+  assert.deepEqual(search(index, '"hello world"').results[0].snippet.highlights, [[4, 15]]);
+  assert.deepEqual(search(index, '"(a+b)"').results[0].snippet.highlights, [[16, 21]]);
+});
+
+test('other users do not see the messages', () => {
+  const index = createIndex(['Hello World']);
+  const { options } = parseSearchParams({ q: 'hello' });
+
+  assert.equal(index.search({ ...options, ownerId: 'bob' }).total, 0);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateShareOptions, buildSnapshot, isExpired, renderSharePage, renderShareUnavailable } = require('../lib/shares');
+
+const DAY = 24 * 60 * 60 * 1000;
+const image = { inlineData: { mimeType: 'image/png', data: 'AAAA' } };
+const file = { text: 'Quarterly numbers', file: { name: 'report.txt' } };
+
+const path = [
+  { id: 'a', role: 'user', parts: [{ text: 'Look at this' }, image, file], timestamp: '2024-01-01T10:00:00.000Z' },
+  {
+    id: 'b',
+    role: 'model',
+    parts: [{ text: 'A chart.' }],
+    timestamp: '2024-01-01T10:00:05.000Z',
+    model: 'gemini-1.5-flash',
+    finishReason: 'MAX_TOKENS',
+    usage: { promptTokens: 300, completionTokens: 3 },
+    sources: [{ document: 'notes.md' }]
+  },
+  { id: 'c', role: 'user', parts: [image], timestamp: '2024-01-01T10:01:00.000Z' }
+];
+
+test('validateShareOptions defaults to everything and no expiry', () => {
+  assert.deepEqual(validateShareOptions(), {
+    options: { expiresAt: null, includeImages: true, includeAttachments: true }
+  });
+});
+
+test('validateShareOptions turns days into an expiry date', () => {
+  const before = Date.now();
+  const { options } = validateShareOptions({ expiresInDays: 7 });
+
+  assert.ok(Date.parse(options.expiresAt) >= before + 7 * DAY);
+  assert.ok(Date.parse(options.expiresAt) <= Date.now() + 7 * DAY);
+});
+
+test('validateShareOptions rejects odd values', () => {
+  assert.match(validateShareOptions({ expiresInDays: 0 }).error, /expiresInDays/);
+  assert.match(validateShareOptions({ expiresInDays: 1.5 }).error, /expiresInDays/);
+  assert.match(validateShareOptions({ expiresInDays: 366 }).error, /expiresInDays/);
+  assert.match(validateShareOptions({ includeImages: 'no' }).error, /includeImages/);
+});
+
+test('buildSnapshot keeps text, images and files but not usage or sources', () => {
+  const snapshot = buildSnapshot(path, { includeImages: true, includeAttachments: true });
+
+  assert.equal(snapshot.length, 3);
+  assert.deepEqual(snapshot[0].parts, [{ text: 'Look at this' }, image, file]);
+  assert.deepEqual(snapshot[1], {
+    role: 'model',
+    parts: [{ text: 'A chart.' }],
+    timestamp: '2024-01-01T10:00:05.000Z',
+    model: 'gemini-1.5-flash',
+    finishReason: 'MAX_TOKENS'
+  });
+});
+
+test('buildSnapshot leaves out images and files on request', () => {
+  const snapshot = buildSnapshot(path, { includeImages: false, includeAttachments: false });
+
+  assert.deepEqual(snapshot.map(msg => msg.parts), [[{ text: 'Look at this' }], [{ text: 'A chart.' }]]);
+});
+
+test('isExpired compares the expiry with now', () => {
+  const now = Date.parse('2024-06-01T00:00:00.000Z');
+
+  assert.equal(isExpired({ expiresAt: null }, now), false);
+  assert.equal(isExpired({ expiresAt: '2024-05-31T23:59:59.000Z' }, now), true);
+  assert.equal(isExpired({ expiresAt: '2024-06-02T00:00:00.000Z' }, now), false);
+});
+
+test('renderSharePage escapes the title and messages', () => {
+  const html = renderSharePage({
+    title: '<script>alert(1)</script>',
+    createdAt: '2024-01-01T10:02:00.000Z',
+    expiresAt: null,
+    messages: [{ role: 'model', parts: [{ text: '<img src=x onerror=alert(1)>' }], timestamp: '2024-01-01T10:00:05.000Z' }]
+  });
+
+  assert.ok(!html.includes('<script>alert(1)'));
+  assert.ok(!html.includes('<img src=x'));
+  assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+});
+
+test('renderShareUnavailable escapes the message', () => {
+  assert.ok(renderShareUnavailable('<b>Gone</b>').includes('&lt;b&gt;Gone&lt;/b&gt;'));
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTools, getToolDeclarations, runTool } = require('../lib/tools');
+
+test('validateTools accepts known tool names only', () => {
+  assert.equal(validateTools([]), null);
+  assert.equal(validateTools(['calculator', 'current_time']), null);
+  assert.equal(validateTools('calculator'), 'Tools must be an array of tool names');
+  assert.equal(validateTools(['shell']), 'Unknown tool "shell"');
+});
+
+test('getToolDeclarations leaves out tools this server cannot run', () => {
+  const names = getToolDeclarations(['calculator', 'fetch_url', 'shell']).map(tool => tool.name);
+
+  // fetch_url needs TOOL_FETCH_ALLOWLIST
+  assert.deepEqual(names, ['calculator']);
+});
+
+test('the calculator follows operator precedence', async () => {
+  const calculate = async expression => (await runTool({ name: 'calculator', args: { expression } })).result.result;
+
+  assert.equal(await calculate('2 + 3 * 4'), 14);
+  assert.equal(await calculate('(2 + 3) * 4'), 20);
+  assert.equal(await calculate('-2^2'), -4);
+  assert.equal(await calculate('2 ** 3 ^ 2'), 512);
+  assert.equal(await calculate('sqrt(16) + log(100)'), 6);
+});
+
+test('the calculator reports expressions it cannot evaluate', async () => {
+  const { error } = await runTool({ name: 'calculator', args: { expression: 'process.exit()' } });
+
+  assert.equal(typeof error, 'string');
+});
+
+test('convert_units converts within a kind, temperatures by formula', async () => {
+  const convert = async args => runTool({ name: 'convert_units', args });
+
+  assert.equal((await convert({ value: 2, from: 'km', to: 'm' })).result.result, 2000);
+  assert.equal((await convert({ value: 100, from: 'C', to: 'F' })).result.result, 212);
+  assert.match((await convert({ value: 1, from: 'kg', to: 'm' })).error, /Cannot convert mass/);
+});
+
+test('runTool checks the arguments against the tool parameters', async () => {
+  assert.equal((await runTool({ name: 'shell', args: {} })).error, 'Unknown tool "shell"');
+  assert.equal((await runTool({ name: 'calculator', args: {} })).error, 'Missing argument "expression"');
+  assert.equal((await runTool({ name: 'calculator', args: { expression: 4 } })).error, 'Argument "expression" must be a string');
+  assert.equal((await runTool({ name: 'calculator', args: { expression: '1', extra: true } })).error, 'Unknown argument "extra"');
+});
+
+test('current_time answers in the given time zone', async () => {
+  const { result } = await runTool({ name: 'current_time', args: { timeZone: 'Europe/Berlin' } });
+
+  assert.equal(result.timeZone, 'Europe/Berlin');
+  assert.ok(!Number.isNaN(Date.parse(result.iso)));
+  assert.equal((await runTool({ name: 'current_time', args: { timeZone: 'Mars/Olympus' } })).error, 'Unknown time zone "Mars/Olympus"');
+});
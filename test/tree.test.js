@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROOT, toTree, getActivePath, getPathTo, selectMessage } = require('../lib/tree');
+
+const text = value => [{ text: value }];
+
+// a -> b -> c, and d as a second answer to a (an edit of b's reply)
+function branchedTree() {
+  return {
+    messages: [
+      { id: 'a', parentId: null, role: 'user', parts: text('Hi') },
+      { id: 'b', parentId: 'a', role: 'model', parts: text('Hello') },
+      { id: 'c', parentId: 'b', role: 'user', parts: text('How are you?') },
+      { id: 'd', parentId: 'a', role: 'model', parts: text('Hey') }
+    ],
+    activeChildren: {}
+  };
+}
+
+test('toTree links a flat list with ids derived from the position', () => {
+  const flat = [
+    { role: 'user', parts: text('Hi') },
+    { role: 'model', parts: text('Hello') }
+  ];
+  const { messages } = toTree(flat);
+
+  assert.deepEqual(messages.map(msg => [msg.id, msg.parentId]), [['msg-1', null], ['msg-2', 'msg-1']]);
+  assert.deepEqual(toTree(flat).messages, messages);
+});
+
+test('toTree keeps linked messages and drops selections of non-children', () => {
+  const linked = branchedTree().messages;
+  const { messages, activeChildren } = toTree(linked, { a: 'b', [ROOT]: 'c', b: 'missing' });
+
+  assert.equal(messages, linked);
+  assert.deepEqual(activeChildren, { a: 'b' });
+});
+
+test('toTree relinks messages whose parents come later', () => {
+  const { messages } = toTree([
+    { id: 'b', parentId: 'a', role: 'model', parts: text('Hello') },
+    { id: 'a', parentId: null, role: 'user', parts: text('Hi') }
+  ]);
+
+  assert.deepEqual(messages.map(msg => msg.id), ['msg-1', 'msg-2']);
+});
+
+test('toTree turns replies stored as a plain string into a text part', () => {
+  const { messages } = toTree([
+    { id: 'a', parentId: null, role: 'user', parts: text('Hi') },
+    { id: 'b', parentId: 'a', role: 'model', parts: 'Hello' }
+  ]);
+
+  assert.deepEqual(messages.map(msg => msg.parts), [text('Hi'), text('Hello')]);
+});
+
+test('getActivePath follows the newest child unless another one is selected', () => {
+  const tree = branchedTree();
+
+  assert.deepEqual(getActivePath(tree).map(msg => msg.id), ['a', 'd']);
+  assert.deepEqual(getActivePath({ ...tree, activeChildren: { a: 'b' } }).map(msg => msg.id), ['a', 'b', 'c']);
+});
+
+test('getPathTo lists a message and its ancestors', () => {
+  const { messages } = branchedTree();
+
+  assert.deepEqual(getPathTo(messages, 'c').map(msg => msg.id), ['a', 'b', 'c']);
+  assert.deepEqual(getPathTo(messages, 'missing'), []);
+});
+
+test('selectMessage selects the message and every ancestor', () => {
+  const tree = branchedTree();
+
+  assert.deepEqual(selectMessage(tree, 'c'), { [ROOT]: 'a', a: 'b', b: 'c' });
+  assert.equal(selectMessage(tree, 'missing'), null);
+});